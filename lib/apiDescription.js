@@ -0,0 +1,855 @@
+const { GENERATORS, SUPPORTED_LANGUAGES } = require('./generators');
+const { OUTPUT_FORMATS } = require('./packaging');
+const { PUBLISH_TARGETS } = require('./publishers');
+const { SCOPES } = require('./apiKeys');
+const { STATUSES } = require('./generationHistory');
+const { SEVERITIES, TARGETS, RULE_ID } = require('./specLint');
+
+// OpenAPI description of this server, served at GET /openapi.json and used to
+// validate incoming requests. Enumerations are taken from the registries they
+// describe (generators, output formats, publish targets, scopes) so the
+// document cannot drift from what the handlers accept.
+
+const OPENAPI_VERSION = '3.0.3';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const STRING = { type: 'string' };
+const BOOLEAN = { type: 'boolean' };
+const INTEGER = { type: 'integer' };
+const TIMESTAMP = { type: 'string', format: 'date-time' };
+const NULLABLE_STRING = { type: 'string', nullable: true };
+const FILE = { type: 'string', format: 'binary' };
+const FILES = { type: 'array', items: FILE };
+const LANGUAGE = { type: 'string', enum: SUPPORTED_LANGUAGES };
+const CREDENTIAL_NAME = { type: 'string', pattern: '^[A-Za-z0-9_]+$' };
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'failed'];
+
+const object = (properties, extra = {}) => ({ type: 'object', properties, ...extra });
+const arrayOf = (items) => ({ type: 'array', items });
+const json = (schema) => ({ 'application/json': { schema } });
+// Siblings of `$ref` are ignored, so nullable references go through allOf
+const nullable = (schema) => (schema.$ref ? { allOf: [schema], nullable: true } : { ...schema, nullable: true });
+
+// Where a request takes its spec from, see getSpecInput
+const SPEC_FIELDS = {
+  spec: { ...FILES, description: 'Spec file(s), or a ZIP or tar archive of them' },
+  overrides: { ...FILE, description: 'Fern overrides file for OpenAPI and AsyncAPI specs' },
+  specUrl: { type: 'string', format: 'uri', description: 'http(s) URL of a spec file or archive' },
+  gitRepo: { ...STRING, description: 'Repository URL to fetch the spec from' },
+  ref: { ...STRING, description: 'Branch, tag or commit of `gitRepo` (default `HEAD`)' },
+  path: { ...STRING, description: 'Spec file or folder in `gitRepo`' }
+};
+
+const GENERATION_FIELDS = {
+  ...SPEC_FIELDS,
+  options: ref('GenerationOptions'),
+  callbackUrl: { type: 'string', format: 'uri', description: 'Run as a job and POST the outcome to this URL' },
+  lintRules: { ...FILE, description: 'YAML or JSON lint rules for this request' }
+};
+
+const CHECK_FIELDS = {
+  ...GENERATION_FIELDS,
+  format: { type: 'string', enum: ['json', 'sarif'], default: 'json' }
+};
+
+const NORMALIZE_FIELDS = {
+  ...SPEC_FIELDS,
+  format: { type: 'string', enum: ['yaml', 'json'], default: 'yaml' },
+  specPath: { ...STRING, description: 'Entry point when the upload contains several specs' },
+  download: { ...BOOLEAN, description: 'Respond with the spec file instead of JSON' }
+};
+
+// `base` and `revision` take the spec fields with their side as prefix;
+// `gitRepo` and `path` apply to both sides
+const DIFF_FIELDS = {
+  ...Object.fromEntries(['base', 'revision'].flatMap(side => [
+    [side, { ...FILES, description: `The ${side} spec file(s) or archive` }],
+    [`${side}Url`, { type: 'string', format: 'uri' }],
+    [`${side}GitRepo`, STRING],
+    [`${side}Ref`, STRING],
+    [`${side}Path`, STRING],
+    [`${side}SpecPath`, STRING]
+  ])),
+  gitRepo: STRING,
+  path: STRING
+};
+
+// Multipart forms send files and JSON-encoded `options`; JSON bodies have
+// the same fields without the files
+function formBody(name, fields, description) {
+  return {
+    description,
+    required: true,
+    content: {
+      'multipart/form-data': {
+        schema: ref(`${name}Form`),
+        ...(fields.options ? { encoding: { options: { contentType: 'application/json' } } } : {})
+      },
+      'application/json': { schema: ref(`${name}Request`) }
+    }
+  };
+}
+
+function formSchemas(name, fields) {
+  const jsonFields = Object.fromEntries(Object.entries(fields)
+    .filter(([, schema]) => schema.format !== 'binary' && !(schema.items && schema.items.format === 'binary')));
+  return {
+    [`${name}Form`]: object(fields, { additionalProperties: false }),
+    [`${name}Request`]: object(jsonFields, { additionalProperties: false })
+  };
+}
+
+function configSchemas() {
+  const types = { string: STRING, boolean: BOOLEAN, number: { type: 'number' }, object: { type: 'object' } };
+  return object(Object.fromEntries(Object.entries(GENERATORS).map(([language, generator]) => [
+    language,
+    object(Object.fromEntries(Object.entries(generator.configSchema)
+      .map(([key, type]) => [key, types[type]])), { additionalProperties: false })
+  ])), {
+    additionalProperties: false,
+    description: 'Generator config keyed by language; every language must also be requested'
+  });
+}
+
+function publishTargetSchema() {
+  const targetFields = {};
+  const types = { string: STRING, boolean: BOOLEAN };
+  Object.values(PUBLISH_TARGETS).forEach(target => {
+    Object.entries(target.fields).forEach(([key, type]) => {
+      targetFields[key] = types[type];
+    });
+  });
+  return object({
+    target: { type: 'string', enum: Object.keys(PUBLISH_TARGETS) },
+    registryUrl: { type: 'string', format: 'uri' },
+    credentials: { ...STRING, description: 'Name of a PUBLISH_CREDENTIALS_<NAME> credential' },
+    version: STRING,
+    ...targetFields
+  }, { required: ['target'] });
+}
+
+const LINT_CONFIG_FIELDS = {
+  rules: ref('LintRuleSettings'),
+  customRules: arrayOf(ref('CustomLintRule'))
+};
+
+const API_KEY_FIELDS = {
+  id: STRING,
+  name: STRING,
+  scopes: arrayOf({ type: 'string', enum: SCOPES }),
+  allowedLanguages: nullable(arrayOf(LANGUAGE)),
+  rateLimitPerMinute: nullable(INTEGER),
+  dailyQuota: nullable(INTEGER),
+  publishCredentials: nullable(arrayOf(STRING)),
+  generationsToday: INTEGER,
+  hasWebhookSecret: BOOLEAN,
+  lint: nullable(ref('LintConfig')),
+  static: BOOLEAN,
+  createdAt: TIMESTAMP,
+  rotatedAt: nullable(TIMESTAMP),
+  revokedAt: nullable(TIMESTAMP)
+};
+
+function componentSchemas() {
+  return {
+    Error: object({
+      error: STRING,
+      details: { type: 'object', nullable: true, description: 'Depends on the error, e.g. the `field` at fault' }
+    }, { required: ['error'] }),
+    GenerationOptions: object({
+      languages: { ...arrayOf(LANGUAGE), minItems: 1 },
+      language: { ...LANGUAGE, description: 'A single language, when `languages` is not set' },
+      packageName: { type: 'string', minLength: 1, default: 'api-client' },
+      includeExamples: { ...BOOLEAN, default: true },
+      includeTests: { ...BOOLEAN, default: false },
+      verify: { ...BOOLEAN, default: false },
+      normalize: { ...BOOLEAN, default: false },
+      specPath: { ...STRING, description: 'Entry point when the upload contains several specs' },
+      fernCliVersion: STRING,
+      config: ref('GeneratorConfig'),
+      output: ref('OutputOptions'),
+      lint: ref('LintOptions'),
+      publish: ref('PublishTargets')
+    }),
+    GeneratorConfig: configSchemas(),
+    OutputOptions: object({
+      format: { type: 'string', enum: Object.keys(OUTPUT_FORMATS), default: 'zip' },
+      stripPrefix: { ...BOOLEAN, default: false },
+      compressionLevel: { type: 'integer', minimum: 0, maximum: 9, default: 9 }
+    }, { additionalProperties: false }),
+    PublishTargets: object(Object.fromEntries(SUPPORTED_LANGUAGES.map(language => [language, ref('PublishTarget')])), {
+      additionalProperties: false
+    }),
+    PublishTarget: publishTargetSchema(),
+    LintOptions: object({
+      enabled: { ...BOOLEAN, default: true },
+      blocking: { ...BOOLEAN, default: true },
+      ...LINT_CONFIG_FIELDS
+    }),
+    LintConfig: object(LINT_CONFIG_FIELDS),
+    LintRuleSettings: {
+      type: 'object',
+      description: 'Severity, or severity and options, keyed by rule id',
+      additionalProperties: {
+        anyOf: [
+          { type: 'string', enum: [...SEVERITIES, 'off'] },
+          object({ severity: { type: 'string', enum: [...SEVERITIES, 'off'] } }, {
+            additionalProperties: { ...arrayOf(STRING), minItems: 1 }
+          })
+        ]
+      }
+    },
+    CustomLintRule: object({
+      id: { type: 'string', pattern: RULE_ID.source },
+      description: STRING,
+      message: STRING,
+      severity: { type: 'string', enum: SEVERITIES, default: 'warning' },
+      given: { type: 'string', enum: TARGETS },
+      field: STRING,
+      truthy: { type: 'boolean', enum: [true] },
+      falsy: { type: 'boolean', enum: [true] },
+      pattern: STRING,
+      notPattern: STRING,
+      enum: arrayOf({})
+    }, { required: ['id', 'given'] }),
+    ...formSchemas('Generate', GENERATION_FIELDS),
+    ...formSchemas('Check', CHECK_FIELDS),
+    ...formSchemas('Normalize', NORMALIZE_FIELDS),
+    ...formSchemas('Diff', DIFF_FIELDS),
+    SpecSource: object({
+      type: { type: 'string', enum: ['upload', 'url', 'git'] },
+      files: arrayOf(STRING),
+      url: STRING,
+      resolvedUrl: STRING,
+      contentType: NULLABLE_STRING,
+      repo: STRING,
+      ref: NULLABLE_STRING,
+      commit: STRING,
+      path: NULLABLE_STRING,
+      sha256: STRING
+    }),
+    Diagnostic: object({
+      severity: { type: 'string', enum: SEVERITIES },
+      message: STRING,
+      code: NULLABLE_STRING,
+      file: NULLABLE_STRING,
+      pointer: NULLABLE_STRING,
+      line: nullable(INTEGER),
+      column: nullable(INTEGER)
+    }),
+    DiagnosticSummary: object({ errors: INTEGER, warnings: INTEGER, infos: INTEGER }),
+    LintReport: object({
+      blocking: BOOLEAN,
+      blocked: BOOLEAN,
+      skipped: NULLABLE_STRING,
+      rules: arrayOf(STRING),
+      summary: ref('DiagnosticSummary'),
+      diagnostics: arrayOf(ref('Diagnostic'))
+    }),
+    Normalization: object({
+      summary: { type: 'object', additionalProperties: INTEGER, description: 'Number of changes by type' },
+      changes: arrayOf(ref('NormalizationChange')),
+      warnings: arrayOf(STRING)
+    }),
+    NormalizationChange: object({
+      type: STRING,
+      pointer: STRING,
+      message: STRING,
+      from: {},
+      to: {}
+    }),
+    CheckResult: object({
+      valid: BOOLEAN,
+      message: STRING,
+      fernDir: STRING,
+      source: ref('SpecSource'),
+      summary: ref('DiagnosticSummary'),
+      diagnostics: arrayOf(ref('Diagnostic')),
+      lint: nullable(ref('LintReport')),
+      normalization: nullable(ref('Normalization'))
+    }),
+    NormalizeResult: object({
+      source: ref('SpecSource'),
+      fileName: STRING,
+      format: { type: 'string', enum: ['yaml', 'json'] },
+      openapi: STRING,
+      summary: { type: 'object', additionalProperties: INTEGER },
+      changes: arrayOf(ref('NormalizationChange')),
+      warnings: arrayOf(STRING),
+      spec: { ...STRING, description: 'The normalized spec in `format`' }
+    }),
+    DiffResult: object({
+      base: ref('DiffSide'),
+      revision: ref('DiffSide'),
+      breaking: BOOLEAN,
+      suggestedBump: { type: 'string', enum: ['none', 'patch', 'minor', 'major'] },
+      baseVersion: NULLABLE_STRING,
+      revisionVersion: NULLABLE_STRING,
+      suggestedVersion: NULLABLE_STRING,
+      summary: object({ total: INTEGER, breaking: INTEGER, nonBreaking: INTEGER }),
+      changes: arrayOf(ref('SpecChange'))
+    }),
+    DiffSide: object({ type: STRING, mainFile: STRING, source: ref('SpecSource') }),
+    SpecChange: object({
+      type: STRING,
+      action: { type: 'string', enum: ['added', 'removed', 'changed'] },
+      location: STRING,
+      breaking: BOOLEAN,
+      bump: { type: 'string', enum: ['patch', 'minor', 'major'] },
+      message: STRING
+    }),
+    LanguageResult: object({
+      language: LANGUAGE,
+      status: { type: 'string', enum: ['succeeded', 'failed'] },
+      durationMs: INTEGER,
+      fileCount: INTEGER,
+      error: STRING,
+      exitCode: nullable(INTEGER),
+      signal: NULLABLE_STRING,
+      timedOut: BOOLEAN,
+      limitExceeded: { type: 'string', enum: ['cpu', 'memory'] },
+      verification: object({
+        status: { type: 'string', enum: ['passed', 'failed', 'skipped'] },
+        steps: arrayOf({ type: 'object' })
+      }),
+      publish: object({
+        target: STRING,
+        status: { type: 'string', enum: ['published', 'failed'] },
+        registryUrl: STRING,
+        version: STRING,
+        error: STRING
+      }),
+      stdout: STRING,
+      stderr: STRING,
+      truncated: BOOLEAN
+    }),
+    Job: object({
+      id: STRING,
+      kind: { type: 'string', enum: ['generate', 'check'] },
+      status: { type: 'string', enum: JOB_STATUSES },
+      languages: arrayOf(LANGUAGE),
+      packageName: STRING,
+      source: ref('SpecSource'),
+      createdAt: TIMESTAMP,
+      startedAt: nullable(TIMESTAMP),
+      finishedAt: nullable(TIMESTAMP),
+      output: arrayOf({ type: 'object' }),
+      results: nullable(arrayOf(ref('LanguageResult'))),
+      report: { type: 'object', nullable: true, description: 'The check result of a check job' },
+      lint: nullable(ref('LintReport')),
+      normalization: nullable(ref('Normalization')),
+      cached: BOOLEAN,
+      generationId: NULLABLE_STRING,
+      error: NULLABLE_STRING,
+      callbackUrl: NULLABLE_STRING,
+      artifactUrl: NULLABLE_STRING
+    }),
+    Generation: object({
+      id: STRING,
+      keyId: STRING,
+      requestId: STRING,
+      jobId: NULLABLE_STRING,
+      status: { type: 'string', enum: STATUSES },
+      cached: BOOLEAN,
+      createdAt: TIMESTAMP,
+      finishedAt: TIMESTAMP,
+      durationMs: nullable(INTEGER),
+      spec: ref('SpecSource'),
+      fernCliVersion: STRING,
+      generators: arrayOf(object({ language: LANGUAGE, name: STRING, version: STRING })),
+      options: ref('GenerationOptions'),
+      results: nullable(arrayOf(ref('LanguageResult'))),
+      error: NULLABLE_STRING,
+      fileName: STRING,
+      artifact: nullable(object({ sha256: STRING, bytes: INTEGER, contentType: STRING })),
+      artifactUrl: NULLABLE_STRING
+    }),
+    GenerationList: object({ generations: arrayOf(ref('Generation')), nextCursor: NULLABLE_STRING }),
+    WebhookDelivery: object({
+      id: STRING,
+      event: STRING,
+      url: STRING,
+      keyId: STRING,
+      jobId: NULLABLE_STRING,
+      redeliveryOf: NULLABLE_STRING,
+      status: { type: 'string', enum: DELIVERY_STATUSES },
+      createdAt: TIMESTAMP,
+      deliveredAt: nullable(TIMESTAMP),
+      nextAttemptAt: nullable(TIMESTAMP),
+      attempts: arrayOf(object({
+        attempt: INTEGER,
+        at: TIMESTAMP,
+        durationMs: nullable(INTEGER),
+        statusCode: nullable(INTEGER),
+        error: NULLABLE_STRING,
+        response: NULLABLE_STRING
+      })),
+      payload: { type: 'object', description: 'The body that was sent, on single deliveries only' }
+    }),
+    WebhookDeliveryList: object({ deliveries: arrayOf(ref('WebhookDelivery')) }),
+    NewApiKey: object({
+      name: { type: 'string', minLength: 1 },
+      scopes: { ...arrayOf({ type: 'string', enum: SCOPES }), default: ['check', 'generate'] },
+      allowedLanguages: nullable(arrayOf(LANGUAGE)),
+      rateLimitPerMinute: { type: 'integer', minimum: 1, nullable: true },
+      dailyQuota: { type: 'integer', minimum: 1, nullable: true },
+      publishCredentials: { ...nullable(arrayOf(CREDENTIAL_NAME)), default: [] },
+      lint: nullable(ref('LintConfig'))
+    }, { required: ['name'] }),
+    PublishCredentials: object({ publishCredentials: nullable(arrayOf(CREDENTIAL_NAME)) }, { required: ['publishCredentials'] }),
+    ApiKey: object(API_KEY_FIELDS),
+    ApiKeyWithSecrets: object({
+      ...API_KEY_FIELDS,
+      secret: { ...STRING, description: 'Returned by create and rotate only' },
+      webhookSecret: { ...STRING, description: 'Returned by create and webhook-secret only' }
+    }),
+    ApiKeyList: object({ keys: arrayOf(ref('ApiKey')) }),
+    FernVersions: object({
+      defaultVersion: STRING,
+      versions: arrayOf(object({
+        version: STRING,
+        default: BOOLEAN,
+        installed: BOOLEAN,
+        verified: BOOLEAN,
+        installing: BOOLEAN,
+        source: { type: 'string', enum: ['cache', 'bundled'], nullable: true }
+      }))
+    }),
+    LintRules: object({
+      rules: arrayOf(object({
+        id: STRING,
+        severity: { type: 'string', enum: SEVERITIES },
+        description: STRING,
+        options: { type: 'object', additionalProperties: arrayOf(STRING) }
+      })),
+      organization: nullable(ref('LintConfig')),
+      key: nullable(ref('LintConfig'))
+    }),
+    Health: object({
+      status: { type: 'string', enum: ['OK', 'DEGRADED'] },
+      message: STRING,
+      uptimeSeconds: INTEGER,
+      jobs: { type: 'object' },
+      checks: { type: 'object' }
+    }),
+    Readiness: object({
+      status: { type: 'string', enum: ['ready', 'not ready'] },
+      checks: { type: 'object' }
+    }),
+    CacheStats: object({ enabled: BOOLEAN, entries: INTEGER, bytes: INTEGER, maxBytes: INTEGER }),
+    CacheCleared: object({ removed: { type: 'object' } })
+  };
+}
+
+const ERROR_RESPONSES = {
+  400: 'The request is invalid',
+  401: 'The API key is missing or invalid',
+  403: 'The API key may not do this',
+  404: 'Not found',
+  409: 'Conflicts with the current state',
+  429: 'Rate limit or daily quota exceeded; see `Retry-After`',
+  500: 'Internal server error',
+  503: 'The server is shutting down',
+  507: 'Insufficient storage for new work'
+};
+
+// An operation with the error responses every authenticated route can send
+// (401, 429, 500) and the listed `errors`
+function operation({ operationId, tag, summary, description, security = true, parameters, requestBody, responses, errors = [] }) {
+  const statuses = [...errors, ...(security ? [401, 429] : []), 500];
+  return {
+    operationId,
+    tags: [tag],
+    summary,
+    ...(description ? { description } : {}),
+    ...(security ? {} : { security: [] }),
+    ...(parameters ? { parameters } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    responses: {
+      ...responses,
+      ...Object.fromEntries([...new Set(statuses)].sort().map(status => [status, { $ref: `#/components/responses/${status}` }]))
+    }
+  };
+}
+
+const idParameter = (description) => ({ name: 'id', in: 'path', required: true, description, schema: STRING });
+const queryParameter = (name, schema, description) => ({ name, in: 'query', required: false, ...(description ? { description } : {}), schema });
+const ok = (description, schema) => ({ 200: { description, content: json(schema) } });
+
+const ARCHIVE_CONTENT = Object.fromEntries(Object.values(OUTPUT_FORMATS)
+  .map(format => [format.contentType, { schema: FILE }]));
+const ARCHIVE_HEADERS = {
+  'X-Generation-Summary': { description: 'Per-language status, JSON', schema: STRING },
+  'X-Generation-Id': { description: 'Id of the generation history record', schema: STRING },
+  'X-Spec-Source': { description: 'Where the spec came from, JSON', schema: STRING },
+  'X-Cache': { schema: { type: 'string', enum: ['HIT', 'MISS'] } },
+  ETag: { description: 'Set when the archive is cached', schema: STRING }
+};
+const JOB_ACCEPTED = { 202: { description: 'Queued as a job', content: json(ref('Job')) } };
+
+function paths() {
+  const jobId = idParameter('Job id');
+  return {
+    '/openapi.json': {
+      get: operation({
+        operationId: 'getOpenApiDescription',
+        tag: 'Server',
+        summary: 'This description',
+        security: false,
+        responses: ok('OpenAPI 3 description of the server', { type: 'object' })
+      })
+    },
+    '/health': {
+      get: operation({
+        operationId: 'getHealth',
+        tag: 'Server',
+        summary: 'Liveness, with the readiness checks',
+        security: false,
+        responses: ok('The server is running', ref('Health'))
+      })
+    },
+    '/ready': {
+      get: operation({
+        operationId: 'getReadiness',
+        tag: 'Server',
+        summary: 'Readiness to take generation requests',
+        security: false,
+        responses: {
+          ...ok('Ready', ref('Readiness')),
+          503: { description: 'Not ready', content: json(ref('Readiness')) }
+        }
+      })
+    },
+    '/metrics': {
+      get: operation({
+        operationId: 'getMetrics',
+        tag: 'Server',
+        summary: 'Prometheus metrics',
+        security: false,
+        responses: { 200: { description: 'Metrics in the Prometheus text format', content: { 'text/plain': { schema: STRING } } } }
+      })
+    },
+    '/fern/versions': {
+      get: operation({
+        operationId: 'listFernVersions',
+        tag: 'Server',
+        summary: 'Installed and allowed Fern CLI versions',
+        responses: ok('Fern CLI versions', ref('FernVersions'))
+      })
+    },
+    '/lint/rules': {
+      get: operation({
+        operationId: 'listLintRules',
+        tag: 'Validation',
+        summary: 'Built-in lint rules and the organization and key settings',
+        responses: ok('Lint rules', ref('LintRules'))
+      })
+    },
+    '/check': {
+      post: operation({
+        operationId: 'checkSpec',
+        tag: 'Validation',
+        summary: 'Validate a spec with `fern check` and the lint rules',
+        parameters: [queryParameter('format', CHECK_FIELDS.format, 'Report format')],
+        requestBody: formBody('Check', CHECK_FIELDS, 'The spec, options and report format'),
+        responses: {
+          200: {
+            description: 'The spec is valid',
+            content: { ...json(ref('CheckResult')), 'application/sarif+json': { schema: { type: 'object' } } }
+          },
+          ...JOB_ACCEPTED
+        },
+        errors: [400, 403, 503, 507]
+      })
+    },
+    '/normalize': {
+      post: operation({
+        operationId: 'normalizeSpec',
+        tag: 'Validation',
+        summary: 'Bundle, convert to OpenAPI 3 and fix a spec',
+        parameters: [
+          queryParameter('format', NORMALIZE_FIELDS.format, 'Format of the normalized spec'),
+          queryParameter('download', BOOLEAN, 'Respond with the spec file instead of JSON')
+        ],
+        requestBody: formBody('Normalize', NORMALIZE_FIELDS, 'The spec and output settings'),
+        responses: {
+          200: {
+            description: 'The normalized spec and the changes made',
+            headers: { 'X-Normalization-Summary': { description: 'Number of changes by type, JSON', schema: STRING } },
+            content: {
+              ...json(ref('NormalizeResult')),
+              'application/yaml': { schema: STRING }
+            }
+          }
+        },
+        errors: [400, 403, 503, 507]
+      })
+    },
+    '/diff': {
+      post: operation({
+        operationId: 'diffSpecs',
+        tag: 'Validation',
+        summary: 'Compare two versions of a spec and suggest a version bump',
+        requestBody: formBody('Diff', DIFF_FIELDS, 'The base and revision specs'),
+        responses: ok('The changes between the specs', ref('DiffResult')),
+        errors: [400, 403, 503, 507]
+      })
+    },
+    '/generate': {
+      post: operation({
+        operationId: 'generateSdk',
+        tag: 'Generation',
+        summary: 'Generate SDKs and download the archive',
+        parameters: [{ name: 'If-None-Match', in: 'header', required: false, schema: STRING }],
+        requestBody: formBody('Generate', GENERATION_FIELDS, 'The spec and generation options'),
+        responses: {
+          200: { description: 'The generated SDK archive', headers: ARCHIVE_HEADERS, content: ARCHIVE_CONTENT },
+          ...JOB_ACCEPTED,
+          304: { description: 'The client has the current archive' }
+        },
+        errors: [400, 403, 503, 507]
+      })
+    },
+    '/jobs': {
+      post: operation({
+        operationId: 'createJob',
+        tag: 'Jobs',
+        summary: 'Queue an SDK generation',
+        requestBody: formBody('Generate', GENERATION_FIELDS, 'The spec and generation options'),
+        responses: JOB_ACCEPTED,
+        errors: [400, 403, 503, 507]
+      })
+    },
+    '/jobs/{id}': {
+      get: operation({
+        operationId: 'getJob',
+        tag: 'Jobs',
+        summary: 'Job status, output and results',
+        parameters: [jobId],
+        responses: ok('The job', ref('Job')),
+        errors: [404]
+      }),
+      delete: operation({
+        operationId: 'cancelJob',
+        tag: 'Jobs',
+        summary: 'Cancel a queued or running job',
+        parameters: [jobId],
+        responses: { 202: { description: 'Cancelling', content: json(ref('Job')) } },
+        errors: [404, 409]
+      })
+    },
+    '/jobs/{id}/artifact': {
+      get: operation({
+        operationId: 'getJobArtifact',
+        tag: 'Jobs',
+        summary: 'Download the archive of a succeeded job',
+        parameters: [jobId, { name: 'If-None-Match', in: 'header', required: false, schema: STRING }],
+        responses: {
+          200: { description: 'The SDK archive', content: ARCHIVE_CONTENT },
+          304: { description: 'The client has the current archive' },
+          410: { description: 'The artifact expired', content: json(ref('Error')) }
+        },
+        errors: [403, 404, 409]
+      })
+    },
+    '/jobs/{id}/events': {
+      get: operation({
+        operationId: 'streamJobEvents',
+        tag: 'Jobs',
+        summary: 'Job progress as Server-Sent Events (also at /generate/{id}/events)',
+        parameters: [jobId, { name: 'Last-Event-ID', in: 'header', required: false, schema: INTEGER }],
+        responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: STRING } } } },
+        errors: [404]
+      })
+    },
+    '/generations': {
+      get: operation({
+        operationId: 'listGenerations',
+        tag: 'History',
+        summary: 'Past generations, newest first',
+        parameters: [
+          queryParameter('status', { type: 'string', enum: STATUSES }),
+          queryParameter('language', LANGUAGE),
+          queryParameter('specSha256', STRING),
+          queryParameter('packageName', STRING),
+          queryParameter('since', TIMESTAMP),
+          queryParameter('until', TIMESTAMP),
+          queryParameter('keyId', STRING, 'Admin keys only'),
+          queryParameter('limit', { type: 'integer', minimum: 1, maximum: 200, default: 50 }),
+          queryParameter('cursor', STRING, '`nextCursor` of the previous page')
+        ],
+        responses: ok('A page of generations', ref('GenerationList')),
+        errors: [400, 404]
+      })
+    },
+    '/generations/{id}': {
+      get: operation({
+        operationId: 'getGeneration',
+        tag: 'History',
+        summary: 'One generation record',
+        parameters: [idParameter('Generation id')],
+        responses: ok('The generation', ref('Generation')),
+        errors: [404]
+      })
+    },
+    '/generations/{id}/artifact': {
+      get: operation({
+        operationId: 'getGenerationArtifact',
+        tag: 'History',
+        summary: 'Download the archive of a generation',
+        parameters: [idParameter('Generation id'), { name: 'If-None-Match', in: 'header', required: false, schema: STRING }],
+        responses: {
+          200: { description: 'The SDK archive', content: ARCHIVE_CONTENT },
+          304: { description: 'The client has the current archive' }
+        },
+        errors: [404]
+      })
+    },
+    '/webhooks/deliveries': {
+      get: operation({
+        operationId: 'listWebhookDeliveries',
+        tag: 'Webhooks',
+        summary: 'Recent callback deliveries, newest first',
+        parameters: [
+          queryParameter('status', { type: 'string', enum: DELIVERY_STATUSES }),
+          queryParameter('jobId', STRING)
+        ],
+        responses: ok('Deliveries', ref('WebhookDeliveryList')),
+        errors: [400]
+      })
+    },
+    '/webhooks/deliveries/{id}': {
+      get: operation({
+        operationId: 'getWebhookDelivery',
+        tag: 'Webhooks',
+        summary: 'One delivery with its payload',
+        parameters: [idParameter('Delivery id')],
+        responses: ok('The delivery', ref('WebhookDelivery')),
+        errors: [404]
+      })
+    },
+    '/webhooks/deliveries/{id}/redeliver': {
+      post: operation({
+        operationId: 'redeliverWebhook',
+        tag: 'Webhooks',
+        summary: "Send a delivery's payload again",
+        parameters: [idParameter('Delivery id')],
+        responses: { 202: { description: 'The new delivery', content: json(ref('WebhookDelivery')) } },
+        errors: [404]
+      })
+    },
+    '/cache': {
+      get: operation({
+        operationId: 'getCacheStats',
+        tag: 'Admin',
+        summary: 'Size of the archive cache',
+        responses: ok('Cache statistics', ref('CacheStats')),
+        errors: [403]
+      }),
+      delete: operation({
+        operationId: 'clearCache',
+        tag: 'Admin',
+        summary: 'Drop every cached archive',
+        responses: ok('What was removed', ref('CacheCleared')),
+        errors: [403]
+      })
+    },
+    '/admin/keys': {
+      get: operation({
+        operationId: 'listApiKeys',
+        tag: 'Admin',
+        summary: 'All API keys',
+        responses: ok('API keys', ref('ApiKeyList')),
+        errors: [403]
+      }),
+      post: operation({
+        operationId: 'createApiKey',
+        tag: 'Admin',
+        summary: 'Create an API key',
+        requestBody: { required: true, content: json(ref('NewApiKey')) },
+        responses: { 201: { description: 'The key with its secrets', content: json(ref('ApiKeyWithSecrets')) } },
+        errors: [400, 403]
+      })
+    },
+    '/admin/keys/{id}': {
+      delete: operation({
+        operationId: 'revokeApiKey',
+        tag: 'Admin',
+        summary: 'Revoke an API key',
+        parameters: [idParameter('API key id')],
+        responses: ok('The revoked key', ref('ApiKey')),
+        errors: [400, 403, 404]
+      })
+    },
+    '/admin/keys/{id}/rotate': {
+      post: operation({
+        operationId: 'rotateApiKey',
+        tag: 'Admin',
+        summary: "Replace a key's secret",
+        parameters: [idParameter('API key id')],
+        responses: ok('The key with its new secret', ref('ApiKeyWithSecrets')),
+        errors: [400, 403, 404]
+      })
+    },
+    '/admin/keys/{id}/webhook-secret': {
+      post: operation({
+        operationId: 'rotateWebhookSecret',
+        tag: 'Admin',
+        summary: "Replace a key's webhook secret",
+        parameters: [idParameter('API key id')],
+        responses: ok('The key with its new webhook secret', ref('ApiKeyWithSecrets')),
+        errors: [400, 403, 404]
+      })
+    },
+    '/admin/keys/{id}/lint': {
+      put: operation({
+        operationId: 'setApiKeyLint',
+        tag: 'Admin',
+        summary: "Replace a key's lint settings; an empty object removes them",
+        parameters: [idParameter('API key id')],
+        requestBody: { required: true, content: json(ref('LintConfig')) },
+        responses: ok('The key', ref('ApiKey')),
+        errors: [400, 403, 404]
+      })
+    },
+    '/admin/keys/{id}/publish-credentials': {
+      put: operation({
+        operationId: 'setApiKeyPublishCredentials',
+        tag: 'Admin',
+        summary: 'Replace the publishing credentials a key may name; null allows all',
+        parameters: [idParameter('API key id')],
+        requestBody: { required: true, content: json(ref('PublishCredentials')) },
+        responses: ok('The key', ref('ApiKey')),
+        errors: [400, 403, 404]
+      })
+    }
+  };
+}
+
+// The description of a server at `version`; GET /openapi.json adds `servers`
+function buildApiDescription({ version }) {
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: 'Fern SDK Generator Server',
+      version,
+      description: 'Validates, normalizes and diffs API specs and generates SDKs from them with Fern.'
+    },
+    security: [{ ApiKeyAuth: [] }],
+    tags: ['Generation', 'Jobs', 'History', 'Validation', 'Webhooks', 'Admin', 'Server'].map(name => ({ name })),
+    paths: paths(),
+    components: {
+      securitySchemes: {
+        ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'x-api-key' }
+      },
+      responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([status, description]) => [
+        status,
+        { description, content: json(ref('Error')) }
+      ])),
+      schemas: componentSchemas()
+    }
+  };
+}
+
+module.exports = { buildApiDescription };
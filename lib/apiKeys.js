@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { ValidationError } = require('./errors');
+const { SUPPORTED_LANGUAGES } = require('./generators');
+const { validateLintConfig } = require('./specLint');
+
+const SCOPES = ['check', 'generate', 'publish', 'admin'];
+const MINUTE_MS = 60 * 1000;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function generateSecret() {
+  return `fsk_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// Signs webhook callbacks, so unlike the API secret it is stored as is
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function secondsUntilNextUtcDay(now) {
+  const next = new Date(now);
+  next.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((next.getTime() - now) / 1000);
+}
+
+function isPositiveIntegerOrNull(value) {
+  return value === null || (Number.isInteger(value) && value > 0);
+}
+
+// Names of `PUBLISH_CREDENTIALS_<NAME>` variables, stored upper case; null
+// allows every configured credential
+function validatePublishCredentials(names) {
+  if (names !== null && (!Array.isArray(names) ||
+      names.some(name => typeof name !== 'string' || !/^[A-Za-z0-9_]+$/.test(name)))) {
+    throw new ValidationError("Key 'publishCredentials' must be null or a list of credential names", {
+      field: 'publishCredentials'
+    });
+  }
+  return names === null ? null : [...new Set(names.map(name => name.toUpperCase()))];
+}
+
+// Validate the settings of a new key as sent to the admin endpoint
+function validateKeySettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new ValidationError('Key settings must be a JSON object');
+  }
+  const merged = {
+    scopes: ['check', 'generate'],
+    allowedLanguages: null,
+    rateLimitPerMinute: null,
+    dailyQuota: null,
+    publishCredentials: [],
+    lint: null,
+    ...settings
+  };
+
+  if (typeof merged.name !== 'string' || merged.name.trim().length === 0) {
+    throw new ValidationError("Key 'name' must be a non-empty string", { field: 'name' });
+  }
+  if (!Array.isArray(merged.scopes) || merged.scopes.some(scope => !SCOPES.includes(scope))) {
+    throw new ValidationError("Key 'scopes' must be a list of known scopes", { field: 'scopes', scopes: SCOPES });
+  }
+  if (merged.allowedLanguages !== null && (!Array.isArray(merged.allowedLanguages) ||
+      merged.allowedLanguages.some(language => !SUPPORTED_LANGUAGES.includes(language)))) {
+    throw new ValidationError("Key 'allowedLanguages' must be null or a list of supported languages", {
+      field: 'allowedLanguages',
+      supportedLanguages: SUPPORTED_LANGUAGES
+    });
+  }
+  ['rateLimitPerMinute', 'dailyQuota'].forEach(field => {
+    if (!isPositiveIntegerOrNull(merged[field])) {
+      throw new ValidationError(`Key '${field}' must be null or a positive integer`, { field });
+    }
+  });
+
+  return {
+    name: merged.name.trim(),
+    scopes: [...new Set(merged.scopes)],
+    allowedLanguages: merged.allowedLanguages,
+    rateLimitPerMinute: merged.rateLimitPerMinute,
+    dailyQuota: merged.dailyQuota,
+    publishCredentials: validatePublishCredentials(merged.publishCredentials),
+    lint: merged.lint === null ? null : validateLintConfig(merged.lint)
+  };
+}
+
+// File-backed store of named API keys. Only a SHA-256 of each secret is kept;
+// the secret itself is returned once, on create or rotate. The webhook secret
+// a key's callbacks are signed with is also returned once, on create or
+// `rotateWebhookSecret()`. Daily usage is
+// persisted with the keys so a restart does not reset quotas; rate limit
+// windows are in memory only.
+class ApiKeyStore {
+  constructor({ file, logger }) {
+    this.file = file;
+    this.logger = logger;
+    this.keys = new Map();
+    this.byHash = new Map();
+    this.usage = {};
+    this.windows = new Map();
+    this.saving = Promise.resolve();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return;
+    }
+    const { keys = [], usage = {} } = fs.readJsonSync(this.file);
+    keys.forEach(key => this.index(key));
+    this.usage = usage;
+    this.logger.info('API keys loaded', { file: this.file, keys: keys.length });
+  }
+
+  // Register a key that is not persisted, e.g. one configured in the environment
+  addStaticKey(id, secret, settings) {
+    this.index({ id, static: true, secretHash: hashSecret(secret), createdAt: new Date().toISOString(), ...settings });
+  }
+
+  index(key) {
+    this.keys.set(key.id, key);
+    this.byHash.set(key.secretHash, key.id);
+  }
+
+  // Writes are chained so concurrent updates cannot interleave
+  save() {
+    const data = {
+      keys: [...this.keys.values()].filter(key => !key.static),
+      usage: this.usage
+    };
+    this.saving = this.saving
+      .then(async () => {
+        await fs.ensureDir(path.dirname(this.file));
+        const tempPath = `${this.file}.tmp`;
+        await fs.writeJson(tempPath, data, { spaces: 2, mode: 0o600 });
+        await fs.move(tempPath, this.file, { overwrite: true });
+      })
+      .catch(error => this.logger.error('Failed to save API keys', { file: this.file, error: error.message }));
+    return this.saving;
+  }
+
+  get size() {
+    return [...this.keys.values()].filter(key => !key.revokedAt).length;
+  }
+
+  authenticate(secret) {
+    if (typeof secret !== 'string' || secret.length === 0) {
+      return null;
+    }
+    const key = this.keys.get(this.byHash.get(hashSecret(secret)));
+    return key && !key.revokedAt ? key : null;
+  }
+
+  static hasScope(key, scope) {
+    return key.scopes.includes(scope) || key.scopes.includes('admin');
+  }
+
+  static allowsLanguage(key, language) {
+    return key.allowedLanguages === null || key.allowedLanguages === undefined ||
+      key.allowedLanguages.includes(language);
+  }
+
+  // Keys stored before credentials were bound to keys may use none
+  static allowsCredentials(key, name) {
+    return key.publishCredentials === null ||
+      (key.publishCredentials || []).includes(name.toUpperCase());
+  }
+
+  // Fixed one-minute window per key. Returns the seconds to wait when the
+  // limit is reached, 0 otherwise.
+  takeRequest(key, now = Date.now()) {
+    if (!key.rateLimitPerMinute) {
+      return 0;
+    }
+    let window = this.windows.get(key.id);
+    if (!window || now - window.startedAt >= MINUTE_MS) {
+      window = { startedAt: now, count: 0 };
+      this.windows.set(key.id, window);
+    }
+    if (window.count >= key.rateLimitPerMinute) {
+      return Math.ceil((window.startedAt + MINUTE_MS - now) / 1000);
+    }
+    window.count++;
+    return 0;
+  }
+
+  // Count a generation against the daily (UTC) quota. Returns the seconds
+  // until the quota resets when it is used up, 0 otherwise.
+  takeGeneration(key, now = Date.now()) {
+    const day = utcDay(now);
+    const usage = this.usage[key.id] && this.usage[key.id].day === day ? this.usage[key.id] : { day, generations: 0 };
+    if (key.dailyQuota && usage.generations >= key.dailyQuota) {
+      return secondsUntilNextUtcDay(now);
+    }
+    usage.generations++;
+    this.usage[key.id] = usage;
+    if (!key.static) {
+      this.save();
+    }
+    return 0;
+  }
+
+  // The key as shown to admins, never including the secret or its hash
+  describe(key) {
+    const usage = this.usage[key.id];
+    const today = utcDay(Date.now());
+    return {
+      id: key.id,
+      name: key.name,
+      scopes: key.scopes,
+      allowedLanguages: key.allowedLanguages,
+      rateLimitPerMinute: key.rateLimitPerMinute,
+      dailyQuota: key.dailyQuota,
+      publishCredentials: key.publishCredentials === undefined ? [] : key.publishCredentials,
+      generationsToday: usage && usage.day === today ? usage.generations : 0,
+      hasWebhookSecret: Boolean(key.webhookSecret),
+      lint: key.lint || null,
+      static: Boolean(key.static),
+      createdAt: key.createdAt,
+      rotatedAt: key.rotatedAt || null,
+      revokedAt: key.revokedAt || null
+    };
+  }
+
+  list() {
+    return [...this.keys.values()].map(key => this.describe(key));
+  }
+
+  get(id) {
+    return this.keys.get(id) || null;
+  }
+
+  async create(settings) {
+    const secret = generateSecret();
+    const key = {
+      id: `key_${crypto.randomBytes(8).toString('hex')}`,
+      ...validateKeySettings(settings),
+      secretHash: hashSecret(secret),
+      webhookSecret: generateWebhookSecret(),
+      createdAt: new Date().toISOString()
+    };
+    this.index(key);
+    await this.save();
+    return { key, secret };
+  }
+
+  // Replace the secret; the old one stops working immediately
+  async rotate(id) {
+    const key = this.mutableKey(id);
+    if (!key) {
+      return null;
+    }
+    const secret = generateSecret();
+    this.byHash.delete(key.secretHash);
+    key.secretHash = hashSecret(secret);
+    key.rotatedAt = new Date().toISOString();
+    this.byHash.set(key.secretHash, key.id);
+    await this.save();
+    return { key, secret };
+  }
+
+  // Replace (or, for keys created before webhooks, add) the webhook secret
+  async rotateWebhookSecret(id) {
+    const key = this.mutableKey(id);
+    if (!key) {
+      return null;
+    }
+    key.webhookSecret = generateWebhookSecret();
+    await this.save();
+    return key;
+  }
+
+  // Replace the lint rules applied to the key's requests; null removes them
+  async setLint(id, lint) {
+    const key = this.mutableKey(id);
+    if (!key) {
+      return null;
+    }
+    key.lint = lint === null ? null : validateLintConfig(lint);
+    await this.save();
+    return key;
+  }
+
+  // Replace the publishing credentials the key may name
+  async setPublishCredentials(id, names) {
+    const key = this.mutableKey(id);
+    if (!key) {
+      return null;
+    }
+    key.publishCredentials = validatePublishCredentials(names);
+    await this.save();
+    return key;
+  }
+
+  async revoke(id) {
+    const key = this.mutableKey(id);
+    if (!key) {
+      return null;
+    }
+    if (!key.revokedAt) {
+      key.revokedAt = new Date().toISOString();
+      this.byHash.delete(key.secretHash);
+      this.windows.delete(key.id);
+      await this.save();
+    }
+    return key;
+  }
+
+  mutableKey(id) {
+    const key = this.keys.get(id);
+    if (!key) {
+      return null;
+    }
+    if (key.static) {
+      throw new ValidationError(`Key '${id}' is configured in the environment and cannot be changed here`);
+    }
+    return key;
+  }
+}
+
+module.exports = { ApiKeyStore, SCOPES };
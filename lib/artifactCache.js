@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { GENERATORS } = require('./generators');
+
+// Content-addressed store of generated SDK archives. Entries are keyed by a hash
+// of everything that determines the output and evicted least recently used
+// first once the total size exceeds `maxBytes`. Each entry is `<key>.zip` (the
+// archive, which may also be a tar.gz or JSON listing) plus a `<key>.json`
+// with its metadata; the index is rebuilt from disk on load.
+class ArtifactCache {
+  constructor({ dir, maxBytes, logger }) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.logger = logger;
+    this.entries = new Map();
+    this.totalBytes = 0;
+  }
+
+  get enabled() {
+    return this.maxBytes > 0;
+  }
+
+  // Options are serialized with sorted keys so equivalent requests hash the same
+  static stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => ArtifactCache.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${ArtifactCache.stableStringify(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  // `inputs` holds content hashes of the spec and overrides; `options` are the
+  // validated generation options, which carry the resolved Fern CLI version and
+  // every default. Only options that shape the output are part of the key.
+  static computeKey(inputs, options) {
+    const generators = options.languages.map(language => ({
+      language,
+      name: GENERATORS[language].name,
+      version: GENERATORS[language].version
+    }));
+    return crypto.createHash('sha256')
+      .update(ArtifactCache.stableStringify({
+        ...inputs,
+        fernCliVersion: options.fernCliVersion,
+        generators,
+        options: {
+          packageName: options.packageName,
+          includeExamples: options.includeExamples,
+          includeTests: options.includeTests,
+          verify: options.verify,
+          normalize: options.normalize,
+          config: options.config,
+          specPath: options.specPath,
+          output: options.output
+        }
+      }))
+      .digest('hex');
+  }
+
+  artifactPath(key) {
+    return path.join(this.dir, `${key}.zip`);
+  }
+
+  metadataPath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async load() {
+    if (!this.enabled) {
+      return;
+    }
+    await fs.ensureDir(this.dir);
+    const loaded = [];
+    for (const name of await fs.readdir(this.dir)) {
+      if (!name.endsWith('.json')) {
+        continue;
+      }
+      const key = path.basename(name, '.json');
+      try {
+        const metadata = await fs.readJson(this.metadataPath(key));
+        const { size, atimeMs } = await fs.stat(this.artifactPath(key));
+        loaded.push({ key, size, lastUsed: atimeMs, metadata });
+      } catch (error) {
+        // Incomplete entry, e.g. from a crash while storing
+        await this.removeFiles(key);
+      }
+    }
+    loaded.sort((a, b) => a.lastUsed - b.lastUsed).forEach(entry => {
+      this.entries.set(entry.key, entry);
+      this.totalBytes += entry.size;
+    });
+    await this.evict();
+    this.logger.info('Artifact cache loaded', { dir: this.dir, entries: this.entries.size, bytes: this.totalBytes });
+  }
+
+  // Return the cached entry and mark it as most recently used
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    this.entries.delete(key);
+    entry.lastUsed = Date.now();
+    this.entries.set(key, entry);
+    const now = new Date();
+    fs.utimes(this.artifactPath(key), now, now).catch(() => {});
+    return { key, path: this.artifactPath(key), metadata: entry.metadata };
+  }
+
+  // Copy an archive into the cache. Written under a temporary name and renamed
+  // so a reader never sees a partial file; the name is random so concurrent
+  // puts of the same key do not write to the same file.
+  async put(key, sourcePath, metadata = {}) {
+    if (!this.enabled) {
+      return null;
+    }
+    const { size } = await fs.stat(sourcePath);
+    if (size > this.maxBytes) {
+      this.logger.warn('Artifact larger than the cache, not caching', { key, size });
+      return null;
+    }
+    await fs.ensureDir(this.dir);
+    const tempPath = `${this.artifactPath(key)}.${crypto.randomBytes(8).toString('hex')}.tmp`;
+    try {
+      await fs.copy(sourcePath, tempPath);
+      await fs.move(tempPath, this.artifactPath(key), { overwrite: true });
+    } catch (error) {
+      await fs.remove(tempPath).catch(() => {});
+      throw error;
+    }
+    await fs.writeJson(this.metadataPath(key), metadata);
+
+    if (this.entries.has(key)) {
+      this.totalBytes -= this.entries.get(key).size;
+      this.entries.delete(key);
+    }
+    this.entries.set(key, { key, size, lastUsed: Date.now(), metadata });
+    this.totalBytes += size;
+    await this.evict(key);
+    return this.get(key);
+  }
+
+  // Drop least recently used entries (Map order) until within the size limit
+  async evict(keep = null) {
+    for (const key of this.entries.keys()) {
+      if (this.totalBytes <= this.maxBytes) {
+        break;
+      }
+      if (key === keep) {
+        continue;
+      }
+      await this.remove(key);
+      this.logger.info('Evicted cached artifact', { key });
+    }
+  }
+
+  async remove(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.totalBytes -= entry.size;
+    }
+    await this.removeFiles(key);
+  }
+
+  async removeFiles(key) {
+    await fs.remove(this.artifactPath(key));
+    await fs.remove(this.metadataPath(key));
+  }
+
+  async clear() {
+    const removed = { entries: this.entries.size, bytes: this.totalBytes };
+    for (const key of [...this.entries.keys()]) {
+      await this.remove(key);
+    }
+    return removed;
+  }
+
+  stats() {
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      bytes: this.totalBytes,
+      maxBytes: this.maxBytes
+    };
+  }
+}
+
+module.exports = { ArtifactCache };
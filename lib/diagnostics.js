@@ -0,0 +1,253 @@
+const fs = require('fs-extra');
+const path = require('path');
+const YAML = require('yaml');
+
+// Turns the human-oriented output of `fern check` into structured diagnostics
+// and resolves each one to a line/column in the spec where possible.
+
+const SEVERITY_PATTERN = /^(error|warning|warn|info)\b\s*[:-]?\s*/i;
+// "[api]: openapi/openapi.yml -> paths -> /pets -> get"
+const LOCATION_PATTERN = /^(?:\[[^\]]+\]:\s*)?(?:(error|warning|warn|info)\s*[:-]?\s*)?([^\s]+\.(?:ya?ml|json))(?:\s*->\s*(.+))?$/i;
+// "[api]: Found 2 errors and 1 warnings. Run fern check --warnings ..."
+const SUMMARY_PATTERN = /Found \d+ errors?(?: and \d+ warnings?)?/i;
+// "Missing operationId (missing-operation-id)" or "[missing-operation-id] ..."
+const CODE_PATTERNS = [/^\[([\w./-]+)\]\s*/, /\s*\(([a-z][\w./-]*)\)$/];
+const DEFAULT_CODE = 'fern/check';
+
+function normalizeSeverity(value) {
+  if (!value) {
+    return 'error';
+  }
+  const severity = value.toLowerCase();
+  return severity === 'warn' ? 'warning' : severity;
+}
+
+// Escape a path segment for use in a JSON pointer (RFC 6901)
+function toPointerSegment(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function extractCode(message) {
+  for (const pattern of CODE_PATTERNS) {
+    const match = message.match(pattern);
+    if (match) {
+      return { code: match[1], message: message.replace(pattern, '').trim() };
+    }
+  }
+  return { code: DEFAULT_CODE, message };
+}
+
+// A diagnostic at `segments` of `file`. Without a `code` the rule code is
+// taken from the message, as `fern check` prints it.
+function createDiagnostic({ severity, message, code = null, file = null, segments = [] }) {
+  const extracted = code ? { code, message } : extractCode(message);
+  return {
+    severity: normalizeSeverity(severity),
+    message: extracted.message,
+    code: extracted.code,
+    file,
+    pointer: file ? '/' + segments.map(toPointerSegment).join('/') : null,
+    segments,
+    line: null,
+    column: null
+  };
+}
+
+function parseFernCheckOutput(output) {
+  const diagnostics = [];
+  let current = null;
+
+  const flush = () => {
+    if (current && current.lines.length > 0) {
+      diagnostics.push(createDiagnostic({
+        severity: current.severity,
+        message: current.lines.join(' '),
+        file: current.file,
+        segments: current.segments
+      }));
+    }
+    current = null;
+  };
+
+  (output || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (line.length === 0 || SUMMARY_PATTERN.test(line)) {
+      return;
+    }
+
+    const location = line.match(LOCATION_PATTERN);
+    if (location) {
+      flush();
+      current = {
+        severity: location[1],
+        file: location[2],
+        segments: location[3] ? location[3].split(/\s*->\s*/) : [],
+        lines: []
+      };
+      return;
+    }
+
+    // Indented lines continue the message of the preceding location header
+    if (current && /^\s/.test(rawLine)) {
+      const severity = line.match(SEVERITY_PATTERN);
+      if (severity) {
+        current.severity = severity[1];
+      }
+      current.lines.push(line.replace(SEVERITY_PATTERN, ''));
+      return;
+    }
+
+    flush();
+    const severity = line.match(SEVERITY_PATTERN);
+    const message = line.replace(/^\[[^\]]+\]:\s*/, '').replace(SEVERITY_PATTERN, '');
+    if (message.length > 0) {
+      diagnostics.push(createDiagnostic({ severity: severity && severity[1], message }));
+    }
+  });
+  flush();
+
+  return diagnostics;
+}
+
+// Find the deepest node matching the path segments and return its offset
+function findNodeOffset(doc, segments) {
+  let node = doc.contents;
+  let offset = node && node.range ? node.range[0] : null;
+
+  for (const segment of segments) {
+    if (!node || !node.items) {
+      break;
+    }
+    let next = null;
+    if (YAML.isMap(node)) {
+      const pair = node.items.find(item => YAML.isScalar(item.key) && String(item.key.value) === segment);
+      if (pair) {
+        offset = pair.key && pair.key.range ? pair.key.range[0] : offset;
+        next = pair.value;
+      }
+    } else if (YAML.isSeq(node) && /^\d+$/.test(segment)) {
+      next = node.items[Number(segment)];
+      offset = next && next.range ? next.range[0] : offset;
+    }
+    if (!next) {
+      break;
+    }
+    node = next;
+  }
+
+  return offset;
+}
+
+// Fill in line/column for diagnostics that point into a file of the workspace.
+// Files are looked up relative to each of `baseDirs`, never outside them.
+function resolveLocations(diagnostics, baseDirs) {
+  const documents = new Map();
+
+  const loadDocument = (file) => {
+    if (documents.has(file)) {
+      return documents.get(file);
+    }
+    let loaded = null;
+    for (const baseDir of baseDirs) {
+      const filePath = path.resolve(baseDir, file);
+      if (!filePath.startsWith(path.resolve(baseDir) + path.sep) || !fs.existsSync(filePath)) {
+        continue;
+      }
+      const lineCounter = new YAML.LineCounter();
+      const doc = YAML.parseDocument(fs.readFileSync(filePath, 'utf8'), { lineCounter });
+      loaded = { doc, lineCounter };
+      break;
+    }
+    documents.set(file, loaded);
+    return loaded;
+  };
+
+  diagnostics.forEach(diagnostic => {
+    if (!diagnostic.file) {
+      return;
+    }
+    const loaded = loadDocument(diagnostic.file);
+    if (!loaded) {
+      return;
+    }
+    const offset = findNodeOffset(loaded.doc, diagnostic.segments);
+    if (offset !== null) {
+      const position = loaded.lineCounter.linePos(offset);
+      diagnostic.line = position.line;
+      diagnostic.column = position.col;
+    }
+  });
+
+  return diagnostics;
+}
+
+// Public shape of a diagnostic; path segments are only needed internally
+function formatDiagnostic({ segments, ...diagnostic }) {
+  return diagnostic;
+}
+
+function summarizeDiagnostics(diagnostics) {
+  return {
+    errors: diagnostics.filter(d => d.severity === 'error').length,
+    warnings: diagnostics.filter(d => d.severity === 'warning').length,
+    infos: diagnostics.filter(d => d.severity === 'info').length
+  };
+}
+
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+// Render diagnostics as a SARIF 2.1.0 log for code-scanning tools.
+// `fileUri` maps a diagnostic file to the URI reported for it and
+// `properties` is attached to the run as-is.
+function toSarif(diagnostics, { toolVersion, fileUri = file => file, properties } = {}) {
+  const ruleIds = [...new Set(diagnostics.map(d => d.code))];
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      properties,
+      tool: {
+        driver: {
+          name: 'fern check',
+          version: toolVersion,
+          informationUri: 'https://buildwithfern.com/learn/cli-api-reference/cli-reference/commands#fern-check',
+          rules: ruleIds.map(id => ({ id }))
+        }
+      },
+      results: diagnostics.map(diagnostic => {
+        const result = {
+          ruleId: diagnostic.code,
+          ruleIndex: ruleIds.indexOf(diagnostic.code),
+          level: SARIF_LEVELS[diagnostic.severity] || 'error',
+          message: { text: diagnostic.message }
+        };
+        if (diagnostic.file) {
+          const location = {
+            physicalLocation: {
+              artifactLocation: { uri: fileUri(diagnostic.file) }
+            },
+            logicalLocations: [{ fullyQualifiedName: diagnostic.pointer, kind: 'member' }]
+          };
+          if (diagnostic.line !== null) {
+            location.physicalLocation.region = {
+              startLine: diagnostic.line,
+              startColumn: diagnostic.column
+            };
+          }
+          result.locations = [location];
+        }
+        return result;
+      })
+    }]
+  };
+}
+
+module.exports = {
+  createDiagnostic,
+  parseFernCheckOutput,
+  resolveLocations,
+  formatDiagnostic,
+  summarizeDiagnostics,
+  toSarif
+};
@@ -0,0 +1,79 @@
+class ValidationError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'ValidationError';
+    this.details = details;
+  }
+}
+
+class GenerationError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'GenerationError';
+    this.details = details;
+  }
+}
+
+// A child process exited unsuccessfully. Carries its exit status and the
+// captured (possibly truncated) output.
+class ProcessError extends Error {
+  constructor(message, { exitCode = null, signal = null, stdout = '', stderr = '', truncated = false } = {}) {
+    super(message);
+    this.name = 'ProcessError';
+    this.exitCode = exitCode;
+    this.signal = signal;
+    this.stdout = stdout;
+    this.stderr = stderr;
+    this.truncated = truncated;
+  }
+}
+
+class ProcessTimeoutError extends ProcessError {
+  constructor(message, result) {
+    super(message, result);
+    this.name = 'ProcessTimeoutError';
+  }
+}
+
+class CancelledError extends ProcessError {
+  constructor(message, result) {
+    super(message, result);
+    this.name = 'CancelledError';
+  }
+}
+
+// A sandboxed process was stopped for exceeding a resource limit. `limit`
+// names the limit ('cpu' or 'memory') and `value` its configured size.
+class ResourceLimitError extends ProcessError {
+  constructor(message, result, { limit, value } = {}) {
+    super(message, result);
+    this.name = 'ResourceLimitError';
+    this.limit = limit;
+    this.value = value;
+  }
+}
+
+class CpuLimitError extends ResourceLimitError {
+  constructor(message, result, value) {
+    super(message, result, { limit: 'cpu', value });
+    this.name = 'CpuLimitError';
+  }
+}
+
+class MemoryLimitError extends ResourceLimitError {
+  constructor(message, result, value) {
+    super(message, result, { limit: 'memory', value });
+    this.name = 'MemoryLimitError';
+  }
+}
+
+module.exports = {
+  ValidationError,
+  GenerationError,
+  ProcessError,
+  ProcessTimeoutError,
+  CancelledError,
+  ResourceLimitError,
+  CpuLimitError,
+  MemoryLimitError
+};
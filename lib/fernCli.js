@@ -0,0 +1,162 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { runProcess } = require('./processRunner');
+const { ValidationError } = require('./errors');
+
+// Manages side-by-side installs of the Fern CLI. Each allowed version lives in
+// its own prefix under `cacheDir` and is installed at most once, then reused.
+class FernCliManager {
+  constructor({ cacheDir, defaultVersion, allowedVersions = [], installTimeoutMs = 600000, logger }) {
+    this.cacheDir = cacheDir;
+    this.defaultVersion = defaultVersion;
+    this.allowedVersions = [...new Set([defaultVersion, ...allowedVersions])];
+    this.installTimeoutMs = installTimeoutMs;
+    this.logger = logger;
+    this.binaries = new Map();
+    this.installs = new Map();
+  }
+
+  // Validate a requested version against the allow-list, defaulting when unset
+  resolveVersion(requested) {
+    if (requested === undefined || requested === null || requested === '') {
+      return this.defaultVersion;
+    }
+    if (!this.allowedVersions.includes(requested)) {
+      throw new ValidationError(`Fern CLI version '${requested}' is not allowed`, {
+        field: 'fernCliVersion',
+        allowedVersions: this.allowedVersions
+      });
+    }
+    return requested;
+  }
+
+  versionDir(version) {
+    return path.join(this.cacheDir, version);
+  }
+
+  binaryPath(version) {
+    return path.join(this.versionDir(version), 'node_modules', '.bin', 'fern');
+  }
+
+  // Directory of the fern-api package installed with the server itself
+  bundledPackageDir() {
+    try {
+      return path.dirname(require.resolve('fern-api/package.json'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // The fern-api package installed with the server itself, if it matches
+  bundledBinary(version) {
+    try {
+      const packageJsonPath = require.resolve('fern-api/package.json');
+      const { version: bundledVersion, bin } = fs.readJsonSync(packageJsonPath);
+      if (bundledVersion !== version) {
+        return null;
+      }
+      const binPath = typeof bin === 'string' ? bin : bin.fern;
+      return path.resolve(path.dirname(packageJsonPath), binPath);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async verify(binPath, version) {
+    const { stdout } = await runProcess(binPath, ['--version'], { timeoutMs: 60000 });
+    const reported = stdout.trim();
+    if (reported !== version) {
+      throw new Error(`Fern CLI at ${binPath} reports version ${reported}, expected ${version}`);
+    }
+  }
+
+  async install(version) {
+    const prefix = this.versionDir(version);
+    const binPath = this.binaryPath(version);
+
+    if (fs.existsSync(binPath)) {
+      await this.verify(binPath, version);
+      this.logger.info('Using cached Fern CLI', { version, binPath });
+      return binPath;
+    }
+
+    const bundled = this.bundledBinary(version);
+    if (bundled && fs.existsSync(bundled)) {
+      await this.verify(bundled, version);
+      this.logger.info('Using bundled Fern CLI', { version, binPath: bundled });
+      return bundled;
+    }
+
+    this.logger.info('Installing Fern CLI', { version, prefix });
+    await fs.ensureDir(prefix);
+    try {
+      await runProcess('npm', [
+        'install', '--prefix', prefix, '--omit=dev', '--no-save', '--no-audit', '--no-fund',
+        `fern-api@${version}`
+      ], { timeoutMs: this.installTimeoutMs });
+    } catch (installError) {
+      this.logger.error('Error installing Fern CLI', {
+        version,
+        error: installError.message,
+        stderr: installError.stderr
+      });
+      await fs.remove(prefix);
+      throw new Error(`Failed to install Fern CLI ${version}: ${installError.message}`);
+    }
+
+    await this.verify(binPath, version);
+    this.logger.info('Fern CLI installed', { version, binPath });
+    return binPath;
+  }
+
+  // Resolve the binary for a version, installing it on first use. Concurrent
+  // callers for the same version share one install.
+  async ensureInstalled(version = this.defaultVersion) {
+    if (this.binaries.has(version)) {
+      return this.binaries.get(version);
+    }
+    if (!this.installs.has(version)) {
+      const install = this.install(version)
+        .then(binPath => {
+          this.binaries.set(version, binPath);
+          return binPath;
+        })
+        .finally(() => this.installs.delete(version));
+      this.installs.set(version, install);
+    }
+    return this.installs.get(version);
+  }
+
+  // Cheap readiness check for probes: the version was verified since startup
+  // and its binary is still there and executable
+  async checkReady(version = this.defaultVersion) {
+    const binPath = this.binaries.get(version);
+    if (!binPath) {
+      return { ok: false, version, error: this.installs.has(version) ? 'Installing' : 'Not verified' };
+    }
+    try {
+      await fs.access(binPath, fs.constants.X_OK);
+      return { ok: true, version, binPath };
+    } catch (error) {
+      return { ok: false, version, binPath, error: error.message };
+    }
+  }
+
+  // Report every allowed version and whether it is ready to use
+  listVersions() {
+    return this.allowedVersions.map(version => {
+      const cached = fs.existsSync(this.binaryPath(version));
+      const bundled = !cached && this.bundledBinary(version) !== null;
+      return {
+        version,
+        default: version === this.defaultVersion,
+        installed: cached || bundled,
+        verified: this.binaries.has(version),
+        installing: this.installs.has(version),
+        source: cached ? 'cache' : bundled ? 'bundled' : null
+      };
+    });
+  }
+}
+
+module.exports = { FernCliManager };
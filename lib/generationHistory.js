@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { ValidationError } = require('./errors');
+const { hashFile } = require('./objectStorage');
+
+// Persistent record of every SDK generation: who asked for it, the spec and
+// options it ran with, the Fern CLI and generator versions, how long it took,
+// how it ended and where its archive is. Records are JSON documents
+// `records/<id>.json` in the storage; archives are stored by content hash as
+// `artifacts/<sha256>.<extension>`, so cached and repeated builds share one
+// copy. The records are kept in memory, newest last, and reloaded on start.
+
+const STATUSES = ['succeeded', 'partial', 'failed', 'cancelled'];
+const RECORDS_PREFIX = 'records/';
+const ARTIFACTS_PREFIX = 'artifacts/';
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+class GenerationHistory {
+  constructor({ storage, retentionMs = 0, logger }) {
+    this.storage = storage;
+    this.retentionMs = retentionMs;
+    this.logger = logger;
+    this.records = new Map();
+  }
+
+  static createId() {
+    return `gen_${crypto.randomBytes(8).toString('hex')}`;
+  }
+
+  async load() {
+    const keys = await this.storage.list(RECORDS_PREFIX);
+    const loaded = [];
+    for (const key of keys.filter(name => name.endsWith('.json'))) {
+      try {
+        loaded.push(await this.storage.getJson(key));
+      } catch (error) {
+        this.logger.warn('Skipping unreadable generation record', { key, error: error.message });
+      }
+    }
+    // Records written while loading are newer than anything loaded
+    const recorded = [...this.records.values()];
+    this.records.clear();
+    [...loaded.sort((a, b) => a.createdAt.localeCompare(b.createdAt)), ...recorded]
+      .forEach(record => this.records.set(record.id, record));
+    await this.prune();
+    this.logger.info('Generation history loaded', { ...this.storage.describe(), records: this.records.size });
+  }
+
+  // Store a finished generation. `record.id` comes from createId() so callers
+  // can hand it out before the record is written. The archive at
+  // `artifactPath`, if any, is uploaded unless the same content is stored.
+  async add(record, { artifactPath = null, extension, contentType } = {}) {
+    let artifact = null;
+    if (artifactPath) {
+      const sha256 = await hashFile(artifactPath);
+      const key = `${ARTIFACTS_PREFIX}${sha256}.${extension}`;
+      if (!(await this.storage.exists(key))) {
+        await this.storage.putFile(key, artifactPath, { contentType });
+      }
+      const { size } = await fs.stat(artifactPath);
+      artifact = { key, sha256, bytes: size, contentType };
+    }
+    const stored = { ...record, artifact };
+    await this.storage.putJson(`${RECORDS_PREFIX}${record.id}.json`, stored);
+    this.records.set(stored.id, stored);
+    await this.prune();
+    return stored;
+  }
+
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  // Newest first. Filters match exactly except `since`/`until` (ISO times,
+  // inclusive). `cursor` is the id of the last record of the previous page.
+  list({ keyId, status, language, specSha256, packageName, since, until, cursor, limit = DEFAULT_PAGE_SIZE } = {}) {
+    let records = [...this.records.values()].reverse().filter(record => (!keyId || record.keyId === keyId) &&
+      (!status || record.status === status) &&
+      (!language || record.options.languages.includes(language)) &&
+      (!specSha256 || (record.spec && record.spec.sha256 === specSha256)) &&
+      (!packageName || record.options.packageName === packageName) &&
+      (!since || record.createdAt >= since) &&
+      (!until || record.createdAt <= until));
+    if (cursor) {
+      const index = records.findIndex(record => record.id === cursor);
+      if (index === -1) {
+        throw new ValidationError(`Unknown cursor '${cursor}'`, { field: 'cursor' });
+      }
+      records = records.slice(index + 1);
+    }
+    const page = records.slice(0, limit);
+    return {
+      generations: page,
+      nextCursor: records.length > limit ? page[page.length - 1].id : null
+    };
+  }
+
+  openArtifact(record) {
+    return this.storage.openStream(record.artifact.key);
+  }
+
+  // Drop records older than the retention period, and archives no remaining
+  // record refers to
+  async prune() {
+    if (!this.retentionMs) {
+      return;
+    }
+    const cutoff = new Date(Date.now() - this.retentionMs).toISOString();
+    const expired = [...this.records.values()].filter(record => record.createdAt < cutoff);
+    for (const record of expired) {
+      this.records.delete(record.id);
+      try {
+        await this.storage.remove(`${RECORDS_PREFIX}${record.id}.json`);
+        const shared = record.artifact &&
+          [...this.records.values()].some(other => other.artifact && other.artifact.key === record.artifact.key);
+        if (record.artifact && !shared) {
+          await this.storage.remove(record.artifact.key);
+        }
+      } catch (error) {
+        this.logger.warn('Failed to remove expired generation', { generationId: record.id, error: error.message });
+      }
+    }
+    if (expired.length > 0) {
+      this.logger.info('Pruned generation history', { removed: expired.length });
+    }
+  }
+}
+
+// Query parameters of GET /generations
+function parseHistoryQuery(query) {
+  const filters = {};
+  ['status', 'language', 'specSha256', 'packageName', 'cursor', 'keyId'].forEach(name => {
+    if (query[name] !== undefined) {
+      if (typeof query[name] !== 'string' || query[name] === '') {
+        throw new ValidationError(`Invalid query parameter '${name}'`, { field: name });
+      }
+      filters[name] = query[name];
+    }
+  });
+  if (filters.status && !STATUSES.includes(filters.status)) {
+    throw new ValidationError(`Invalid status '${filters.status}', expected one of: ${STATUSES.join(', ')}`, {
+      field: 'status'
+    });
+  }
+  ['since', 'until'].forEach(name => {
+    if (query[name] !== undefined) {
+      const time = Date.parse(query[name]);
+      if (Number.isNaN(time)) {
+        throw new ValidationError(`Invalid query parameter '${name}': expected an ISO 8601 time`, { field: name });
+      }
+      filters[name] = new Date(time).toISOString();
+    }
+  });
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new ValidationError(`Invalid query parameter 'limit': expected 1 to ${MAX_PAGE_SIZE}`, { field: 'limit' });
+    }
+    filters.limit = limit;
+  }
+  return filters;
+}
+
+module.exports = { STATUSES, GenerationHistory, parseHistoryQuery };
@@ -0,0 +1,278 @@
+const YAML = require('yaml');
+const { ValidationError } = require('./errors');
+const { OUTPUT_FORMATS } = require('./packaging');
+const { validateLintOptions } = require('./specLint');
+
+// Registry of supported Fern generators. Each entry pins the generator image
+// version, where its output goes (relative to the fern directory) and the
+// config keys a caller may set, with their types. `defaults` derives the base
+// config from the top-level request options; caller config is merged on top.
+const GENERATORS = {
+  typescript: {
+    name: 'fernapi/fern-typescript-node-sdk',
+    version: '0.51.7',
+    outputPath: './generated/typescript',
+    configSchema: {
+      namespaceExport: 'string',
+      outputSourceFiles: 'boolean',
+      noSerdeLayer: 'boolean',
+      includeApiReference: 'boolean',
+      skipResponseValidation: 'boolean',
+      timeoutInSeconds: 'number'
+    },
+    defaults: (options) => ({
+      namespaceExport: options.packageName
+    })
+  },
+  python: {
+    name: 'fernapi/fern-python-sdk',
+    version: '4.20.2',
+    outputPath: './generated/python',
+    configSchema: {
+      outputSourceFiles: 'boolean',
+      include_examples: 'boolean',
+      include_tests: 'boolean',
+      client_class_name: 'string',
+      package_name: 'string',
+      timeout_in_seconds: 'number',
+      pydantic_config: 'object'
+    },
+    defaults: (options) => ({
+      outputSourceFiles: true,
+      include_examples: options.includeExamples,
+      include_tests: options.includeTests
+    })
+  },
+  java: {
+    name: 'fernapi/fern-java-sdk',
+    version: '2.36.2',
+    outputPath: './generated/java',
+    configSchema: {
+      outputSourceFiles: 'boolean',
+      includes: 'object',
+      'client-class-name': 'string',
+      'package-prefix': 'string'
+    },
+    defaults: (options) => ({
+      outputSourceFiles: true,
+      includes: {
+        examples: options.includeExamples,
+        tests: options.includeTests
+      }
+    })
+  },
+  go: {
+    name: 'fernapi/fern-go-sdk',
+    version: '0.38.0',
+    outputPath: './generated/go',
+    configSchema: {
+      outputSourceFiles: 'boolean',
+      'module-path': 'string',
+      'include-examples': 'boolean',
+      'include-tests': 'boolean',
+      packageName: 'string'
+    },
+    defaults: (options) => ({
+      outputSourceFiles: true,
+      'module-path': `github.com/${options.packageName}/sdk`,
+      'include-examples': options.includeExamples,
+      'include-tests': options.includeTests
+    })
+  },
+  ruby: {
+    name: 'fernapi/fern-ruby-sdk',
+    version: '0.9.0-rc2',
+    outputPath: './generated/ruby',
+    configSchema: {
+      outputSourceFiles: 'boolean',
+      'include-examples': 'boolean',
+      'include-tests': 'boolean',
+      clientClassName: 'string',
+      gemName: 'string'
+    },
+    defaults: (options) => ({
+      outputSourceFiles: true,
+      'include-examples': options.includeExamples,
+      'include-tests': options.includeTests
+    })
+  },
+  csharp: {
+    name: 'fernapi/fern-csharp-sdk',
+    version: '1.17.4',
+    outputPath: './generated/csharp',
+    configSchema: {
+      outputSourceFiles: 'boolean',
+      'include-examples': 'boolean',
+      'include-tests': 'boolean',
+      namespace: 'string',
+      'client-class-name': 'string'
+    },
+    defaults: (options) => ({
+      outputSourceFiles: true,
+      'include-examples': options.includeExamples,
+      'include-tests': options.includeTests
+    })
+  }
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(GENERATORS);
+
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return value === null ? 'null' : typeof value;
+}
+
+function expectType(value, type, field) {
+  if (typeOf(value) !== type) {
+    throw new ValidationError(`Invalid option '${field}': expected ${type}, got ${typeOf(value)}`, { field });
+  }
+}
+
+// Validate request options against the registry and return a normalized copy:
+// `languages` is always a de-duplicated list, booleans have their defaults and
+// `config` holds per-language generator config keyed by language.
+function validateGenerationOptions(options) {
+  if (typeOf(options) !== 'object') {
+    throw new ValidationError('Options must be a JSON object');
+  }
+
+  let languages;
+  if (options.languages !== undefined) {
+    expectType(options.languages, 'array', 'languages');
+    languages = options.languages;
+  } else {
+    languages = [options.language !== undefined ? options.language : 'typescript'];
+  }
+  if (languages.length === 0) {
+    throw new ValidationError("Option 'languages' must list at least one language", { field: 'languages' });
+  }
+  languages.forEach(language => {
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+      throw new ValidationError(`Unsupported language '${language}'`, {
+        field: 'languages',
+        supportedLanguages: SUPPORTED_LANGUAGES
+      });
+    }
+  });
+  languages = [...new Set(languages)];
+
+  const packageName = options.packageName !== undefined ? options.packageName : 'api-client';
+  expectType(packageName, 'string', 'packageName');
+  if (packageName.trim().length === 0) {
+    throw new ValidationError("Option 'packageName' must not be empty", { field: 'packageName' });
+  }
+
+  const includeExamples = options.includeExamples !== undefined ? options.includeExamples : true;
+  const includeTests = options.includeTests !== undefined ? options.includeTests : false;
+  const verify = options.verify !== undefined ? options.verify : false;
+  const normalize = options.normalize !== undefined ? options.normalize : false;
+  expectType(includeExamples, 'boolean', 'includeExamples');
+  expectType(includeTests, 'boolean', 'includeTests');
+  expectType(verify, 'boolean', 'verify');
+  expectType(normalize, 'boolean', 'normalize');
+
+  const config = options.config !== undefined ? options.config : {};
+  expectType(config, 'object', 'config');
+  Object.entries(config).forEach(([language, languageConfig]) => {
+    if (!languages.includes(language)) {
+      throw new ValidationError(`Config provided for language '${language}' which was not requested`, {
+        field: `config.${language}`
+      });
+    }
+    expectType(languageConfig, 'object', `config.${language}`);
+    const schema = GENERATORS[language].configSchema;
+    Object.entries(languageConfig).forEach(([key, value]) => {
+      if (!schema[key]) {
+        throw new ValidationError(`Unknown config key '${key}' for ${language} generator`, {
+          field: `config.${language}.${key}`,
+          allowedKeys: Object.keys(schema)
+        });
+      }
+      expectType(value, schema[key], `config.${language}.${key}`);
+    });
+  });
+
+  const output = validateOutputOptions(options.output !== undefined ? options.output : {});
+  const lint = validateLintOptions(options.lint);
+
+  return {
+    ...options,
+    language: languages[0],
+    languages,
+    packageName,
+    includeExamples,
+    includeTests,
+    verify,
+    normalize,
+    config,
+    output,
+    lint
+  };
+}
+
+// How the generated SDK is packaged: `format` is one of OUTPUT_FORMATS,
+// `stripPrefix` drops the `generated/` folder from archive paths and
+// `compressionLevel` (0-9) applies to zip and tar.gz
+function validateOutputOptions(output) {
+  expectType(output, 'object', 'output');
+  const allowedKeys = ['format', 'stripPrefix', 'compressionLevel'];
+  Object.keys(output).forEach(key => {
+    if (!allowedKeys.includes(key)) {
+      throw new ValidationError(`Unknown output option '${key}'`, { field: `output.${key}`, allowedKeys });
+    }
+  });
+
+  const format = output.format !== undefined ? output.format : 'zip';
+  if (!Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, format)) {
+    throw new ValidationError(`Unsupported output format '${format}'`, {
+      field: 'output.format',
+      supportedFormats: Object.keys(OUTPUT_FORMATS)
+    });
+  }
+  const stripPrefix = output.stripPrefix !== undefined ? output.stripPrefix : false;
+  expectType(stripPrefix, 'boolean', 'output.stripPrefix');
+  const compressionLevel = output.compressionLevel !== undefined ? output.compressionLevel : 9;
+  expectType(compressionLevel, 'number', 'output.compressionLevel');
+  if (!Number.isInteger(compressionLevel) || compressionLevel < 0 || compressionLevel > 9) {
+    throw new ValidationError("Option 'output.compressionLevel' must be an integer from 0 to 9", {
+      field: 'output.compressionLevel'
+    });
+  }
+  return { format, stripPrefix, compressionLevel };
+}
+
+// Build the generators.yml document for validated options, one group per
+// language, with the optional `api` section in front. Serialized with a YAML
+// library so option values are always quoted as needed and cannot alter the
+// document structure.
+function buildGeneratorsConfig(options, api = null) {
+  const groups = {};
+  options.languages.forEach(language => {
+    const generator = GENERATORS[language];
+    groups[language] = {
+      generators: [{
+        name: generator.name,
+        version: generator.version,
+        output: {
+          location: 'local-file-system',
+          path: generator.outputPath
+        },
+        config: {
+          ...generator.defaults(options),
+          ...(options.config[language] || {})
+        }
+      }]
+    };
+  });
+
+  return YAML.stringify(api ? { api, groups } : { groups });
+}
+
+module.exports = {
+  GENERATORS,
+  SUPPORTED_LANGUAGES,
+  validateGenerationOptions,
+  buildGeneratorsConfig
+};
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Work directories are `fern-<kind>-<uuid>`; upload temp files live in their
+// own directory. Nothing else in the temp dir is touched.
+const WORKSPACE_PREFIX = 'fern-';
+const UPLOADS_DIR = 'fern-uploads';
+
+async function directorySize(dir) {
+  let total = 0;
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    return 0;
+  }
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await directorySize(fullPath);
+    } else if (entry.isFile()) {
+      total += await fs.stat(fullPath).then(stat => stat.size, () => 0);
+    }
+  }
+  return total;
+}
+
+// Bytes used by the work directories and upload temp files in `dir`. Other
+// content of a shared temp dir does not count towards the limit.
+async function workspaceBytes(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  let total = 0;
+  for (const entry of entries) {
+    if (entry.isDirectory() && entry.name.startsWith(WORKSPACE_PREFIX)) {
+      total += await directorySize(path.join(dir, entry.name));
+    }
+  }
+  return total;
+}
+
+// Free space on the filesystem holding `dir`; statfs needs Node 18.15
+async function freeDiskBytes(dir) {
+  const stats = await fs.promises.statfs(dir);
+  return stats.bavail * stats.bsize;
+}
+
+// Owns the work directories in the temp dir. Directories are created with
+// random names and tracked while in use; `sweep()` removes the ones that are
+// not in use and were last modified more than `ttlMs` ago, which covers
+// requests that failed midway and runs of a previous process. `usage()`
+// reports the disk use that admission control and metrics are based on; it
+// walks the work directories, so the result is cached for `usageTtlMs`.
+class Janitor {
+  constructor({ dir, ttlMs, maxBytes = 0, minFreeBytes = 0, usageTtlMs = 5000, logger }) {
+    this.dir = dir;
+    this.uploadsDir = path.join(dir, UPLOADS_DIR);
+    this.ttlMs = ttlMs;
+    this.maxBytes = maxBytes;
+    this.minFreeBytes = minFreeBytes;
+    this.usageTtlMs = usageTtlMs;
+    this.logger = logger;
+    this.active = new Set();
+    this.cachedUsage = null;
+    this.sweepTimer = null;
+  }
+
+  async createWorkDir(kind) {
+    const workDir = path.join(this.dir, `${WORKSPACE_PREFIX}${kind}-${crypto.randomUUID()}`);
+    await fs.ensureDir(workDir);
+    this.active.add(workDir);
+    return workDir;
+  }
+
+  // Mark a work directory in use again, e.g. for a job restored after restart
+  retain(workDir) {
+    this.active.add(workDir);
+  }
+
+  // Work directories in use, e.g. to clean up after unfinished requests on shutdown
+  activeWorkDirs() {
+    return [...this.active];
+  }
+
+  async removeWorkDir(workDir) {
+    this.active.delete(workDir);
+    await fs.remove(workDir);
+  }
+
+  // Remove upload temp files express-fileupload left behind for a request
+  async removeUploads(files) {
+    const uploads = Object.values(files || {}).flat().filter(file => file && file.tempFilePath);
+    await Promise.all(uploads.map(file => fs.remove(file.tempFilePath)));
+  }
+
+  async sweep() {
+    const now = Date.now();
+    const removed = [];
+    const candidates = [];
+
+    const entries = await fs.readdir(this.dir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (entry.isDirectory() && entry.name.startsWith(WORKSPACE_PREFIX) && entry.name !== UPLOADS_DIR) {
+        candidates.push(path.join(this.dir, entry.name));
+      }
+    }
+    if (await fs.pathExists(this.uploadsDir)) {
+      for (const name of await fs.readdir(this.uploadsDir)) {
+        candidates.push(path.join(this.uploadsDir, name));
+      }
+    }
+
+    for (const candidate of candidates) {
+      if (this.active.has(candidate)) {
+        continue;
+      }
+      const stat = await fs.stat(candidate).catch(() => null);
+      if (!stat || now - stat.mtimeMs < this.ttlMs) {
+        continue;
+      }
+      try {
+        await fs.remove(candidate);
+        removed.push(candidate);
+      } catch (error) {
+        this.logger.warn('Failed to remove stale workspace', { path: candidate, error: error.message });
+      }
+    }
+
+    if (removed.length > 0) {
+      this.cachedUsage = null;
+      this.logger.info('Removed stale workspaces', { count: removed.length, paths: removed });
+    }
+    return removed;
+  }
+
+  async usage() {
+    if (!this.cachedUsage || Date.now() - this.cachedUsage.at > this.usageTtlMs) {
+      this.cachedUsage = {
+        at: Date.now(),
+        usedBytes: await workspaceBytes(this.dir),
+        freeBytes: await freeDiskBytes(this.dir).catch(() => NaN)
+      };
+    }
+    const { usedBytes, freeBytes } = this.cachedUsage;
+    return { usedBytes, freeBytes };
+  }
+
+  // Why new work cannot be accepted right now, or null when it can
+  async checkCapacity() {
+    const { usedBytes, freeBytes } = await this.usage();
+    if (this.maxBytes > 0 && usedBytes >= this.maxBytes) {
+      return { reason: 'Temp directory is full', usedBytes, maxBytes: this.maxBytes };
+    }
+    // Unknown free space must not pass for enough
+    if (this.minFreeBytes > 0 && Number.isNaN(freeBytes)) {
+      return { reason: 'Free disk space could not be determined', freeBytes: null, minFreeBytes: this.minFreeBytes };
+    }
+    if (freeBytes < this.minFreeBytes) {
+      return { reason: 'Not enough free disk space', freeBytes, minFreeBytes: this.minFreeBytes };
+    }
+    return null;
+  }
+
+  start(intervalMs = 600000) {
+    const run = () => this.sweep().catch(error => {
+      this.logger.error('Error sweeping stale workspaces', { error: error.message });
+    });
+    run();
+    this.sweepTimer = setInterval(run, intervalMs);
+    this.sweepTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+}
+
+module.exports = { Janitor, UPLOADS_DIR, freeDiskBytes };
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+
+// The parts of a job written to the state file; events and the abort
+// controller only live as long as the process
+const PERSISTED_FIELDS = [
+  'id', 'status', 'createdAt', 'startedAt', 'finishedAt', 'payload',
+  'output', 'results', 'report', 'error', 'artifactPath', 'cached', 'nextEventId'
+];
+
+// In-memory queue that runs SDK generation and spec check jobs with bounded
+// concurrency and keeps finished jobs (and their artifacts) around for a
+// retention period. The handler resolves with any of `output`, `results`,
+// `report` and `artifactPath`, and `cached` when the artifact was reused.
+// Progress is recorded per job and emitted as 'event' (job, event) so it can
+// be streamed to clients and replayed to late subscribers.
+//
+// With a `stateFile` the jobs are written to it whenever one changes status,
+// and `load()` restores them on start: queued jobs are queued again, jobs that
+// were running when the process died are marked failed, and finished jobs are
+// kept for the rest of their retention period. `onRestore(job)` is called for
+// each restored job. The payload must therefore be plain JSON.
+class JobQueue extends EventEmitter {
+  constructor({ concurrency = 1, retentionMs = 3600000, maxEvents = 1000, stateFile = null, handler, onExpire, onRestore, logger }) {
+    super();
+    this.setMaxListeners(0);
+    this.concurrency = Math.max(1, concurrency);
+    this.retentionMs = retentionMs;
+    this.maxEvents = maxEvents;
+    this.handler = handler;
+    this.stateFile = stateFile;
+    this.onExpire = onExpire;
+    this.onRestore = onRestore;
+    this.logger = logger;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+    this.paused = false;
+    this.sweepTimer = null;
+    this.saving = Promise.resolve();
+  }
+
+  enqueue(payload) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      payload,
+      output: null,
+      results: null,
+      report: null,
+      error: null,
+      artifactPath: null,
+      cached: false,
+      abortController: new AbortController(),
+      events: [],
+      nextEventId: 1
+    };
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.publish(job, 'status', { status: job.status });
+    this.logger.info('Job queued', { jobId: job.id, queueLength: this.pending.length });
+    // Start on the next tick so the caller can respond before work begins
+    setImmediate(() => this._next());
+    return job;
+  }
+
+  // Restore the jobs of the state file. Call before start(), once the 'event'
+  // listeners are attached: interrupted jobs emit their 'done' event here.
+  load() {
+    if (!this.stateFile || !fs.existsSync(this.stateFile)) {
+      return;
+    }
+    const { jobs = [] } = fs.readJsonSync(this.stateFile);
+    const counts = { queued: 0, interrupted: 0, finished: 0 };
+    jobs.forEach(stored => {
+      const job = { ...stored, abortController: new AbortController(), events: [] };
+      this.jobs.set(job.id, job);
+      if (this.onRestore) {
+        this.onRestore(job);
+      }
+      if (job.status === 'queued') {
+        counts.queued++;
+        this.pending.push(job);
+        this.publish(job, 'status', { status: job.status });
+      } else if (job.status === 'running') {
+        counts.interrupted++;
+        job.status = 'failed';
+        job.finishedAt = new Date().toISOString();
+        job.error = { message: 'Interrupted by a server restart' };
+        this.logger.warn('Job interrupted by restart', { jobId: job.id });
+        this.publish(job, 'done', { status: job.status });
+      } else {
+        // Replayed to event stream subscribers, like the live 'done' event
+        counts.finished++;
+        job.events.push({ id: job.nextEventId++, type: 'done', data: { status: job.status }, at: job.finishedAt });
+      }
+    });
+    this.logger.info('Jobs restored', { file: this.stateFile, ...counts });
+    setImmediate(() => this._next());
+  }
+
+  // Writes are chained so concurrent updates cannot interleave
+  save() {
+    if (!this.stateFile) {
+      return this.saving;
+    }
+    const jobs = [...this.jobs.values()].map(job => Object.fromEntries(PERSISTED_FIELDS.map(field => [field, job[field]])));
+    this.saving = this.saving
+      .then(async () => {
+        await fs.ensureDir(path.dirname(this.stateFile));
+        const tempPath = `${this.stateFile}.tmp`;
+        await fs.writeJson(tempPath, { jobs });
+        await fs.move(tempPath, this.stateFile, { overwrite: true });
+      })
+      .catch(error => this.logger.error('Failed to save jobs', { file: this.stateFile, error: error.message }));
+    return this.saving;
+  }
+
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  stats() {
+    return { queued: this.pending.length, running: this.running, retained: this.jobs.size };
+  }
+
+  // Record a progress event for a job and notify live subscribers. Only the
+  // most recent `maxEvents` are kept for replay.
+  publish(job, type, data = {}) {
+    const event = { id: job.nextEventId++, type, data, at: new Date().toISOString() };
+    job.events.push(event);
+    if (job.events.length > this.maxEvents) {
+      job.events.splice(0, job.events.length - this.maxEvents);
+    }
+    this.emit('event', job, event);
+    if (type === 'status' || type === 'done') {
+      this.save();
+    }
+  }
+
+  // Cancel a job: queued jobs are dropped, running jobs have their handler
+  // signal aborted and are marked cancelled once the handler settles
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.finishedAt) {
+      return job;
+    }
+    if (job.status === 'queued') {
+      this.pending = this.pending.filter(pending => pending !== job);
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+      this.logger.info('Job cancelled before start', { jobId: job.id });
+      this.publish(job, 'done', { status: job.status });
+    } else {
+      this.logger.info('Cancelling running job', { jobId: job.id });
+    }
+    job.abortController.abort();
+    return job;
+  }
+
+  // Stop starting queued jobs, e.g. when shutting down. They stay queued, and
+  // in the state file.
+  pause() {
+    this.paused = true;
+  }
+
+  // Resolves once no job is running
+  drain() {
+    if (this.running === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.once('idle', resolve));
+  }
+
+  // Abort the running jobs; they fail with `reason` as their error
+  interrupt(reason) {
+    for (const job of this.jobs.values()) {
+      if (job.status === 'running') {
+        job.interruption = reason;
+        job.abortController.abort();
+      }
+    }
+  }
+
+  _next() {
+    while (!this.paused && this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this._run(job);
+    }
+  }
+
+  async _run(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.logger.info('Job started', { jobId: job.id });
+    this.publish(job, 'status', { status: job.status });
+
+    try {
+      const emit = (type, data) => this.publish(job, type, data);
+      const result = await this.handler(job, job.abortController.signal, emit);
+      job.status = 'succeeded';
+      job.output = result.output || null;
+      job.results = result.results || null;
+      job.report = result.report || null;
+      job.artifactPath = result.artifactPath;
+      job.cached = Boolean(result.cached);
+      this.logger.info('Job succeeded', { jobId: job.id });
+    } catch (error) {
+      job.status = job.abortController.signal.aborted && !job.interruption ? 'cancelled' : 'failed';
+      job.error = { message: job.interruption || error.message, details: error.details };
+      if (error.details && error.details.results) {
+        job.results = error.details.results;
+      }
+      if (error.details && (error.details.stdout || error.details.stderr)) {
+        job.output = { stdout: error.details.stdout, stderr: error.details.stderr };
+      }
+      this.logger.error(`Job ${job.status}`, { jobId: job.id, error: error.message });
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      this.publish(job, 'done', { status: job.status });
+      this.running--;
+      if (this.running === 0) {
+        this.emit('idle');
+      }
+      this._next();
+    }
+  }
+
+  // Remove finished jobs whose retention period has elapsed
+  async sweep() {
+    const now = Date.now();
+    const expired = [...this.jobs.values()]
+      .filter(job => job.finishedAt && now - Date.parse(job.finishedAt) >= this.retentionMs);
+    expired.forEach(job => this.jobs.delete(job.id));
+    if (expired.length > 0) {
+      this.save();
+    }
+    for (const job of expired) {
+      this.logger.info('Job expired', { jobId: job.id });
+      if (this.onExpire) {
+        await this.onExpire(job);
+      }
+    }
+  }
+
+  start(intervalMs = 60000) {
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(error => {
+        this.logger.error('Error sweeping expired jobs', { error: error.message });
+      });
+    }, intervalMs);
+    this.sweepTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+}
+
+module.exports = { JobQueue };
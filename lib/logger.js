@@ -0,0 +1,139 @@
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = '[REDACTED]';
+// Meta keys whose values are never logged
+const SENSITIVE_KEY = /^(x-)?api[-_]?key$|secret|token|password|passphrase|credentials?$|authorization|cookie/i;
+// Secrets that can show up inside strings: API key and webhook secrets, bearer
+// tokens and passwords in URLs
+const SENSITIVE_TEXT = [
+  [/\b(fsk|whsec)_[A-Za-z0-9_-]+/g, REDACTED],
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi, `$1 ${REDACTED}`],
+  [/(\/\/)[^/\s:@]+:[^/\s@]+@/g, `$1${REDACTED}@`]
+];
+const MAX_DEPTH = 8;
+// Shorter values would redact ordinary words
+const MIN_SECRET_LENGTH = 8;
+
+// JSON lines logger. Every line carries an ISO timestamp, the level, the
+// message, the fields bound with `child()` and the meta object of the call.
+// Meta keys that look like credentials are replaced, and so is every value
+// registered with `addSecret()` wherever it appears in a string.
+class Logger {
+  constructor({ level = 'info', fields = {}, secrets = new Set() } = {}) {
+    if (!LEVELS[level]) {
+      throw new Error(`Unknown log level "${level}", expected one of: ${Object.keys(LEVELS).join(', ')}`);
+    }
+    this.level = level;
+    this.fields = fields;
+    this.secrets = secrets;
+  }
+
+  // A logger that adds `fields` to every line. Children share the level and
+  // the registered secrets of their parent.
+  child(fields) {
+    return new Logger({ level: this.level, fields: { ...this.fields, ...fields }, secrets: this.secrets });
+  }
+
+  addSecret(value) {
+    if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+      this.secrets.add(value);
+    }
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(message, meta) {
+    this.write('debug', message, meta);
+  }
+
+  info(message, meta) {
+    this.write('info', message, meta);
+  }
+
+  warn(message, meta) {
+    this.write('warn', message, meta);
+  }
+
+  error(message, meta) {
+    this.write('error', message, meta);
+  }
+
+  write(level, message, meta = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+    const entry = { time: new Date().toISOString(), level, message: this.redactText(String(message)) };
+    // Bound fields and meta never replace the timestamp, level or message
+    const extra = { ...this.redact(this.fields), ...this.redact(normalizeMeta(meta)) };
+    for (const [key, value] of Object.entries(extra)) {
+      if (!(key in entry)) {
+        entry[key] = value;
+      }
+    }
+    const line = JSON.stringify(entry);
+    if (level === 'error') {
+      console.error(line);
+    } else if (level === 'warn') {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  }
+
+  redactText(text) {
+    let result = text;
+    for (const secret of this.secrets) {
+      result = result.split(secret).join(REDACTED);
+    }
+    for (const [pattern, replacement] of SENSITIVE_TEXT) {
+      result = result.replace(pattern, replacement);
+    }
+    return result;
+  }
+
+  redact(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+      return this.redactText(value);
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    if (value instanceof Error) {
+      return this.redact({ name: value.name, message: value.message, stack: value.stack }, depth, seen);
+    }
+    if (seen.has(value) || depth >= MAX_DEPTH) {
+      return '[Truncated]';
+    }
+    seen.add(value);
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, depth + 1, seen));
+    }
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      // Flags such as `environmentKey: true` say nothing about the secret
+      result[key] = SENSITIVE_KEY.test(key) && item !== null && item !== undefined && typeof item !== 'boolean'
+        ? REDACTED
+        : this.redact(item, depth + 1, seen);
+    }
+    return result;
+  }
+}
+
+// Meta is an object of fields. Errors and plain values passed in its place are
+// wrapped rather than dropped.
+function normalizeMeta(meta) {
+  if (meta instanceof Error) {
+    return { error: meta.message, stack: meta.stack };
+  }
+  if (meta === null || meta === undefined) {
+    return {};
+  }
+  if (typeof meta !== 'object' || Array.isArray(meta)) {
+    return { detail: meta };
+  }
+  return meta;
+}
+
+module.exports = { LEVELS, Logger };
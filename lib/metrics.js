@@ -0,0 +1,104 @@
+const client = require('prom-client');
+
+const DURATION_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600, 900];
+const SIZE_BUCKETS = [1e4, 1e5, 5e5, 1e6, 5e6, 1e7, 5e7, 1e8];
+
+// Prometheus metrics for the server. `getQueueStats` and `getDiskUsage` feed
+// the gauges that are read at scrape time.
+function createMetrics({ getQueueStats, getDiskUsage }) {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry, prefix: 'fern_server_' });
+
+  const metrics = {
+    registry,
+    httpRequests: new client.Counter({
+      name: 'fern_http_requests_total',
+      help: 'HTTP requests by route, method and status code',
+      labelNames: ['route', 'method', 'status'],
+      registers: [registry]
+    }),
+    httpRequestDuration: new client.Histogram({
+      name: 'fern_http_request_duration_seconds',
+      help: 'HTTP request duration by route and method',
+      labelNames: ['route', 'method'],
+      buckets: DURATION_BUCKETS,
+      registers: [registry]
+    }),
+    checks: new client.Counter({
+      name: 'fern_checks_total',
+      help: 'Spec validations by outcome (valid, invalid, rejected, timeout, cancelled, error)',
+      labelNames: ['outcome'],
+      registers: [registry]
+    }),
+    generations: new client.Counter({
+      name: 'fern_generations_total',
+      help: 'SDK generations by language and outcome',
+      labelNames: ['language', 'outcome'],
+      registers: [registry]
+    }),
+    cliDuration: new client.Histogram({
+      name: 'fern_cli_duration_seconds',
+      help: 'Fern CLI run duration by command and language',
+      labelNames: ['command', 'language'],
+      buckets: DURATION_BUCKETS,
+      registers: [registry]
+    }),
+    webhookDeliveries: new client.Counter({
+      name: 'fern_webhook_deliveries_total',
+      help: 'Webhook deliveries by outcome (delivered, failed), counted once retries are exhausted',
+      labelNames: ['outcome'],
+      registers: [registry]
+    }),
+    archiveSize: new client.Histogram({
+      name: 'fern_archive_size_bytes',
+      help: 'Size of generated SDK archives',
+      buckets: SIZE_BUCKETS,
+      registers: [registry]
+    })
+  };
+
+  new client.Gauge({
+    name: 'fern_jobs',
+    help: 'Jobs in the queue by state',
+    labelNames: ['state'],
+    registers: [registry],
+    collect() {
+      const { queued, running } = getQueueStats();
+      this.set({ state: 'queued' }, queued);
+      this.set({ state: 'running' }, running);
+    }
+  });
+  new client.Gauge({
+    name: 'fern_temp_dir_used_bytes',
+    help: 'Bytes used by work directories in the temp dir',
+    registers: [registry],
+    async collect() {
+      this.set((await getDiskUsage()).usedBytes);
+    }
+  });
+  new client.Gauge({
+    name: 'fern_temp_dir_free_bytes',
+    help: 'Free bytes on the filesystem holding the temp dir',
+    registers: [registry],
+    async collect() {
+      this.set((await getDiskUsage()).freeBytes);
+    }
+  });
+
+  // Express middleware recording every response under its route pattern, so
+  // job ids do not create a series each. 'close' also covers streams the
+  // client disconnected from.
+  metrics.middleware = (req, res, next) => {
+    const end = metrics.httpRequestDuration.startTimer();
+    res.on('close', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      metrics.httpRequests.inc({ route, method: req.method, status: res.statusCode });
+      end({ route, method: req.method });
+    });
+    next();
+  };
+
+  return metrics;
+}
+
+module.exports = { createMetrics };
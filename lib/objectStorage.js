@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { Readable, Transform, pipeline } = require('stream');
+
+// Key-value object storage for generation history: a directory on the local
+// filesystem, or a bucket of an S3-compatible service such as AWS S3 or MinIO.
+// Both store JSON documents and files under slash-separated keys and can list
+// keys by prefix and stream objects back.
+
+const STORAGE_TYPES = ['filesystem', 's3'];
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+// RFC 3986 encoding as SigV4 expects it; `/` is kept in object keys
+function encodeRfc3986(value, keepSlash = false) {
+  const encoded = encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return keepSlash ? encoded.replace(/%2F/g, '/') : encoded;
+}
+
+// AWS Signature Version 4 `Authorization` header for a request. `headers`
+// must include host, x-amz-date and x-amz-content-sha256.
+function signRequest({ method, uri, query = {}, headers, payloadHash, region, accessKeyId, secretAccessKey, service = 's3' }) {
+  const amzDate = headers['x-amz-date'];
+  const date = amzDate.slice(0, 8);
+  const canonicalQuery = Object.keys(query).sort()
+    .map(key => `${encodeRfc3986(key)}=${encodeRfc3986(query[key])}`)
+    .join('&');
+  const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const canonicalHeaders = names.map(name => `${name}:${String(lowerHeaders[name]).trim().replace(/\s+/g, ' ')}\n`).join('');
+  const signedHeaders = names.join(';');
+  const canonicalRequest = [method, uri, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const scope = `${date}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['aws4_request', service, region, date]
+    .reverse()
+    .reduce((key, part) => hmac(key, part), `AWS4${secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// An abort signal that fires once `touch` has not been called for `ms`, so a
+// transfer may take as long as it keeps making progress
+function idleTimeout(ms) {
+  const controller = new AbortController();
+  let timer = null;
+  const touch = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(new DOMException(`No progress for ${ms}ms`, 'TimeoutError')), ms);
+  };
+  touch();
+  return { signal: controller.signal, touch, clear: () => clearTimeout(timer) };
+}
+
+// `stream` passed through unchanged, calling `onChunk` for every chunk
+function withProgress(stream, onChunk, callback = () => {}) {
+  const progress = new Transform({
+    transform(chunk, encoding, done) {
+      onChunk();
+      done(null, chunk);
+    }
+  });
+  return pipeline(stream, progress, callback);
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Objects are files below `dir`. Writes go to a temporary file that is
+// renamed into place so readers never see a partial object.
+class FileStorage {
+  constructor({ dir }) {
+    this.dir = path.resolve(dir);
+  }
+
+  describe() {
+    return { type: 'filesystem', dir: this.dir };
+  }
+
+  filePath(key) {
+    return path.join(this.dir, ...key.split('/'));
+  }
+
+  async write(key, writeTemp) {
+    const target = this.filePath(key);
+    await fs.ensureDir(path.dirname(target));
+    // Unique per write, so concurrent writes of one key do not share a file
+    const tempPath = `${target}.${crypto.randomBytes(8).toString('hex')}.tmp`;
+    try {
+      await writeTemp(tempPath);
+      await fs.move(tempPath, target, { overwrite: true });
+    } catch (error) {
+      await fs.remove(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  putFile(key, sourcePath) {
+    return this.write(key, tempPath => fs.copy(sourcePath, tempPath));
+  }
+
+  putJson(key, value) {
+    return this.write(key, tempPath => fs.writeJson(tempPath, value, { spaces: 2 }));
+  }
+
+  async getJson(key) {
+    return fs.readJson(this.filePath(key));
+  }
+
+  async exists(key) {
+    return fs.pathExists(this.filePath(key));
+  }
+
+  async list(prefix) {
+    const dir = this.filePath(prefix);
+    if (!(await fs.pathExists(dir))) {
+      return [];
+    }
+    const names = await fs.readdir(dir);
+    return names.filter(name => !name.endsWith('.tmp')).map(name => `${prefix}${name}`);
+  }
+
+  async openStream(key) {
+    const filePath = this.filePath(key);
+    const { size } = await fs.stat(filePath);
+    return { stream: fs.createReadStream(filePath), size };
+  }
+
+  async remove(key) {
+    await fs.remove(this.filePath(key));
+  }
+}
+
+// Objects live in `bucket`, below `prefix`, of the S3 API at `endpoint`.
+// Requests use path-style URLs (`<endpoint>/<bucket>/<key>`), which AWS and
+// MinIO both accept, and are signed with Signature Version 4. `timeoutMs` is
+// an idle timeout: a request fails when it makes no progress for that long,
+// however long the whole transfer takes.
+class S3Storage {
+  constructor({ endpoint, bucket, region = 'us-east-1', prefix = '', accessKeyId, secretAccessKey, timeoutMs = 60000 }) {
+    if (!bucket) {
+      throw new Error('S3 storage needs a bucket');
+    }
+    if (!accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage needs an access key id and secret access key');
+    }
+    this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    this.bucket = bucket;
+    this.region = region;
+    this.prefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.timeoutMs = timeoutMs;
+  }
+
+  describe() {
+    return { type: 's3', endpoint: this.endpoint.origin, bucket: this.bucket, prefix: this.prefix };
+  }
+
+  // Resolves to the response headers and either the body `text` or, with
+  // `stream`, a readable `stream` of it; null for a 404 with `allowNotFound`
+  async request(method, key, { query = {}, body, payloadHash = EMPTY_SHA256, headers = {}, allowNotFound = false, stream = false } = {}) {
+    const basePath = this.endpoint.pathname.replace(/\/$/, '');
+    const uri = `${basePath}/${encodeRfc3986(this.bucket)}${key === null ? '' : `/${encodeRfc3986(`${this.prefix}${key}`, true)}`}`;
+    const signed = {
+      ...headers,
+      host: this.endpoint.host,
+      'x-amz-date': new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''),
+      'x-amz-content-sha256': payloadHash
+    };
+    signed.authorization = signRequest({
+      method,
+      uri,
+      query,
+      headers: signed,
+      payloadHash,
+      region: this.region,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey
+    });
+    const search = new URLSearchParams(query).toString();
+    const url = `${this.endpoint.origin}${uri}${search ? `?${search}` : ''}`;
+    const { host, ...requestHeaders } = signed;
+    const idle = idleTimeout(this.timeoutMs);
+    let streaming = false;
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: requestHeaders,
+        // Streamed request bodies need half-duplex
+        ...(body instanceof Readable ? { body: withProgress(body, idle.touch), duplex: 'half' } : { body }),
+        signal: idle.signal
+      });
+      idle.touch();
+      if (allowNotFound && response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        const code = /<Code>([^<]*)<\/Code>/.exec(text);
+        throw new Error(`S3 ${method} ${key === null ? this.bucket : key} failed with ${response.status}${code ? ` (${code[1]})` : ''}`);
+      }
+      if (stream) {
+        streaming = true;
+        return { headers: response.headers, stream: withProgress(Readable.fromWeb(response.body), idle.touch, idle.clear) };
+      }
+      return { headers: response.headers, text: await response.text() };
+    } finally {
+      // A streamed body keeps the timeout until it ends
+      if (!streaming) {
+        idle.clear();
+      }
+    }
+  }
+
+  async putFile(key, sourcePath, { contentType = 'application/octet-stream' } = {}) {
+    const { size } = await fs.stat(sourcePath);
+    await this.request('PUT', key, {
+      body: fs.createReadStream(sourcePath),
+      payloadHash: await hashFile(sourcePath),
+      headers: { 'content-type': contentType, 'content-length': String(size) }
+    });
+  }
+
+  async putJson(key, value) {
+    const body = JSON.stringify(value);
+    await this.request('PUT', key, {
+      body,
+      payloadHash: sha256(body),
+      headers: { 'content-type': 'application/json' }
+    });
+  }
+
+  async getJson(key) {
+    const { text } = await this.request('GET', key);
+    return JSON.parse(text);
+  }
+
+  async exists(key) {
+    return (await this.request('HEAD', key, { allowNotFound: true })) !== null;
+  }
+
+  // ListObjectsV2, following continuation tokens
+  async list(prefix) {
+    const keys = [];
+    let token = null;
+    do {
+      const query = { 'list-type': '2', prefix: `${this.prefix}${prefix}` };
+      if (token) {
+        query['continuation-token'] = token;
+      }
+      const { text } = await this.request('GET', null, { query });
+      for (const match of text.matchAll(/<Key>([^<]*)<\/Key>/g)) {
+        keys.push(decodeXml(match[1]).slice(this.prefix.length));
+      }
+      const next = /<NextContinuationToken>([^<]*)<\/NextContinuationToken>/.exec(text);
+      token = /<IsTruncated>true<\/IsTruncated>/.test(text) && next ? decodeXml(next[1]) : null;
+    } while (token);
+    return keys;
+  }
+
+  async openStream(key) {
+    const { headers, stream } = await this.request('GET', key, { stream: true });
+    const size = parseInt(headers.get('content-length'), 10);
+    return { stream, size: Number.isNaN(size) ? null : size };
+  }
+
+  async remove(key) {
+    await this.request('DELETE', key);
+  }
+}
+
+function createStorage(type, options) {
+  if (type === 'filesystem') {
+    return new FileStorage(options);
+  }
+  if (type === 's3') {
+    return new S3Storage(options);
+  }
+  throw new Error(`Unknown storage type '${type}', expected one of: ${STORAGE_TYPES.join(', ')}`);
+}
+
+module.exports = { STORAGE_TYPES, FileStorage, S3Storage, createStorage, signRequest, hashFile };
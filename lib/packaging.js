@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const archiver = require('archiver');
+
+// Formats generated SDKs are delivered in. 'json' is a single document with
+// the manifest and every file's content, for clients that cannot unpack
+// archives.
+const OUTPUT_FORMATS = {
+  zip: { extension: 'zip', contentType: 'application/zip' },
+  'tar.gz': { extension: 'tar.gz', contentType: 'application/gzip' },
+  json: { extension: 'json', contentType: 'application/json' }
+};
+
+const GENERATED_DIR = 'generated';
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+async function walk(dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await walk(fullPath));
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+// Where a generated file goes in the archive. Files are under
+// `generated/<language>/` unless `stripPrefix` is set, which drops
+// `generated/` and, when a single language was requested, the language
+// folder too.
+function archiveName(relativePath, { stripPrefix, languages }) {
+  if (!stripPrefix) {
+    return `${GENERATED_DIR}/${relativePath}`;
+  }
+  if (languages.length === 1 && relativePath.includes('/')) {
+    return relativePath.split('/').slice(1).join('/');
+  }
+  return relativePath;
+}
+
+// The files under `generatedDir` with their archive names, sizes and SHA-256
+// checksums, sorted by name
+async function listOutputFiles(generatedDir, output, languages) {
+  if (!await fs.pathExists(generatedDir)) {
+    return [];
+  }
+  const files = [];
+  for (const fullPath of await walk(generatedDir)) {
+    const relativePath = path.relative(generatedDir, fullPath).split(path.sep).join('/');
+    const { size } = await fs.stat(fullPath);
+    files.push({
+      path: archiveName(relativePath, { stripPrefix: output.stripPrefix, languages }),
+      size,
+      sha256: await sha256File(fullPath),
+      fullPath
+    });
+  }
+  return files.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+function writeArchive(files, outputPath, output, extraFiles) {
+  return new Promise((resolve, reject) => {
+    const archive = output.format === 'zip'
+      ? archiver('zip', { zlib: { level: output.compressionLevel } })
+      : archiver('tar', { gzip: true, gzipOptions: { level: output.compressionLevel } });
+    const stream = fs.createWriteStream(outputPath);
+    stream.on('close', () => resolve(archive.pointer()));
+    stream.on('error', reject);
+    archive.on('error', reject);
+    archive.pipe(stream);
+    files.forEach(file => archive.file(file.fullPath, { name: file.path }));
+    Object.entries(extraFiles).forEach(([name, content]) => archive.append(content, { name }));
+    archive.finalize();
+  });
+}
+
+async function writeListing(files, outputPath, extraFiles) {
+  const listing = {};
+  Object.entries(extraFiles).forEach(([name, content]) => {
+    listing[path.basename(name, '.json')] = JSON.parse(content);
+  });
+  listing.files = [];
+  for (const file of files) {
+    const content = await fs.readFile(file.fullPath);
+    const text = content.toString('utf8');
+    // Binary files do not survive a round trip through UTF-8
+    const isText = Buffer.from(text, 'utf8').equals(content);
+    listing.files.push({
+      path: file.path,
+      size: file.size,
+      sha256: file.sha256,
+      encoding: isText ? 'utf8' : 'base64',
+      content: isText ? text : content.toString('base64')
+    });
+  }
+  await fs.writeFile(outputPath, JSON.stringify(listing));
+  return (await fs.stat(outputPath)).size;
+}
+
+// Package the generated output of a Fern workspace into `outputPath` in the
+// requested `output` format ({ format, stripPrefix, compressionLevel }).
+// `languages` are the requested languages, which decide the folder layout.
+// `manifest` is completed with the checksum of every file and stored as
+// `manifest.json` next to the `extraFiles` (archive-root name to JSON text).
+// Resolves with the archive size and the number of files.
+async function packageOutput(fernDir, outputPath, { output, languages, manifest, extraFiles = {} }) {
+  const files = await listOutputFiles(path.join(fernDir, GENERATED_DIR), output, languages);
+  if (files.length === 0) {
+    throw new Error('No files were generated to archive');
+  }
+
+  const rootFiles = {
+    'manifest.json': JSON.stringify({
+      ...manifest,
+      files: files.map(({ path: name, size, sha256 }) => ({ path: name, size, sha256 }))
+    }, null, 2),
+    ...extraFiles
+  };
+  const conflict = files.find(file => rootFiles[file.path] !== undefined);
+  if (conflict) {
+    throw new Error(`Generated file '${conflict.path}' conflicts with the archive's own ${conflict.path}`);
+  }
+
+  const bytes = output.format === 'json'
+    ? await writeListing(files, outputPath, rootFiles)
+    : await writeArchive(files, outputPath, output, rootFiles);
+  return { bytes, fileCount: files.length };
+}
+
+module.exports = { OUTPUT_FORMATS, packageOutput };
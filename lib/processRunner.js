@@ -0,0 +1,190 @@
+const { spawn } = require('child_process');
+const { StringDecoder } = require('string_decoder');
+const { ProcessError, ProcessTimeoutError, CancelledError } = require('./errors');
+
+const KILL_GRACE_MS = 5000;
+
+// Collects a stream into a string, keeping at most `maxBytes` from the start
+function createOutputBuffer(maxBytes) {
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+
+  return {
+    push(chunk) {
+      if (size >= maxBytes) {
+        truncated = true;
+        return;
+      }
+      const remaining = maxBytes - size;
+      if (chunk.length > remaining) {
+        chunk = chunk.subarray(0, remaining);
+        truncated = true;
+      }
+      chunks.push(chunk);
+      size += chunk.length;
+    },
+    toString() {
+      return Buffer.concat(chunks).toString('utf8');
+    },
+    get truncated() {
+      return truncated;
+    }
+  };
+}
+
+// Splits a byte stream into lines, holding back a trailing partial line
+function createLineSplitter(onLine) {
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+
+  return {
+    write(chunk) {
+      pending += decoder.write(chunk);
+      const lines = pending.split(/\r?\n/);
+      pending = lines.pop();
+      lines.forEach(onLine);
+    },
+    flush() {
+      pending += decoder.end();
+      if (pending.length > 0) {
+        onLine(pending);
+      }
+      pending = '';
+    }
+  };
+}
+
+// Run a command without blocking the event loop. Resolves with the captured
+// output on exit code 0 and rejects with a ProcessError otherwise. The process
+// (and anything it spawned) is killed when `timeoutMs` elapses or `signal`
+// aborts, rejecting with ProcessTimeoutError or CancelledError respectively.
+// `onLine(stream, line)` receives output line by line as it is produced,
+// independently of the capture limit.
+function runProcess(command, args = [], {
+  cwd,
+  env = process.env,
+  timeoutMs = 0,
+  signal,
+  maxOutputBytes = 1024 * 1024,
+  onLine
+} = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new CancelledError(`Command cancelled before start: ${command}`));
+      return;
+    }
+
+    const startedAt = Date.now();
+    const stdout = createOutputBuffer(maxOutputBytes);
+    const stderr = createOutputBuffer(maxOutputBytes);
+    let timedOut = false;
+    let cancelled = false;
+    let killTimer = null;
+    let timeoutTimer = null;
+
+    // Run in its own process group so the whole tree can be killed at once
+    const child = spawn(command, args, {
+      cwd,
+      env,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: process.platform !== 'win32'
+    });
+
+    const kill = () => {
+      const signalTree = (killSignal) => {
+        try {
+          if (child.pid && process.platform !== 'win32') {
+            process.kill(-child.pid, killSignal);
+          } else {
+            child.kill(killSignal);
+          }
+        } catch (error) {
+          // Process already exited
+        }
+      };
+      signalTree('SIGTERM');
+      killTimer = setTimeout(() => signalTree('SIGKILL'), KILL_GRACE_MS);
+      killTimer.unref();
+    };
+
+    const onAbort = () => {
+      cancelled = true;
+      kill();
+    };
+
+    if (timeoutMs > 0) {
+      timeoutTimer = setTimeout(() => {
+        timedOut = true;
+        kill();
+      }, timeoutMs);
+    }
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    const splitters = onLine ? {
+      stdout: createLineSplitter(line => onLine('stdout', line)),
+      stderr: createLineSplitter(line => onLine('stderr', line))
+    } : null;
+
+    child.stdout.on('data', (chunk) => {
+      stdout.push(chunk);
+      if (splitters) {
+        splitters.stdout.write(chunk);
+      }
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr.push(chunk);
+      if (splitters) {
+        splitters.stderr.write(chunk);
+      }
+    });
+
+    const cleanup = () => {
+      clearTimeout(timeoutTimer);
+      clearTimeout(killTimer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+
+    child.on('error', (error) => {
+      cleanup();
+      reject(new ProcessError(`Failed to start ${command}: ${error.message}`, {
+        stdout: stdout.toString(),
+        stderr: stderr.toString()
+      }));
+    });
+
+    child.on('close', (exitCode, exitSignal) => {
+      cleanup();
+      if (splitters) {
+        splitters.stdout.flush();
+        splitters.stderr.flush();
+      }
+      const result = {
+        exitCode,
+        signal: exitSignal,
+        stdout: stdout.toString(),
+        stderr: stderr.toString(),
+        truncated: stdout.truncated || stderr.truncated,
+        durationMs: Date.now() - startedAt
+      };
+      const commandLine = [command, ...args].join(' ');
+
+      if (cancelled) {
+        reject(new CancelledError(`Command cancelled: ${commandLine}`, result));
+      } else if (timedOut) {
+        reject(new ProcessTimeoutError(`Command timed out after ${timeoutMs}ms: ${commandLine}`, result));
+      } else if (exitCode !== 0) {
+        const status = exitSignal ? `signal ${exitSignal}` : `exit code ${exitCode}`;
+        reject(new ProcessError(`Command failed with ${status}: ${commandLine}`, result));
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+module.exports = { runProcess };
@@ -0,0 +1,534 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { ValidationError, CancelledError } = require('./errors');
+const { isLocationAllowed } = require('./specSources');
+
+// Publish targets for generated SDKs. Each target lists the languages it can
+// publish, its default registry, the extra fields it accepts, an optional
+// `setVersion` that writes the requested version into the output and a
+// `publish` function that builds and uploads the package with the ecosystem's
+// own tools, so local stand-ins (Verdaccio, pypiserver, a bare git repo) work
+// the same as the public registries. `publish` works on a scratch copy of the
+// output, so build products never end up in the delivered archive.
+//
+// Credentials are never sent in requests: a target names a credential and the
+// value is read from the `PUBLISH_CREDENTIALS_<NAME>` environment variable.
+// Only the command that uploads sees it. Every command runs in the sandbox,
+// since builds run the generated code's scripts: they see neither the
+// credential, the server's environment nor files outside the scratch dir.
+
+const CREDENTIALS_PREFIX = 'PUBLISH_CREDENTIALS_';
+
+// Names are case-insensitive, like the environment variables they refer to
+function credentialVariable(name) {
+  return `${CREDENTIALS_PREFIX}${name.toUpperCase()}`;
+}
+
+// `user:password` pairs; a bare token gets `defaultUser`
+function splitCredential(credential, defaultUser) {
+  const separator = credential.indexOf(':');
+  if (separator === -1) {
+    return { username: defaultUser, password: credential };
+  }
+  return { username: credential.slice(0, separator), password: credential.slice(separator + 1) };
+}
+
+function findFiles(dir, pattern) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).filter(name => pattern.test(name)).map(name => path.join(dir, name));
+}
+
+function findFilesRecursive(dir, pattern) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return entry.name === 'node_modules' || entry.name.startsWith('.') ? [] : findFilesRecursive(fullPath, pattern);
+    }
+    return pattern.test(entry.name) ? [fullPath] : [];
+  });
+}
+
+// Replace the first `version = "..."` assignment matching `pattern`
+function setVersionInFile(filePath, pattern, version) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  if (!pattern.test(content)) {
+    throw new Error(`No version found in ${path.basename(filePath)}`);
+  }
+  fs.writeFileSync(filePath, content.replace(pattern, (match, prefix, quote) => `${prefix}${quote}${version}${quote}`));
+}
+
+const PUBLISH_TARGETS = {
+  npm: {
+    languages: ['typescript'],
+    defaultRegistry: 'https://registry.npmjs.org/',
+    fields: { tag: 'string', access: 'string' },
+    async setVersion(outputDir, version) {
+      const packageJsonPath = path.join(outputDir, 'package.json');
+      if (!fs.existsSync(packageJsonPath)) {
+        throw new Error('Generated output has no package.json');
+      }
+      const packageJson = await fs.readJson(packageJsonPath);
+      packageJson.version = version;
+      await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
+    },
+    async publish({ packageDir, scratchDir, target, credential, run }) {
+      const packageJsonPath = path.join(packageDir, 'package.json');
+      if (!fs.existsSync(packageJsonPath)) {
+        throw new Error('Generated output has no package.json');
+      }
+      const packageJson = await fs.readJson(packageJsonPath);
+
+      // Per-publish npmrcs keep the token out of the command line and other
+      // runs; the build gets one without the token
+      const registry = new URL(target.registryUrl);
+      const registryPath = registry.pathname.endsWith('/') ? registry.pathname : `${registry.pathname}/`;
+      const buildNpmrc = path.join(scratchDir, 'build.npmrc');
+      await fs.writeFile(buildNpmrc, `registry=${registry.toString()}\n`);
+      const npmArgs = ['--no-audit', '--no-fund'];
+
+      if (packageJson.scripts && packageJson.scripts.build) {
+        await run('npm', ['install', '--userconfig', buildNpmrc, ...npmArgs]);
+        await run('npm', ['run', 'build', '--userconfig', buildNpmrc, ...npmArgs]);
+      }
+      const publishNpmrc = path.join(scratchDir, 'publish.npmrc');
+      const lines = [`registry=${registry.toString()}`];
+      if (credential) {
+        lines.push(`//${registry.host}${registryPath}:_authToken=${credential}`);
+      }
+      await fs.writeFile(publishNpmrc, `${lines.join('\n')}\n`, { mode: 0o600 });
+      // The package was built above; its lifecycle scripts must not see the token
+      const publishArgs = [
+        'publish', '--userconfig', publishNpmrc, '--ignore-scripts', ...npmArgs, '--registry', registry.toString()
+      ];
+      if (target.tag) {
+        publishArgs.push('--tag', target.tag);
+      }
+      if (target.access) {
+        publishArgs.push('--access', target.access);
+      }
+      await run('npm', publishArgs);
+      return { package: packageJson.name, version: packageJson.version };
+    }
+  },
+  pypi: {
+    languages: ['python'],
+    defaultRegistry: 'https://upload.pypi.org/legacy/',
+    fields: {},
+    async setVersion(outputDir, version) {
+      const pyproject = path.join(outputDir, 'pyproject.toml');
+      if (!fs.existsSync(pyproject)) {
+        throw new Error('Generated output has no pyproject.toml');
+      }
+      setVersionInFile(pyproject, /^(version\s*=\s*)(["'])[^"']*\2/m, version);
+    },
+    async publish({ packageDir, scratchDir, target, credential, run }) {
+      if (!fs.existsSync(path.join(packageDir, 'pyproject.toml'))) {
+        throw new Error('Generated output has no pyproject.toml');
+      }
+      const distDir = path.join(scratchDir, 'dist');
+      await run('python3', ['-m', 'build', '--outdir', distDir]);
+      const dists = findFiles(distDir, /\.(whl|tar\.gz)$/);
+      if (dists.length === 0) {
+        throw new Error('python -m build produced no distributions');
+      }
+      const { username, password } = splitCredential(credential || '', '__token__');
+      await run('python3', ['-m', 'twine', 'upload', '--non-interactive', '--repository-url', target.registryUrl, ...dists], {
+        env: { TWINE_USERNAME: username, TWINE_PASSWORD: password }
+      });
+      return { files: dists.map(dist => path.basename(dist)) };
+    }
+  },
+  maven: {
+    languages: ['java'],
+    defaultRegistry: null,
+    fields: { coordinate: 'string' },
+    required: ['coordinate', 'version'],
+    async publish({ packageDir, scratchDir, target, credential, run }) {
+      const [groupId, artifactId] = target.coordinate.split(':');
+      if (!groupId || !artifactId) {
+        throw new Error(`Invalid Maven coordinate '${target.coordinate}', expected 'groupId:artifactId'`);
+      }
+      const gradle = fs.existsSync(path.join(packageDir, 'gradlew')) ? './gradlew' : 'gradle';
+      await run(gradle, ['--no-daemon', '-q', 'jar', `-Pversion=${target.version}`]);
+      const jars = findFiles(path.join(packageDir, 'build', 'libs'), /\.jar$/)
+        .filter(jar => !/-(sources|javadoc)\.jar$/.test(jar));
+      if (jars.length === 0) {
+        throw new Error('Gradle build produced no jar');
+      }
+
+      // Credentials go in a throwaway settings.xml matched by repository id
+      const settings = path.join(scratchDir, 'settings.xml');
+      const { username, password } = splitCredential(credential || '', '');
+      const escape = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+      await fs.writeFile(settings, [
+        '<settings><servers><server>',
+        '<id>publish</id>',
+        `<username>${escape(username)}</username>`,
+        `<password>${escape(password)}</password>`,
+        '</server></servers></settings>'
+      ].join(''), { mode: 0o600 });
+      await run('mvn', [
+        '-q', '-B', '-s', settings, 'deploy:deploy-file',
+        `-Durl=${target.registryUrl}`,
+        '-DrepositoryId=publish',
+        `-Dfile=${jars[0]}`,
+        `-DgroupId=${groupId}`,
+        `-DartifactId=${artifactId}`,
+        `-Dversion=${target.version}`,
+        '-Dpackaging=jar'
+      ]);
+      return { groupId, artifactId, file: path.basename(jars[0]) };
+    }
+  },
+  nuget: {
+    languages: ['csharp'],
+    defaultRegistry: 'https://api.nuget.org/v3/index.json',
+    fields: {},
+    async publish({ scratchDir, target, credential, run, runOptions }) {
+      const packDir = path.join(scratchDir, 'nupkg');
+      const packArgs = ['pack', '-c', 'Release', '-o', packDir];
+      if (target.version) {
+        packArgs.push(`-p:Version=${target.version}`);
+      }
+      await run('dotnet', packArgs);
+      const packages = findFiles(packDir, /(?<!\.symbols)\.nupkg$/);
+      if (packages.length === 0) {
+        throw new Error('dotnet pack produced no packages');
+      }
+      for (const nupkg of packages) {
+        await pushNuGetPackage(target.registryUrl, nupkg, credential, runOptions);
+      }
+      return { packages: packages.map(nupkg => path.basename(nupkg)) };
+    }
+  },
+  rubygems: {
+    languages: ['ruby'],
+    defaultRegistry: 'https://rubygems.org',
+    fields: {},
+    async setVersion(outputDir, version) {
+      const versionFiles = fs.existsSync(path.join(outputDir, 'lib'))
+        ? findFilesRecursive(path.join(outputDir, 'lib'), /^version\.rb$/)
+        : [];
+      if (versionFiles.length === 0) {
+        throw new Error('Generated output has no version.rb');
+      }
+      setVersionInFile(versionFiles[0], /(VERSION\s*=\s*)(["'])[^"']*\2/, version);
+    },
+    async publish({ packageDir, target, credential, run }) {
+      const gemspecs = findFiles(packageDir, /\.gemspec$/);
+      if (gemspecs.length === 0) {
+        throw new Error('Generated output has no gemspec');
+      }
+      await run('gem', ['build', path.basename(gemspecs[0])]);
+      const [gem] = findFiles(packageDir, /\.gem$/);
+      if (!gem) {
+        throw new Error('gem build produced no gem');
+      }
+      await run('gem', ['push', gem, '--host', target.registryUrl], {
+        env: credential ? { GEM_HOST_API_KEY: credential } : {}
+      });
+      return { gem: path.basename(gem) };
+    }
+  },
+  git: {
+    languages: null,
+    defaultRegistry: null,
+    fields: { branch: 'string', baseBranch: 'string', message: 'string', pullRequest: 'boolean' },
+    async publish({ packageDir, scratchDir, target, credential, run, language }) {
+      const repoDir = path.join(scratchDir, 'repo');
+      const baseBranch = target.baseBranch || 'main';
+      const branch = target.branch || (target.pullRequest ? `sdk/${language}-${target.version || Date.now()}` : baseBranch);
+
+      // Configuration comes from GIT_CONFIG_* variables rather than `-c`, and
+      // token auth is a header, so the token is neither in the remote URL nor
+      // on a command line
+      const config = {
+        'user.name': 'Fern SDK Generator',
+        'user.email': 'sdk-generator@localhost'
+      };
+      if (credential) {
+        const { username, password } = splitCredential(credential, 'x-access-token');
+        const basic = Buffer.from(`${username}:${password}`).toString('base64');
+        config['http.extraHeader'] = `Authorization: Basic ${basic}`;
+      }
+      const gitEnv = { GIT_CONFIG_COUNT: String(Object.keys(config).length) };
+      Object.entries(config).forEach(([key, value], index) => {
+        gitEnv[`GIT_CONFIG_KEY_${index}`] = key;
+        gitEnv[`GIT_CONFIG_VALUE_${index}`] = value;
+      });
+      const git = (args) => run('git', args, { cwd: repoDir, env: gitEnv, redact: credential });
+
+      await fs.ensureDir(repoDir);
+      await git(['init', '-q']);
+      await git(['remote', 'add', 'origin', target.registryUrl]);
+      // Build on the current base branch when the repository already has one
+      try {
+        await git(['fetch', '-q', '--depth', '1', 'origin', baseBranch]);
+        await git(['checkout', '-q', '-b', branch, 'FETCH_HEAD']);
+      } catch (error) {
+        await git(['checkout', '-q', '--orphan', branch]);
+      }
+
+      for (const entry of await fs.readdir(repoDir)) {
+        if (entry !== '.git') {
+          await fs.remove(path.join(repoDir, entry));
+        }
+      }
+      await fs.copy(packageDir, repoDir);
+      await git(['add', '-A']);
+      const message = target.message || `Update ${language} SDK${target.version ? ` to ${target.version}` : ''}`;
+      await git(['commit', '-q', '--allow-empty', '-m', message]);
+      const refs = [`HEAD:refs/heads/${branch}`];
+      if (target.version) {
+        await git(['tag', `v${target.version}`]);
+        refs.push(`refs/tags/v${target.version}`);
+      }
+      await git(['push', '-q', 'origin', ...refs]);
+      const commit = (await git(['rev-parse', 'HEAD'])).stdout.trim();
+
+      const result = { branch, commit, tag: target.version ? `v${target.version}` : null };
+      if (target.pullRequest) {
+        result.pullRequest = await openGitHubPullRequest(target.registryUrl, {
+          head: branch,
+          base: baseBranch,
+          title: message,
+          token: credential ? splitCredential(credential, 'x-access-token').password : null
+        });
+      }
+      return result;
+    }
+  }
+};
+
+// NuGet only stores API keys in NuGet.Config encrypted with Windows DPAPI, and
+// `dotnet nuget push` elsewhere takes the key as an argument. Packages are
+// pushed through the NuGet server API instead: the registry's service index
+// names the PackagePublish resource, which gets the package with the key in the
+// X-NuGet-ApiKey header. The push refuses redirects so the key goes nowhere
+// else. `timeoutMs` and `signal` bound the whole push like a command's.
+async function pushNuGetPackage(indexUrl, nupkg, apiKey, { timeoutMs, signal }) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  const timer = timeoutMs > 0 ? setTimeout(abort, timeoutMs) : null;
+  if (signal) {
+    signal.addEventListener('abort', abort, { once: true });
+  }
+  const name = path.basename(nupkg);
+  try {
+    const indexResponse = await fetch(indexUrl, { signal: controller.signal });
+    if (!indexResponse.ok) {
+      throw new Error(`Fetching NuGet service index failed with HTTP ${indexResponse.status}`);
+    }
+    const index = await indexResponse.json().catch(() => ({}));
+    const resource = (Array.isArray(index.resources) ? index.resources : []).find(entry =>
+      entry && typeof entry['@type'] === 'string' && entry['@type'].startsWith('PackagePublish/') && typeof entry['@id'] === 'string');
+    if (!resource) {
+      throw new Error(`${indexUrl} is not a NuGet v3 service index with a PackagePublish resource`);
+    }
+
+    const form = new FormData();
+    form.append('package', new Blob([await fs.readFile(nupkg)]), name);
+    const response = await fetch(resource['@id'], {
+      method: 'PUT',
+      headers: { 'X-NuGet-Protocol-Version': '4.1.0', ...(apiKey ? { 'X-NuGet-ApiKey': apiKey } : {}) },
+      body: form,
+      redirect: 'error',
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      const text = (await response.text().catch(() => '')).slice(0, 500);
+      throw new Error(`Pushing ${name} failed with HTTP ${response.status}: ${apiKey ? text.split(apiKey).join('[REDACTED]') : text}`);
+    }
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw new CancelledError(`Pushing ${name} was cancelled`);
+    }
+    if (controller.signal.aborted) {
+      throw new Error(`Pushing ${name} timed out after ${timeoutMs}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener('abort', abort);
+    }
+  }
+}
+
+// Pull requests are opened through the GitHub API; other hosts only get the
+// pushed branch
+async function openGitHubPullRequest(repoUrl, { head, base, title, token }) {
+  const match = /^https:\/\/github\.com\/([^/]+)\/([^/]+?)(?:\.git)?\/?$/.exec(repoUrl);
+  if (!match) {
+    return { status: 'skipped', reason: 'Pull requests are only supported for https://github.com repositories' };
+  }
+  if (!token) {
+    return { status: 'skipped', reason: 'Opening a pull request needs credentials' };
+  }
+  const response = await fetch(`https://api.github.com/repos/${match[1]}/${match[2]}/pulls`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+      Accept: 'application/vnd.github+json',
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ head, base, title }),
+    signal: AbortSignal.timeout(30000)
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Opening pull request failed with HTTP ${response.status}: ${body.message || ''}`);
+  }
+  return { status: 'opened', url: body.html_url, number: body.number };
+}
+
+// Validate the `publish` option: publish targets keyed by language, each with
+// a `target` name, optional `registryUrl` (defaulting to the public registry),
+// `credentials` naming a configured credential, `version` and target fields.
+// Returns a normalized copy with registry URLs filled in.
+function validatePublishTargets(publish, languages, { allowedRegistries, env = process.env }) {
+  if (publish === undefined) {
+    return {};
+  }
+  if (!publish || typeof publish !== 'object' || Array.isArray(publish)) {
+    throw new ValidationError("Invalid option 'publish': expected object keyed by language", { field: 'publish' });
+  }
+
+  const normalized = {};
+  Object.entries(publish).forEach(([language, settings]) => {
+    const field = `publish.${language}`;
+    if (!languages.includes(language)) {
+      throw new ValidationError(`Publish target provided for language '${language}' which was not requested`, { field });
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new ValidationError(`Invalid option '${field}': expected object`, { field });
+    }
+    const targetDefinition = PUBLISH_TARGETS[settings.target];
+    if (!targetDefinition) {
+      throw new ValidationError(`Unknown publish target '${settings.target}'`, {
+        field: `${field}.target`,
+        targets: Object.keys(PUBLISH_TARGETS)
+      });
+    }
+    if (targetDefinition.languages && !targetDefinition.languages.includes(language)) {
+      throw new ValidationError(`Publish target '${settings.target}' does not support ${language}`, {
+        field: `${field}.target`,
+        languages: targetDefinition.languages
+      });
+    }
+
+    const allowedFields = ['target', 'registryUrl', 'credentials', 'version', ...Object.keys(targetDefinition.fields)];
+    Object.entries(settings).forEach(([key, value]) => {
+      if (!allowedFields.includes(key)) {
+        throw new ValidationError(`Unknown publish setting '${key}' for target '${settings.target}'`, {
+          field: `${field}.${key}`,
+          allowedKeys: allowedFields
+        });
+      }
+      const type = targetDefinition.fields[key] || 'string';
+      if (typeof value !== type) {
+        throw new ValidationError(`Invalid option '${field}.${key}': expected ${type}`, { field: `${field}.${key}` });
+      }
+    });
+    (targetDefinition.required || []).forEach(key => {
+      if (settings[key] === undefined) {
+        throw new ValidationError(`Publish target '${settings.target}' needs '${key}'`, { field: `${field}.${key}` });
+      }
+    });
+
+    const registryUrl = settings.registryUrl || targetDefinition.defaultRegistry;
+    if (!registryUrl) {
+      throw new ValidationError(`Publish target '${settings.target}' needs a 'registryUrl'`, { field: `${field}.registryUrl` });
+    }
+    if (!isLocationAllowed(registryUrl, allowedRegistries)) {
+      throw new ValidationError(`Registry '${registryUrl}' is not allowed for publishing`, {
+        field: `${field}.registryUrl`,
+        allowedRegistries
+      });
+    }
+    if (settings.version !== undefined && !/^[0-9A-Za-z][0-9A-Za-z.+-]*$/.test(settings.version)) {
+      throw new ValidationError(`Invalid version '${settings.version}'`, { field: `${field}.version` });
+    }
+    if (settings.credentials !== undefined) {
+      if (!/^[A-Za-z0-9_]+$/.test(settings.credentials)) {
+        throw new ValidationError(`Invalid credentials name '${settings.credentials}'`, { field: `${field}.credentials` });
+      }
+      if (!env[credentialVariable(settings.credentials)]) {
+        throw new ValidationError(`Credentials '${settings.credentials}' are not configured`, { field: `${field}.credentials` });
+      }
+    }
+
+    normalized[language] = { ...settings, registryUrl };
+  });
+  return normalized;
+}
+
+// Publish one language's output. The requested version is written into
+// `outputDir`, so the delivered archive carries it; everything else happens in
+// a copy below `scratchDir`. Commands run in `sandbox` with `scratchDir` as
+// their writable directory and get the sandbox's environment plus what the
+// step needs. `runOptions` carries the timeout, abort signal and output limit
+// for each command. Resolves with the publish result; failures are reported
+// in the result rather than thrown, except cancellation.
+async function publishOutput(language, outputDir, target, { scratchDir, sandbox, runOptions, env = process.env, logger }) {
+  const startedAt = Date.now();
+  const credential = target.credentials ? env[credentialVariable(target.credentials)] : null;
+  const base = { target: target.target, registryUrl: target.registryUrl, version: target.version || null };
+  const definition = PUBLISH_TARGETS[target.target];
+  const packageDir = path.join(scratchDir, 'package');
+
+  // Secrets may appear in tool output (e.g. echoed command lines)
+  const redact = (text, secret) => (secret && text ? text.split(secret).join('[REDACTED]') : text);
+  const run = async (command, args, { cwd = packageDir, env: extraEnv = {}, redact: secret = credential } = {}) => {
+    try {
+      return await sandbox.run(command, args, { ...runOptions, workDir: scratchDir, cwd, env: extraEnv });
+    } catch (error) {
+      error.message = redact(error.message, secret);
+      error.stdout = redact(error.stdout, secret);
+      error.stderr = redact(error.stderr, secret);
+      throw error;
+    }
+  };
+
+  await fs.ensureDir(scratchDir);
+  try {
+    logger.info('Publishing SDK', { language, ...base });
+    if (target.version && definition.setVersion) {
+      await definition.setVersion(outputDir, target.version);
+    }
+    await fs.copy(outputDir, packageDir);
+    const details = await definition.publish({
+      language,
+      packageDir,
+      scratchDir,
+      target,
+      credential,
+      run,
+      runOptions
+    });
+    logger.info('SDK published', { language, ...base });
+    return { ...base, status: 'published', durationMs: Date.now() - startedAt, ...details };
+  } catch (error) {
+    if (error instanceof CancelledError) {
+      throw error;
+    }
+    logger.error('Publishing SDK failed', { language, ...base, error: error.message });
+    return {
+      ...base,
+      status: 'failed',
+      durationMs: Date.now() - startedAt,
+      error: error.message,
+      stderr: error.stderr
+    };
+  } finally {
+    await fs.remove(scratchDir);
+  }
+}
+
+module.exports = {
+  PUBLISH_TARGETS,
+  validatePublishTargets,
+  publishOutput
+};
@@ -0,0 +1,236 @@
+// Validates requests against the server's OpenAPI description: query
+// parameters, JSON bodies and multipart forms. Supports the parts of the
+// schema language the description uses. Handlers keep the checks a schema
+// cannot express, such as config keys for languages that were not requested.
+
+const JSON_CONTENT = 'application/json';
+const FORM_CONTENT = 'multipart/form-data';
+
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolve(document, schema) {
+  let resolved = schema;
+  while (resolved && resolved.$ref) {
+    resolved = resolved.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], document);
+  }
+  return resolved || {};
+}
+
+const isFile = (schema) => schema.format === 'binary';
+const isFileList = (schema) => schema.type === 'array' && isFile(schema.items || {});
+
+// Append the problems of `value` at `field` to `errors`. A problem is the
+// text following "Invalid <thing> '<field>': ".
+function validateSchema(document, schema, value, field, errors) {
+  const resolved = resolve(document, schema);
+  const fail = (problem) => errors.push({ field, problem });
+
+  if (value === null) {
+    if (!resolved.nullable) {
+      fail('must not be null');
+    }
+    return;
+  }
+  (resolved.allOf || []).forEach(part => validateSchema(document, part, value, field, errors));
+  if (resolved.anyOf && !resolved.anyOf.some(part => {
+    const partErrors = [];
+    validateSchema(document, part, value, field, partErrors);
+    return partErrors.length === 0;
+  })) {
+    fail('matches none of the allowed forms');
+    return;
+  }
+  if (resolved.type && !matchesType(resolved.type, value)) {
+    fail(`expected ${resolved.type}, got ${typeOf(value)}`);
+    return;
+  }
+  if (resolved.enum && !resolved.enum.includes(value)) {
+    fail(`expected one of: ${resolved.enum.join(', ')}`);
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (resolved.minLength !== undefined && value.length < resolved.minLength) {
+      fail(resolved.minLength === 1 ? 'must not be empty' : `must be at least ${resolved.minLength} characters`);
+    }
+    if (resolved.pattern !== undefined && !new RegExp(resolved.pattern).test(value)) {
+      fail(`must match ${resolved.pattern}`);
+    }
+    if (resolved.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      fail('expected an ISO 8601 time');
+    }
+  } else if (typeof value === 'number') {
+    const { minimum, maximum } = resolved;
+    if (minimum !== undefined && maximum !== undefined && (value < minimum || value > maximum)) {
+      fail(`expected ${minimum} to ${maximum}`);
+    } else if (minimum !== undefined && value < minimum) {
+      fail(`must be at least ${minimum}`);
+    } else if (maximum !== undefined && value > maximum) {
+      fail(`must be at most ${maximum}`);
+    }
+  } else if (Array.isArray(value)) {
+    if (resolved.minItems !== undefined && value.length < resolved.minItems) {
+      fail(`must list at least ${resolved.minItems} item${resolved.minItems === 1 ? '' : 's'}`);
+    }
+    if (resolved.items) {
+      value.forEach((item, index) => validateSchema(document, resolved.items, item, `${field}.${index}`, errors));
+    }
+  } else if (typeOf(value) === 'object') {
+    const prefix = field ? `${field}.` : '';
+    (resolved.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        errors.push({ field: `${prefix}${name}`, problem: 'is required' });
+      }
+    });
+    Object.entries(value).forEach(([name, propertyValue]) => {
+      const property = resolved.properties && resolved.properties[name];
+      if (property) {
+        validateSchema(document, property, propertyValue, `${prefix}${name}`, errors);
+      } else if (resolved.additionalProperties === false) {
+        errors.push({ field: `${prefix}${name}`, unknown: true });
+      } else if (typeof resolved.additionalProperties === 'object') {
+        validateSchema(document, resolved.additionalProperties, propertyValue, `${prefix}${name}`, errors);
+      }
+    });
+  }
+}
+
+// Query strings and form fields are text; read them as the schema's type
+function coerceText(document, schema, text) {
+  const { type } = resolve(document, schema);
+  if ((type === 'integer' || type === 'number') && /^-?\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  if (type === 'boolean' && (text === 'true' || text === 'false')) {
+    return text === 'true';
+  }
+  return text;
+}
+
+function validateQuery(document, operation, query) {
+  const errors = [];
+  (operation.parameters || []).filter(parameter => parameter.in === 'query').forEach(({ name, required, schema }) => {
+    const value = query[name];
+    if (value === undefined) {
+      if (required) {
+        errors.push({ field: name, problem: 'is required' });
+      }
+    } else if (typeof value !== 'string') {
+      errors.push({ field: name, problem: Array.isArray(value) ? 'given more than once' : 'expected a single value' });
+    } else {
+      validateSchema(document, schema, coerceText(document, schema, value), name, errors);
+    }
+  });
+  return errors.map(error => ({ ...error, in: 'query' }));
+}
+
+// Text fields must be declared, files must go to file fields and fields the
+// form encodes as JSON must parse. Parsed JSON replaces the text in `body`.
+function validateForm(document, mediaType, body, files) {
+  const schema = resolve(document, mediaType.schema);
+  const properties = schema.properties || {};
+  const encoding = mediaType.encoding || {};
+  const jsonFields = Object.keys(encoding).filter(name => encoding[name].contentType === JSON_CONTENT);
+  const errors = [];
+  const unknown = (name) => {
+    // Names of JSON options sent as form fields of their own
+    const container = jsonFields.find(jsonField => (resolve(document, properties[jsonField]).properties || {})[name]);
+    errors.push({ field: name, unknown: true, hint: container ? `set it in the JSON '${container}' field` : undefined });
+  };
+
+  Object.entries(body).forEach(([name, value]) => {
+    const property = properties[name];
+    if (!property) {
+      unknown(name);
+    } else if (isFile(property) || isFileList(property)) {
+      errors.push({ field: name, problem: 'expected a file upload' });
+    } else if (typeof value !== 'string') {
+      errors.push({ field: name, problem: 'given more than once' });
+    } else if (!jsonFields.includes(name)) {
+      validateSchema(document, property, coerceText(document, property, value), name, errors);
+    } else {
+      let parsed;
+      try {
+        parsed = JSON.parse(value);
+      } catch (error) {
+        errors.push({ field: name, problem: `not valid JSON (${error.message})` });
+        return;
+      }
+      body[name] = parsed;
+      validateSchema(document, property, parsed, name, errors);
+    }
+  });
+
+  Object.entries(files).forEach(([name, upload]) => {
+    const property = properties[name];
+    if (!property) {
+      unknown(name);
+    } else if (!isFile(property) && !isFileList(property)) {
+      errors.push({ field: name, problem: 'expected a text field, got a file' });
+    } else if (Array.isArray(upload) && !isFileList(property)) {
+      errors.push({ field: name, problem: 'expected a single file' });
+    }
+  });
+  return errors;
+}
+
+function validateBody(document, operation, req) {
+  const content = operation.requestBody ? operation.requestBody.content : {};
+  let errors = [];
+  if (req.is(FORM_CONTENT) && content[FORM_CONTENT]) {
+    errors = validateForm(document, content[FORM_CONTENT], req.body || {}, req.files || {});
+  } else if (req.is(JSON_CONTENT) && content[JSON_CONTENT]) {
+    validateSchema(document, content[JSON_CONTENT].schema, req.body, '', errors);
+  }
+  return errors.map(error => ({ ...error, in: 'body' }));
+}
+
+function describeError({ in: location, field, problem, unknown, hint }) {
+  const noun = location === 'query' ? 'query parameter' : 'field';
+  if (unknown) {
+    return `Unknown ${noun} '${field}'${hint ? `, ${hint}` : ''}`;
+  }
+  return field ? `Invalid ${noun} '${field}': ${problem}` : `Invalid request body: ${problem}`;
+}
+
+// Middleware for routes described in `document`. Responds 400 with the first
+// problem as `error` and all of them in `details.errors`.
+function createRequestValidator(document) {
+  const routes = Object.entries(document.paths).map(([template, pathItem]) => ({
+    pattern: new RegExp(`^${template.replace(/[.]/g, '\\.').replace(/\{[^}]+\}/g, '[^/]+')}$`),
+    pathItem
+  }));
+
+  return (req, res, next) => {
+    const route = routes.find(({ pattern }) => pattern.test(req.path));
+    const operation = route && route.pathItem[req.method.toLowerCase()];
+    if (!operation) {
+      return next();
+    }
+    const errors = [...validateQuery(document, operation, req.query), ...validateBody(document, operation, req)]
+      .map(error => ({ in: error.in, field: error.field || null, message: describeError(error) }));
+    if (errors.length > 0) {
+      req.log.info('Request failed validation', { errors: errors.length, field: errors[0].field });
+      return res.status(400).json({ error: errors[0].message, details: { in: errors[0].in, field: errors[0].field, errors } });
+    }
+    next();
+  };
+}
+
+module.exports = { createRequestValidator };
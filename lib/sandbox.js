@@ -0,0 +1,240 @@
+const { spawnSync } = require('child_process');
+const crypto = require('crypto');
+const os = require('os');
+const fs = require('fs-extra');
+const path = require('path');
+const { runProcess } = require('./processRunner');
+const { ProcessError, CpuLimitError, MemoryLimitError } = require('./errors');
+
+const RUNNERS = ['auto', 'bwrap', 'process'];
+
+// Variables a sandboxed run inherits; everything else, API keys and publishing
+// credentials included, is dropped
+const BASE_ENV = ['PATH', 'LANG', 'LC_ALL', 'TZ', 'DOCKER_HOST'];
+
+// System directories mounted read-only into a bubblewrap sandbox
+const SYSTEM_PATHS = ['/usr', '/bin', '/sbin', '/lib', '/lib64', '/etc'];
+
+// What systemd-run needs to reach the user's service manager; removed again
+// before the sandboxed command starts
+const SYSTEMD_ENV = ['XDG_RUNTIME_DIR', 'DBUS_SESSION_BUS_ADDRESS'];
+
+// Seconds between the soft CPU limit (SIGXCPU) and the hard one (SIGKILL)
+const CPU_GRACE_SECONDS = 5;
+
+// The variables `names` of the server's environment, with HOME and TMPDIR
+// inside `workDir`
+function isolatedEnv(names, workDir) {
+  const env = {};
+  for (const name of names) {
+    if (process.env[name] !== undefined) {
+      env[name] = process.env[name];
+    }
+  }
+  env.HOME = path.join(workDir, '.home');
+  env.TMPDIR = path.join(workDir, '.tmp');
+  return env;
+}
+
+function commandExists(command, args) {
+  const result = spawnSync(command, args, { stdio: 'ignore' });
+  return !result.error && result.status === 0;
+}
+
+// Runs Fern CLI commands isolated from the server. Every run gets only the
+// allow-listed environment with HOME and TMPDIR inside its work directory,
+// a CPU time limit (`ulimit`), and optionally no network. A memory limit is
+// enforced by a cgroup: each run gets a transient systemd scope with
+// MemoryMax, whose result tells whether the kernel killed it for memory. An
+// address space limit would not do, Node reserves far more than it uses for
+// WebAssembly, which its own fetch needs.
+// The 'bwrap' runner also confines the filesystem with bubblewrap: the run
+// sees the system directories and `readOnlyPaths` read-only and can only
+// write to its work directory. 'auto' requires bubblewrap; the 'process'
+// runner, which shares the server's filesystem, has to be chosen explicitly.
+// Wall-clock limits are the `timeoutMs` passed to each run.
+class Sandbox {
+  constructor({
+    runner = 'auto',
+    cpuSeconds = 0,
+    memoryBytes = 0,
+    network = true,
+    allowedEnv = [],
+    readOnlyPaths = [],
+    dockerSocket = null,
+    logger
+  }) {
+    if (!RUNNERS.includes(runner)) {
+      throw new Error(`Unknown sandbox runner '${runner}', expected one of: ${RUNNERS.join(', ')}`);
+    }
+    this.cpuSeconds = cpuSeconds;
+    this.memoryBytes = memoryBytes;
+    this.network = network;
+    this.allowedEnv = [...new Set([...BASE_ENV, ...allowedEnv])];
+    this.readOnlyPaths = readOnlyPaths;
+    this.dockerSocket = dockerSocket;
+    this.logger = logger;
+    // Fail closed: never fall back to a run that can read the server's files
+    if (runner === 'auto' && !commandExists('bwrap', ['--version'])) {
+      throw new Error("bubblewrap (bwrap) is not installed; install it, or choose the 'process' runner to run without filesystem isolation");
+    }
+    this.runner = runner === 'auto' ? 'bwrap' : runner;
+
+    // Fail closed: refuse to start rather than run with the network enabled
+    if (!network && this.runner === 'process' && !commandExists('unshare', ['--user', '--map-root-user', '--net', 'true'])) {
+      throw new Error('Disabling the network needs bubblewrap or unprivileged user namespaces (unshare)');
+    }
+    // or without the memory limit
+    if (memoryBytes > 0 && !commandExists('systemd-run', [...this.scopeArgs(`fern-sandbox-${crypto.randomUUID()}`), 'true'])) {
+      throw new Error('A memory limit needs a systemd user manager with cgroup v2 (systemd-run --user --scope); set it to 0 to run without one');
+    }
+  }
+
+  describe() {
+    return {
+      runner: this.runner,
+      filesystemIsolation: this.runner === 'bwrap',
+      cpuSeconds: this.cpuSeconds || null,
+      memoryBytes: this.memoryBytes || null,
+      network: this.network,
+      dockerSocket: this.dockerSocket
+    };
+  }
+
+  // With a Docker socket, DOCKER_HOST points the Docker CLI in the run at it
+  env(workDir) {
+    const env = isolatedEnv(this.allowedEnv, workDir);
+    if (this.dockerSocket) {
+      env.DOCKER_HOST = `unix://${this.dockerSocket}`;
+    }
+    return env;
+  }
+
+  // `sh -c` applies the limits and then execs the command, so the limits
+  // hold for the command and everything it starts
+  limitsCommand(command, args) {
+    if (!(this.cpuSeconds > 0)) {
+      return [command, args];
+    }
+    const limits = [`ulimit -S -t ${this.cpuSeconds}`, `ulimit -H -t ${this.cpuSeconds + CPU_GRACE_SECONDS}`];
+    return ['sh', ['-c', `${limits.join(' && ')} && exec "$@"`, 'sandbox', command, ...args]];
+  }
+
+  // systemd-run arguments that run a command in the scope `unit`, in a cgroup
+  // of its own limited to `memoryBytes` without swap
+  scopeArgs(unit) {
+    return [
+      '--user', '--scope', '--quiet', `--unit=${unit}`,
+      '-p', `MemoryMax=${this.memoryBytes}`, '-p', 'MemorySwapMax=0'
+    ];
+  }
+
+  // Whether the kernel killed a process of the scope for exceeding MemoryMax.
+  // A scope that ran into a limit stays loaded as failed until reset.
+  memoryLimitHit(unit) {
+    const show = spawnSync('systemctl', ['--user', 'show', '--property=Result', '--value', unit], { encoding: 'utf8' });
+    spawnSync('systemctl', ['--user', 'reset-failed', unit], { stdio: 'ignore' });
+    return !show.error && show.stdout.trim() === 'oom-kill';
+  }
+
+  bwrapArgs(workDir, cwd = workDir) {
+    const args = ['--die-with-parent', '--unshare-all'];
+    if (this.network) {
+      args.push('--share-net');
+    }
+    for (const systemPath of SYSTEM_PATHS) {
+      args.push('--ro-bind-try', systemPath, systemPath);
+    }
+    for (const readOnlyPath of this.readOnlyPaths) {
+      args.push('--ro-bind-try', readOnlyPath, readOnlyPath);
+    }
+    args.push('--proc', '/proc', '--dev', '/dev', '--tmpfs', '/tmp');
+    // `fern generate --local` runs the generators in Docker
+    if (this.dockerSocket) {
+      args.push('--bind', this.dockerSocket, this.dockerSocket);
+    }
+    args.push('--bind', workDir, workDir, '--chdir', cwd);
+    return args;
+  }
+
+  // The command line that runs `command` in the sandbox, inside the memory
+  // limited scope `unit` if there is one
+  wrap(command, args, workDir, unit = null, cwd = workDir) {
+    const [limitedCommand, limitedArgs] = this.limitsCommand(command, args);
+    let wrapped = [limitedCommand, limitedArgs];
+    if (this.runner === 'bwrap') {
+      wrapped = ['bwrap', [...this.bwrapArgs(workDir, cwd), '--', limitedCommand, ...limitedArgs]];
+    } else if (!this.network) {
+      wrapped = ['unshare', ['--user', '--map-root-user', '--net', '--', limitedCommand, ...limitedArgs]];
+    }
+    if (!unit) {
+      return wrapped;
+    }
+    const unset = SYSTEMD_ENV.flatMap(name => ['-u', name]);
+    return ['systemd-run', [...this.scopeArgs(unit), '--', 'env', ...unset, wrapped[0], ...wrapped[1]]];
+  }
+
+  // Map a failed run to the limit it ran into, if any. bubblewrap reports a
+  // child killed by a signal as exit code 128 + signal.
+  classify(error, unit) {
+    const killedBy = (name) => error.signal === name || error.exitCode === 128 + os.constants.signals[name];
+    if (this.cpuSeconds > 0 && killedBy('SIGXCPU')) {
+      return new CpuLimitError(`CPU time limit of ${this.cpuSeconds}s exceeded`, error, this.cpuSeconds);
+    }
+    if (unit && this.memoryLimitHit(unit)) {
+      return new MemoryLimitError(`Memory limit of ${this.memoryBytes} bytes exceeded`, error, this.memoryBytes);
+    }
+    return error;
+  }
+
+  // Whether the Docker daemon answers from inside the sandbox, for readiness
+  async checkDocker(workDir, timeoutMs = 10000) {
+    try {
+      const { stdout } = await this.run('docker', ['version', '--format', '{{.Server.Version}}'], { workDir, timeoutMs });
+      return { ok: true, serverVersion: stdout.trim() };
+    } catch (error) {
+      return { ok: false, error: (error.stderr || error.message).trim() };
+    }
+  }
+
+  // Run `command` in the sandbox with `workDir` as the directory it may write
+  // to, in `cwd` below it (default `workDir`). `env` adds variables to the
+  // allow-listed ones for this run only, e.g. a credential. Takes the other
+  // options of runProcess, and rejects like it, with CpuLimitError or
+  // MemoryLimitError when a limit was exceeded.
+  async run(command, args, { workDir, cwd = workDir, env: extraEnv = {}, ...runOptions }) {
+    const relative = path.relative(workDir, cwd);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Sandbox working directory ${cwd} is outside ${workDir}`);
+    }
+    const env = { ...this.env(workDir), ...extraEnv };
+    await fs.ensureDir(env.HOME);
+    await fs.ensureDir(env.TMPDIR);
+    const unit = this.memoryBytes > 0 ? `fern-sandbox-${crypto.randomUUID()}` : null;
+    if (unit) {
+      SYSTEMD_ENV.filter(name => process.env[name] !== undefined).forEach(name => { env[name] = process.env[name]; });
+    }
+    const [sandboxCommand, sandboxArgs] = this.wrap(command, args, workDir, unit, cwd);
+    try {
+      return await runProcess(sandboxCommand, sandboxArgs, { ...runOptions, cwd, env });
+    } catch (error) {
+      // Report the command that was asked for rather than the wrapper
+      error.message = error.message.replace([sandboxCommand, ...sandboxArgs].join(' '), [command, ...args].join(' '));
+      // Timeouts and cancellations are subclasses and keep their type
+      if (error.constructor !== ProcessError) {
+        throw error;
+      }
+      const classified = this.classify(error, unit);
+      if (classified !== error) {
+        this.logger.warn('Sandboxed command exceeded a resource limit', {
+          command: path.basename(command),
+          limit: classified.limit,
+          value: classified.value
+        });
+      }
+      throw classified;
+    }
+  }
+}
+
+module.exports = { Sandbox, RUNNERS };
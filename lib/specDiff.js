@@ -0,0 +1,468 @@
+const fs = require('fs-extra');
+const path = require('path');
+const YAML = require('yaml');
+const { ValidationError } = require('./errors');
+
+// Compares two versions of an OpenAPI 3.x or Swagger 2.0 spec from the point of
+// view of a generated SDK: anything that changes a method signature or model
+// shape an existing caller relies on is breaking.
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const BUMPS = ['none', 'patch', 'minor', 'major'];
+const SEMVER = /^v?(\d+)\.(\d+)\.(\d+)(?:[-+].*)?$/;
+// Set on nodes inlined from another file to where they come from, as
+// `<file relative to the spec>#<pointer>`
+const INLINED_REF = Symbol('inlinedRef');
+// Refs to URLs, which are never fetched
+const REMOTE_REF = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// The key a JSON pointer segment names. Throws a ValidationError when its
+// percent-encoding is invalid.
+function unescapePointer(segment) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(segment);
+  } catch (error) {
+    throw new ValidationError(`$ref pointer segment '${segment}' has an invalid percent-encoding`);
+  }
+  return decoded.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function resolvePointer(doc, pointer) {
+  return pointer.split('/').filter(Boolean).reduce((node, segment) => {
+    return isObject(node) || Array.isArray(node) ? node[unescapePointer(segment)] : undefined;
+  }, doc);
+}
+
+// A loader for the files of the spec in `specDir`, used to follow `$ref`s:
+// parses each file once and rejects files outside the spec, missing ones and
+// ones that are not YAML or JSON
+function documentReader(specDir) {
+  const documents = new Map();
+  const relative = (file) => path.relative(specDir, file).split(path.sep).join('/');
+  return (file) => {
+    if (!documents.has(file)) {
+      if (file !== specDir && !file.startsWith(specDir + path.sep)) {
+        throw new ValidationError(`$ref to '${relative(file)}' points outside the spec`);
+      }
+      if (!fs.existsSync(file)) {
+        throw new ValidationError(`$ref target '${relative(file)}' does not exist`);
+      }
+      try {
+        documents.set(file, YAML.parse(fs.readFileSync(file, 'utf8')));
+      } catch (error) {
+        throw new ValidationError(`Could not parse '${relative(file)}': ${error.message}`);
+      }
+    }
+    return documents.get(file);
+  };
+}
+
+// Parse the main file and inline `$ref`s into other files, so the diff only
+// has to follow refs local to one document. Refs back into the main file are
+// rewritten as local refs; cyclic external refs and remote refs are left as
+// they are. Each ref target is inlined once and shared by every ref to it,
+// marked with INLINED_REF.
+function loadSpecDocument(specDir, mainFile) {
+  const mainPath = path.join(specDir, mainFile);
+  const read = documentReader(specDir);
+  const inlinedTargets = new Map();
+
+  const inline = (node, file, stack) => {
+    if (Array.isArray(node)) {
+      return node.map(item => inline(item, file, stack));
+    }
+    if (!isObject(node)) {
+      return node;
+    }
+    if (typeof node.$ref === 'string' && !REMOTE_REF.test(node.$ref)) {
+      const [refFile, pointer = ''] = node.$ref.split('#');
+      const target = refFile ? path.resolve(path.dirname(file), refFile) : file;
+      if (target === mainPath) {
+        return { ...node, $ref: `#${pointer}` };
+      }
+      const id = `${target}#${pointer}`;
+      if (stack.includes(id)) {
+        return node;
+      }
+      if (!inlinedTargets.has(id)) {
+        const inlined = inline(resolvePointer(read(target), pointer), target, [...stack, id]);
+        if (isObject(inlined)) {
+          inlined[INLINED_REF] = `${path.relative(specDir, target)}#${pointer}`;
+        }
+        inlinedTargets.set(id, inlined);
+      }
+      return inlinedTargets.get(id);
+    }
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, inline(value, file, stack)]));
+  };
+
+  return inline(read(mainPath), mainPath, []);
+}
+
+// Follow local refs, e.g. to components/parameters, up to the referenced node
+function deref(doc, node, seen = []) {
+  if (!isObject(node) || typeof node.$ref !== 'string' || !node.$ref.startsWith('#')) {
+    return node;
+  }
+  if (seen.includes(node.$ref)) {
+    return {};
+  }
+  return deref(doc, resolvePointer(doc, node.$ref.slice(1)) || {}, [...seen, node.$ref]);
+}
+
+function pickMediaSchema(content) {
+  if (!isObject(content)) {
+    return null;
+  }
+  const mediaType = content['application/json'] ? 'application/json' : Object.keys(content)[0];
+  return mediaType && content[mediaType] ? content[mediaType].schema || null : null;
+}
+
+// Reduce the operation `endpoint` to what shapes the SDK method: parameters
+// keyed by location and name, the request body and the response schema per
+// status. Swagger 2.0 body and OpenAPI 3.x requestBody end up in the same form.
+function describeOperation(doc, pathItem, operation, endpoint) {
+  [pathItem.parameters, operation.parameters].forEach(list => {
+    if (list !== undefined && !Array.isArray(list)) {
+      throw new ValidationError(`Invalid 'parameters' for ${endpoint}: expected a list`);
+    }
+  });
+  if (operation.responses !== undefined && !isObject(operation.responses)) {
+    throw new ValidationError(`Invalid 'responses' for ${endpoint}: expected an object keyed by status`);
+  }
+  const parameters = new Map();
+  let requestBody = null;
+  [...(pathItem.parameters || []), ...(operation.parameters || [])].forEach(ref => {
+    const parameter = deref(doc, ref);
+    if (!isObject(parameter) || !parameter.name) {
+      return;
+    }
+    if (parameter.in === 'body') {
+      requestBody = { required: Boolean(parameter.required), schema: parameter.schema || null };
+      return;
+    }
+    const schema = parameter.schema ||
+      { type: parameter.type, format: parameter.format, enum: parameter.enum, items: parameter.items };
+    parameters.set(`${parameter.in}:${parameter.name}`, {
+      in: parameter.in,
+      name: parameter.name,
+      required: Boolean(parameter.required) || parameter.in === 'path',
+      schema
+    });
+  });
+
+  if (operation.requestBody) {
+    const body = deref(doc, operation.requestBody);
+    requestBody = { required: Boolean(body.required), schema: pickMediaSchema(body.content) };
+  }
+
+  const responses = new Map();
+  Object.entries(operation.responses || {}).forEach(([status, ref]) => {
+    const response = deref(doc, ref) || {};
+    responses.set(status, response.content ? pickMediaSchema(response.content) : response.schema || null);
+  });
+
+  return { parameters, requestBody, responses };
+}
+
+function listOperations(doc) {
+  const operations = new Map();
+  Object.entries(doc.paths || {}).forEach(([route, ref]) => {
+    const pathItem = deref(doc, ref) || {};
+    HTTP_METHODS.forEach(method => {
+      if (isObject(pathItem[method])) {
+        const endpoint = `${method.toUpperCase()} ${route}`;
+        operations.set(endpoint, describeOperation(doc, pathItem, pathItem[method], endpoint));
+      }
+    });
+  });
+  return operations;
+}
+
+function componentSchemas(doc) {
+  return (doc.components && doc.components.schemas) || doc.definitions || {};
+}
+
+function schemaType(schema) {
+  if (schema.type) {
+    return Array.isArray(schema.type) ? [...schema.type].sort().join('|') : schema.type;
+  }
+  if (schema.properties) {
+    return 'object';
+  }
+  return undefined;
+}
+
+class DiffCollector {
+  constructor(baseDoc, revisionDoc) {
+    this.baseDoc = baseDoc;
+    this.revisionDoc = revisionDoc;
+    this.changes = [];
+    this.comparedInlined = new Set();
+  }
+
+  add(type, action, location, breaking, message, bump) {
+    this.changes.push({
+      type,
+      action,
+      location,
+      breaking,
+      bump: breaking ? 'major' : bump || (action === 'added' ? 'minor' : 'patch'),
+      message
+    });
+  }
+
+  // Compare two schemas at `location`. Matching refs to named schemas are not
+  // followed; those schemas are compared once under their own name. Schemas
+  // inlined from the same place in another file are likewise compared once,
+  // under the name of that place.
+  compareSchema(base, revision, location, seen = new Set()) {
+    if (!isObject(base) || !isObject(revision)) {
+      if (isObject(base) !== isObject(revision)) {
+        this.add('schema', 'changed', location, true, 'Schema was added or removed');
+      }
+      return;
+    }
+    if (base[INLINED_REF] && base[INLINED_REF] === revision[INLINED_REF]) {
+      if (this.comparedInlined.has(base[INLINED_REF])) {
+        return;
+      }
+      this.comparedInlined.add(base[INLINED_REF]);
+      location = base[INLINED_REF];
+    }
+    if (base.$ref || revision.$ref) {
+      if (base.$ref === revision.$ref) {
+        return;
+      }
+      if (base.$ref && revision.$ref) {
+        this.add('schema', 'changed', location, true, `Reference changed from '${base.$ref}' to '${revision.$ref}'`);
+        return;
+      }
+      const key = `${location}|${base.$ref || ''}|${revision.$ref || ''}`;
+      if (seen.has(key)) {
+        return;
+      }
+      seen.add(key);
+      base = deref(this.baseDoc, base);
+      revision = deref(this.revisionDoc, revision);
+    }
+
+    const baseType = schemaType(base);
+    const revisionType = schemaType(revision);
+    if (baseType !== revisionType) {
+      this.add('schema', 'changed', location, true, `Type changed from '${baseType}' to '${revisionType}'`);
+      return;
+    }
+    if (base.format !== revision.format) {
+      this.add('schema', 'changed', location, true, `Format changed from '${base.format}' to '${revision.format}'`);
+    }
+
+    this.compareEnum(base.enum, revision.enum, location);
+    this.compareProperties(base, revision, location, seen);
+    if (base.items || revision.items) {
+      this.compareSchema(base.items, revision.items, `${location}[]`, seen);
+    }
+    ['allOf', 'oneOf', 'anyOf'].forEach(keyword => {
+      const baseList = base[keyword] || [];
+      const revisionList = revision[keyword] || [];
+      if (baseList.length !== revisionList.length) {
+        // Removing a variant breaks callers using it; adding one can break
+        // exhaustive handling only for oneOf/anyOf responses, treated as minor
+        const removed = revisionList.length < baseList.length || keyword === 'allOf';
+        this.add('schema', 'changed', location, removed,
+          `${keyword} changed from ${baseList.length} to ${revisionList.length} schemas`);
+        return;
+      }
+      baseList.forEach((item, index) => {
+        this.compareSchema(item, revisionList[index], `${location}.${keyword}[${index}]`, seen);
+      });
+    });
+  }
+
+  compareEnum(baseEnum, revisionEnum, location) {
+    if (!Array.isArray(baseEnum) && !Array.isArray(revisionEnum)) {
+      return;
+    }
+    if (!Array.isArray(baseEnum)) {
+      this.add('enum', 'added', location, true, 'Values were restricted to an enum');
+      return;
+    }
+    if (!Array.isArray(revisionEnum)) {
+      this.add('enum', 'removed', location, false, 'Enum restriction was removed', 'minor');
+      return;
+    }
+    baseEnum.filter(value => !revisionEnum.includes(value)).forEach(value => {
+      this.add('enum', 'removed', `${location}=${JSON.stringify(value)}`, true, `Enum value ${JSON.stringify(value)} was removed`);
+    });
+    revisionEnum.filter(value => !baseEnum.includes(value)).forEach(value => {
+      this.add('enum', 'added', `${location}=${JSON.stringify(value)}`, false, `Enum value ${JSON.stringify(value)} was added`);
+    });
+  }
+
+  compareProperties(base, revision, location, seen) {
+    const baseProperties = base.properties || {};
+    const revisionProperties = revision.properties || {};
+    const baseRequired = base.required || [];
+    const revisionRequired = revision.required || [];
+
+    Object.keys(baseProperties).forEach(name => {
+      const propertyLocation = `${location}.${name}`;
+      if (!(name in revisionProperties)) {
+        this.add('property', 'removed', propertyLocation, true, `Property '${name}' was removed`);
+        return;
+      }
+      const wasRequired = baseRequired.includes(name);
+      const isRequired = revisionRequired.includes(name);
+      if (!wasRequired && isRequired) {
+        this.add('property', 'changed', propertyLocation, true, `Property '${name}' became required`);
+      } else if (wasRequired && !isRequired) {
+        // Generated models turn the field optional, which changes its type
+        this.add('property', 'changed', propertyLocation, true, `Property '${name}' became optional`);
+      }
+      this.compareSchema(baseProperties[name], revisionProperties[name], propertyLocation, seen);
+    });
+    Object.keys(revisionProperties).filter(name => !(name in baseProperties)).forEach(name => {
+      const required = revisionRequired.includes(name);
+      this.add('property', 'added', `${location}.${name}`, required,
+        `${required ? 'Required' : 'Optional'} property '${name}' was added`);
+    });
+  }
+
+  compareOperation(endpoint, base, revision) {
+    base.parameters.forEach((parameter, key) => {
+      const location = `${endpoint} ${parameter.in} parameter '${parameter.name}'`;
+      const revised = revision.parameters.get(key);
+      if (!revised) {
+        this.add('parameter', 'removed', location, true, `Parameter '${parameter.name}' was removed`);
+        return;
+      }
+      if (!parameter.required && revised.required) {
+        this.add('parameter', 'changed', location, true, `Parameter '${parameter.name}' became required`);
+      } else if (parameter.required && !revised.required) {
+        this.add('parameter', 'changed', location, false, `Parameter '${parameter.name}' became optional`);
+      }
+      this.compareSchema(parameter.schema, revised.schema, location);
+    });
+    revision.parameters.forEach((parameter, key) => {
+      if (!base.parameters.has(key)) {
+        this.add('parameter', 'added', `${endpoint} ${parameter.in} parameter '${parameter.name}'`, parameter.required,
+          `${parameter.required ? 'Required' : 'Optional'} parameter '${parameter.name}' was added`);
+      }
+    });
+
+    const bodyLocation = `${endpoint} request body`;
+    if (base.requestBody && !revision.requestBody) {
+      this.add('requestBody', 'removed', bodyLocation, true, 'Request body was removed');
+    } else if (!base.requestBody && revision.requestBody) {
+      this.add('requestBody', 'added', bodyLocation, revision.requestBody.required,
+        `${revision.requestBody.required ? 'Required' : 'Optional'} request body was added`);
+    } else if (base.requestBody) {
+      if (!base.requestBody.required && revision.requestBody.required) {
+        this.add('requestBody', 'changed', bodyLocation, true, 'Request body became required');
+      }
+      this.compareSchema(base.requestBody.schema, revision.requestBody.schema, bodyLocation);
+    }
+
+    base.responses.forEach((schema, status) => {
+      const location = `${endpoint} response ${status}`;
+      if (!revision.responses.has(status)) {
+        // Only success responses shape the SDK method's return type
+        const breaking = /^2/.test(status);
+        this.add('response', 'removed', location, breaking, `Response ${status} was removed`);
+        return;
+      }
+      this.compareSchema(schema, revision.responses.get(status), location);
+    });
+    revision.responses.forEach((schema, status) => {
+      if (!base.responses.has(status)) {
+        this.add('response', 'added', `${endpoint} response ${status}`, false, `Response ${status} was added`);
+      }
+    });
+  }
+}
+
+function suggestVersion(baseVersion, bump) {
+  const match = SEMVER.exec(String(baseVersion || ''));
+  if (!match || bump === 'none') {
+    return match ? `${match[1]}.${match[2]}.${match[3]}` : null;
+  }
+  const [major, minor, patch] = match.slice(1).map(Number);
+  if (bump === 'major') {
+    return `${major + 1}.0.0`;
+  }
+  return bump === 'minor' ? `${major}.${minor + 1}.0` : `${major}.${minor}.${patch + 1}`;
+}
+
+// Diff two loaded spec documents. Returns every change with whether it is
+// breaking, a summary and the suggested semver bump (the largest of any
+// change), applied to the base document's info.version when it is semver.
+function diffSpecs(baseDoc, revisionDoc) {
+  const collector = new DiffCollector(baseDoc, revisionDoc);
+
+  const baseOperations = listOperations(baseDoc);
+  const revisionOperations = listOperations(revisionDoc);
+  baseOperations.forEach((operation, endpoint) => {
+    if (!revisionOperations.has(endpoint)) {
+      collector.add('endpoint', 'removed', endpoint, true, `Endpoint ${endpoint} was removed`);
+      return;
+    }
+    collector.compareOperation(endpoint, operation, revisionOperations.get(endpoint));
+  });
+  revisionOperations.forEach((operation, endpoint) => {
+    if (!baseOperations.has(endpoint)) {
+      collector.add('endpoint', 'added', endpoint, false, `Endpoint ${endpoint} was added`);
+    }
+  });
+
+  const baseSchemas = componentSchemas(baseDoc);
+  const revisionSchemas = componentSchemas(revisionDoc);
+  Object.keys(baseSchemas).forEach(name => {
+    if (!(name in revisionSchemas)) {
+      collector.add('schema', 'removed', name, true, `Schema '${name}' was removed`);
+      return;
+    }
+    collector.compareSchema(baseSchemas[name], revisionSchemas[name], name);
+  });
+  Object.keys(revisionSchemas).filter(name => !(name in baseSchemas)).forEach(name => {
+    collector.add('schema', 'added', name, false, `Schema '${name}' was added`);
+  });
+
+  const { changes } = collector;
+  const bump = changes.reduce((largest, change) => {
+    return BUMPS.indexOf(change.bump) > BUMPS.indexOf(largest) ? change.bump : largest;
+  }, 'none');
+  const baseVersion = baseDoc.info && baseDoc.info.version !== undefined ? String(baseDoc.info.version) : null;
+  const breaking = changes.filter(change => change.breaking).length;
+
+  return {
+    breaking: breaking > 0,
+    suggestedBump: bump,
+    baseVersion,
+    revisionVersion: revisionDoc.info && revisionDoc.info.version !== undefined ? String(revisionDoc.info.version) : null,
+    suggestedVersion: suggestVersion(baseVersion, bump),
+    summary: {
+      total: changes.length,
+      breaking,
+      nonBreaking: changes.length - breaking
+    },
+    changes
+  };
+}
+
+module.exports = {
+  HTTP_METHODS,
+  INLINED_REF,
+  REMOTE_REF,
+  isObject,
+  unescapePointer,
+  resolvePointer,
+  deref,
+  documentReader,
+  loadSpecDocument,
+  diffSpecs
+};
@@ -0,0 +1,567 @@
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const YAML = require('yaml');
+const { ValidationError } = require('./errors');
+const { HTTP_METHODS, INLINED_REF, REMOTE_REF, isObject, deref, loadSpecDocument } = require('./specDiff');
+const { createDiagnostic, resolveLocations, formatDiagnostic } = require('./diagnostics');
+
+// Organizational API guidelines checked before generation. Built-in rules
+// cover common conventions; custom rules are declarative checks of one field
+// of the spec's paths, operations, parameters, responses, schemas or
+// properties. Findings are diagnostics like those of `fern check`, with
+// `lint/<rule>` codes.
+
+const SEVERITIES = ['error', 'warning', 'info'];
+const OFF = 'off';
+const LINTABLE_TYPES = ['openapi', 'swagger'];
+const RULE_ID = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const KEBAB_CASE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_CUSTOM_RULES = 100;
+// Custom patterns come from API clients. They are kept short, without nested
+// quantifiers, and only see the start of long values; since other patterns can
+// still backtrack for a long time, linting runs in a worker thread that is
+// stopped after a time limit.
+const MAX_PATTERN_LENGTH = 256;
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)\s*[+*{]/;
+const MAX_MATCHED_LENGTH = 1024;
+const TARGETS = ['document', 'paths', 'operations', 'parameters', 'responses', 'schemas', 'properties'];
+const ASSERTIONS = ['truthy', 'falsy', 'pattern', 'notPattern', 'enum'];
+
+// Lists in the spec, e.g. `parameters`, or nothing when they are not lists
+function list(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function operations(doc) {
+  const result = [];
+  Object.entries(isObject(doc.paths) ? doc.paths : {}).forEach(([route, ref]) => {
+    const pathItem = deref(doc, ref) || {};
+    HTTP_METHODS.forEach(method => {
+      if (isObject(pathItem[method])) {
+        result.push({ route, method, pathItem, operation: pathItem[method], segments: ['paths', route, method] });
+      }
+    });
+  });
+  return result;
+}
+
+function componentSchemas(doc) {
+  if (isObject(doc.components) && isObject(doc.components.schemas)) {
+    return { schemas: doc.components.schemas, segments: ['components', 'schemas'] };
+  }
+  return { schemas: isObject(doc.definitions) ? doc.definitions : {}, segments: ['definitions'] };
+}
+
+// Request and response body schemas of an operation with where they are
+// declared, for OpenAPI 3.x `content` and Swagger 2.0 body parameters alike.
+// `status` is null for the request body.
+function bodySchemas(doc, { operation, segments }) {
+  const bodies = [];
+  const addContent = (content, at, status) => {
+    Object.entries(isObject(content) ? content : {}).forEach(([mediaType, media]) => {
+      if (isObject(media) && media.schema) {
+        bodies.push({ schema: media.schema, segments: [...at, 'content', mediaType, 'schema'], status });
+      }
+    });
+  };
+
+  if (operation.requestBody) {
+    addContent(deref(doc, operation.requestBody).content, [...segments, 'requestBody'], null);
+  }
+  list(operation.parameters).forEach((ref, index) => {
+    const parameter = deref(doc, ref);
+    if (isObject(parameter) && parameter.in === 'body' && parameter.schema) {
+      bodies.push({ schema: parameter.schema, segments: [...segments, 'parameters', index, 'schema'], status: null });
+    }
+  });
+  Object.entries(isObject(operation.responses) ? operation.responses : {}).forEach(([status, ref]) => {
+    const response = deref(doc, ref) || {};
+    const at = [...segments, 'responses', status];
+    if (response.content) {
+      addContent(response.content, at, status);
+    } else if (response.schema) {
+      bodies.push({ schema: response.schema, segments: [...at, 'schema'], status });
+    }
+  });
+  return bodies;
+}
+
+function isInlineObject(schema) {
+  return isObject(schema) && schema.$ref === undefined && schema[INLINED_REF] === undefined &&
+    (schema.type === 'object' || isObject(schema.properties)) &&
+    Object.keys(schema.properties || {}).length > 0;
+}
+
+function isSuccessStatus(status) {
+  return status !== null && /^2(\d\d|XX)$/i.test(status);
+}
+
+// Built-in rules. `check(doc, options, report)` calls `report(segments, message)`
+// for every finding; `options` are the rule's settings besides its severity.
+const RULES = {
+  'operation-id': {
+    severity: 'warning',
+    description: 'Every operation has an operationId',
+    check(doc, options, report) {
+      operations(doc).forEach(({ operation, segments }) => {
+        if (typeof operation.operationId !== 'string' || operation.operationId.trim() === '') {
+          report(segments, 'Operation has no operationId');
+        }
+      });
+    }
+  },
+  'operation-id-unique': {
+    severity: 'warning',
+    description: 'operationIds are unique',
+    check(doc, options, report) {
+      const seen = new Map();
+      operations(doc).forEach(({ route, method, operation, segments }) => {
+        const id = operation.operationId;
+        if (typeof id !== 'string') {
+          return;
+        }
+        if (seen.has(id)) {
+          report([...segments, 'operationId'], `operationId '${id}' is also used by ${seen.get(id)}`);
+        } else {
+          seen.set(id, `${method.toUpperCase()} ${route}`);
+        }
+      });
+    }
+  },
+  'kebab-case-paths': {
+    severity: 'warning',
+    description: 'Path segments are kebab-case',
+    check(doc, options, report) {
+      Object.keys(isObject(doc.paths) ? doc.paths : {}).forEach(route => {
+        route.split('/').filter(segment => segment && !/^\{[^}]+\}$/.test(segment)).forEach(segment => {
+          if (!KEBAB_CASE.test(segment)) {
+            report(['paths', route], `Path segment '${segment}' is not kebab-case`);
+          }
+        });
+      });
+    }
+  },
+  'error-responses': {
+    severity: 'warning',
+    description: 'Every operation documents its error responses (4xx, 5xx or default)',
+    check(doc, options, report) {
+      operations(doc).forEach(({ operation, segments }) => {
+        const statuses = Object.keys(isObject(operation.responses) ? operation.responses : {});
+        if (!statuses.some(status => status === 'default' || /^[45]/.test(status))) {
+          report(operation.responses ? [...segments, 'responses'] : segments, 'Operation documents no error responses');
+        }
+      });
+    }
+  },
+  'no-inline-schemas': {
+    severity: 'warning',
+    description: 'Request and response bodies use named schemas rather than inline objects',
+    check(doc, options, report) {
+      const { segments: componentsAt } = componentSchemas(doc);
+      operations(doc).forEach(operation => {
+        bodySchemas(doc, operation).forEach(({ schema, segments, status }) => {
+          const inline = isInlineObject(schema) ? segments
+            : isObject(schema) && schema.type === 'array' && isInlineObject(schema.items) ? [...segments, 'items']
+              : null;
+          if (inline) {
+            const body = status ? `${status} response` : 'request body';
+            report(inline, `Inline object schema in the ${body}, move it to ${componentsAt.join('/')}`);
+          }
+        });
+      });
+    }
+  },
+  pagination: {
+    severity: 'warning',
+    description: 'List operations take the pagination parameters',
+    options: { parameters: ['limit', 'cursor'] },
+    // A GET is a list operation when a success response is an array or it
+    // takes any of the pagination parameters
+    check(doc, { parameters: required }, report) {
+      operations(doc).forEach(({ method, pathItem, operation, segments }) => {
+        if (method !== 'get') {
+          return;
+        }
+        const queryParameters = [...list(pathItem.parameters), ...list(operation.parameters)]
+          .map(ref => deref(doc, ref))
+          .filter(parameter => isObject(parameter) && parameter.in === 'query')
+          .map(parameter => parameter.name);
+        const returnsList = bodySchemas(doc, { operation, segments })
+          .some(({ schema, status }) => isSuccessStatus(status) && (deref(doc, schema) || {}).type === 'array');
+        if (!returnsList && !required.some(name => queryParameters.includes(name))) {
+          return;
+        }
+        required.filter(name => !queryParameters.includes(name)).forEach(name => {
+          report(segments, `List operation is missing the pagination parameter '${name}'`);
+        });
+      });
+    }
+  },
+  'no-remote-refs': {
+    severity: 'warning',
+    description: '$refs point into the spec\'s own files; URLs are not fetched, so their schemas are unchecked',
+    check(doc, options, report) {
+      // YAML aliases share nodes, so each is visited once
+      const seen = new Set();
+      const visit = (node, segments) => {
+        if (!(isObject(node) || Array.isArray(node)) || seen.has(node)) {
+          return;
+        }
+        seen.add(node);
+        if (typeof node.$ref === 'string' && REMOTE_REF.test(node.$ref)) {
+          report(segments, `$ref '${node.$ref}' points at a URL, which is not resolved`);
+          return;
+        }
+        Object.entries(node).forEach(([key, value]) => visit(value, [...segments, key]));
+      };
+      visit(doc, []);
+    }
+  }
+};
+
+// The nodes a custom rule's `given` selects, each with its key and location
+function selectTargets(doc, given) {
+  if (given === 'document') {
+    return [{ node: doc, key: null, segments: [] }];
+  }
+  if (given === 'paths') {
+    return Object.entries(isObject(doc.paths) ? doc.paths : {})
+      .map(([route, ref]) => ({ node: deref(doc, ref), key: route, segments: ['paths', route] }));
+  }
+  if (given === 'schemas' || given === 'properties') {
+    const { schemas, segments } = componentSchemas(doc);
+    const named = Object.entries(schemas)
+      .map(([name, schema]) => ({ node: schema, key: name, segments: [...segments, name] }));
+    if (given === 'schemas') {
+      return named;
+    }
+    return named.flatMap(({ node, segments: schemaAt }) => {
+      const properties = isObject(node) && isObject(node.properties) ? node.properties : {};
+      return Object.entries(properties)
+        .map(([name, property]) => ({ node: property, key: name, segments: [...schemaAt, 'properties', name] }));
+    });
+  }
+
+  return operations(doc).flatMap(({ route, method, pathItem, operation, segments }) => {
+    if (given === 'operations') {
+      return [{ node: operation, key: `${method.toUpperCase()} ${route}`, segments }];
+    }
+    if (given === 'responses') {
+      return Object.entries(isObject(operation.responses) ? operation.responses : {})
+        .map(([status, ref]) => ({ node: deref(doc, ref), key: status, segments: [...segments, 'responses', status] }));
+    }
+    // Parameters, path-level ones included, per operation
+    return [
+      ...list(pathItem.parameters).map((ref, index) => ({ ref, segments: ['paths', route, 'parameters', index] })),
+      ...list(operation.parameters).map((ref, index) => ({ ref, segments: [...segments, 'parameters', index] }))
+    ].map(({ ref, segments: at }) => {
+      const parameter = deref(doc, ref);
+      return { node: parameter, key: isObject(parameter) ? parameter.name : null, segments: at };
+    });
+  });
+}
+
+function readField(node, field) {
+  if (!field) {
+    return node;
+  }
+  return field.split('.').reduce((value, name) => (isObject(value) ? value[name] : undefined), node);
+}
+
+function truthy(value) {
+  return Boolean(value) && !(Array.isArray(value) && value.length === 0) &&
+    !(isObject(value) && Object.keys(value).length === 0);
+}
+
+// Whether the value passes the custom rule's assertion. Values a pattern or
+// enum cannot apply to, i.e. missing ones, pass; `truthy` catches those.
+function assertValue(rule, value) {
+  if (rule.truthy) {
+    return truthy(value);
+  }
+  if (rule.falsy) {
+    return !truthy(value);
+  }
+  if (value === undefined || value === null || isObject(value) || Array.isArray(value)) {
+    return true;
+  }
+  const text = String(value).slice(0, MAX_MATCHED_LENGTH);
+  if (rule.pattern !== undefined) {
+    return new RegExp(rule.pattern).test(text);
+  }
+  if (rule.notPattern !== undefined) {
+    return !new RegExp(rule.notPattern).test(text);
+  }
+  return rule.enum.includes(value);
+}
+
+function checkCustomRule(rule) {
+  return (doc, options, report) => {
+    selectTargets(doc, rule.given).forEach(({ node, key, segments }) => {
+      if (!isObject(node)) {
+        return;
+      }
+      const value = rule.field === '@key' ? key : readField(node, rule.field);
+      if (!assertValue(rule, value)) {
+        const where = rule.given === 'document' ? '' : ` (${key})`;
+        report(segments, `${rule.message || rule.description || `Violates rule '${rule.id}'`}${where}`);
+      }
+    });
+  };
+}
+
+function validatePattern(pattern, field) {
+  if (typeof pattern !== 'string' || pattern.length > MAX_PATTERN_LENGTH) {
+    throw new ValidationError(`Lint rule '${field}' must be a regular expression of at most ${MAX_PATTERN_LENGTH} characters`, { field });
+  }
+  if (NESTED_QUANTIFIER.test(pattern)) {
+    throw new ValidationError(`Lint rule '${field}' must not repeat a quantified group`, { field });
+  }
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    throw new ValidationError(`Lint rule '${field}' is not a valid regular expression: ${error.message}`, { field });
+  }
+}
+
+function validateCustomRule(rule, field) {
+  if (!isObject(rule)) {
+    throw new ValidationError(`Custom lint rule '${field}' must be an object`, { field });
+  }
+  const allowedKeys = ['id', 'description', 'message', 'severity', 'given', 'field', ...ASSERTIONS];
+  Object.keys(rule).forEach(key => {
+    if (!allowedKeys.includes(key)) {
+      throw new ValidationError(`Unknown key '${key}' in custom lint rule`, { field: `${field}.${key}`, allowedKeys });
+    }
+  });
+  if (typeof rule.id !== 'string' || !RULE_ID.test(rule.id)) {
+    throw new ValidationError('Custom lint rule ids must be lowercase letters, digits and dashes', { field: `${field}.id` });
+  }
+  if (RULES[rule.id]) {
+    throw new ValidationError(`Custom lint rule '${rule.id}' has the id of a built-in rule`, { field: `${field}.id` });
+  }
+  ['description', 'message', 'field'].forEach(key => {
+    if (rule[key] !== undefined && typeof rule[key] !== 'string') {
+      throw new ValidationError(`Custom lint rule '${key}' must be a string`, { field: `${field}.${key}` });
+    }
+  });
+  const severity = rule.severity !== undefined ? rule.severity : 'warning';
+  if (!SEVERITIES.includes(severity)) {
+    throw new ValidationError(`Custom lint rule severity must be one of: ${SEVERITIES.join(', ')}`, { field: `${field}.severity` });
+  }
+  if (!TARGETS.includes(rule.given)) {
+    throw new ValidationError(`Custom lint rule 'given' must be one of: ${TARGETS.join(', ')}`, { field: `${field}.given` });
+  }
+  const assertions = ASSERTIONS.filter(key => rule[key] !== undefined);
+  if (assertions.length !== 1) {
+    throw new ValidationError(`Custom lint rule needs exactly one of: ${ASSERTIONS.join(', ')}`, { field });
+  }
+  const [assertion] = assertions;
+  if ((assertion === 'truthy' || assertion === 'falsy') && rule[assertion] !== true) {
+    throw new ValidationError(`Custom lint rule '${assertion}' must be true`, { field: `${field}.${assertion}` });
+  }
+  if (assertion === 'pattern' || assertion === 'notPattern') {
+    validatePattern(rule[assertion], `${field}.${assertion}`);
+  }
+  if (assertion === 'enum' && (!Array.isArray(rule.enum) || rule.enum.length === 0)) {
+    throw new ValidationError("Custom lint rule 'enum' must be a non-empty list", { field: `${field}.enum` });
+  }
+  return { ...rule, severity };
+}
+
+// A rule setting is a severity or 'off', or an object with `severity` and
+// the rule's options
+function validateRuleSetting(id, setting, field) {
+  const value = isObject(setting) ? setting : { severity: setting };
+  const { severity, ...options } = value;
+  if (severity !== undefined && severity !== OFF && !SEVERITIES.includes(severity)) {
+    throw new ValidationError(`Lint rule severity must be one of: ${[...SEVERITIES, OFF].join(', ')}`, { field });
+  }
+  const builtIn = RULES[id];
+  Object.entries(options).forEach(([key, option]) => {
+    if (!builtIn || !builtIn.options || builtIn.options[key] === undefined) {
+      throw new ValidationError(`Unknown option '${key}' for lint rule '${id}'`, { field: `${field}.${key}` });
+    }
+    if (!Array.isArray(option) || option.length === 0 || option.some(item => typeof item !== 'string')) {
+      throw new ValidationError(`Lint rule option '${key}' must be a non-empty list of strings`, { field: `${field}.${key}` });
+    }
+  });
+  return value;
+}
+
+// Validate one layer of lint configuration: `rules` maps rule ids to their
+// setting and `customRules` adds rules. `field` prefixes error locations.
+function validateLintConfig(config, field = 'lint') {
+  if (!isObject(config)) {
+    throw new ValidationError(`'${field}' must be an object`, { field });
+  }
+  const rules = config.rules !== undefined ? config.rules : {};
+  const customRules = config.customRules !== undefined ? config.customRules : [];
+  if (!isObject(rules)) {
+    throw new ValidationError(`'${field}.rules' must be an object`, { field: `${field}.rules` });
+  }
+  if (!Array.isArray(customRules) || customRules.length > MAX_CUSTOM_RULES) {
+    throw new ValidationError(`'${field}.customRules' must be a list of at most ${MAX_CUSTOM_RULES} rules`, {
+      field: `${field}.customRules`
+    });
+  }
+  return {
+    rules: Object.fromEntries(Object.entries(rules)
+      .map(([id, setting]) => [id, validateRuleSetting(id, setting, `${field}.rules.${id}`)])),
+    customRules: customRules.map((rule, index) => validateCustomRule(rule, `${field}.customRules.${index}`))
+  };
+}
+
+// Parse and validate a lint configuration file, YAML or JSON
+function loadLintConfig(text, field) {
+  let config;
+  try {
+    config = YAML.parse(text);
+  } catch (error) {
+    throw new ValidationError(`Could not parse '${field}': ${error.message}`, { field });
+  }
+  return validateLintConfig(config === null ? {} : config, field);
+}
+
+// Request option `lint`: whether to lint, whether errors block generation,
+// plus a configuration layer of its own
+function validateLintOptions(lint = {}) {
+  if (!isObject(lint)) {
+    throw new ValidationError("Invalid option 'lint': expected object", { field: 'lint' });
+  }
+  const { enabled = true, blocking = true, ...config } = lint;
+  ['enabled', 'blocking'].forEach(key => {
+    if (lint[key] !== undefined && typeof lint[key] !== 'boolean') {
+      throw new ValidationError(`Invalid option 'lint.${key}': expected boolean`, { field: `lint.${key}` });
+    }
+  });
+  return { enabled, blocking, ...validateLintConfig(config, 'lint') };
+}
+
+// Merge validated configuration layers, later ones winning, into the list of
+// rules to run. Custom rules with the same id replace earlier ones.
+function resolveLintRules(layers) {
+  const custom = new Map();
+  const settings = {};
+  layers.filter(Boolean).forEach(layer => {
+    layer.customRules.forEach(rule => custom.set(rule.id, rule));
+    Object.entries(layer.rules).forEach(([id, setting]) => {
+      settings[id] = { ...settings[id], ...setting };
+    });
+  });
+
+  Object.keys(settings).forEach(id => {
+    if (!RULES[id] && !custom.has(id)) {
+      throw new ValidationError(`Unknown lint rule '${id}'`, { field: `lint.rules.${id}`, rules: Object.keys(RULES) });
+    }
+  });
+
+  const builtIn = Object.entries(RULES).map(([id, rule]) => ({
+    id,
+    severity: rule.severity,
+    options: { ...rule.options },
+    check: rule.check
+  }));
+  const customRules = [...custom.values()].map(rule => ({
+    id: rule.id,
+    severity: rule.severity,
+    options: {},
+    check: checkCustomRule(rule)
+  }));
+  return [...builtIn, ...customRules]
+    .map(rule => {
+      const { severity = rule.severity, ...options } = settings[rule.id] || {};
+      return { ...rule, severity, options: { ...rule.options, ...options } };
+    })
+    .filter(rule => rule.severity !== OFF);
+}
+
+// Lint the spec saved in `specDir`, as detected by detectSpec, with resolved
+// `rules`. Diagnostics point into the spec's place in the fern workspace like
+// those of `fern check`. Specs other than OpenAPI and Swagger are skipped.
+function runLint(specDir, spec, rules) {
+  if (!LINTABLE_TYPES.includes(spec.type)) {
+    return { skipped: `Linting supports OpenAPI and Swagger specs, not ${spec.type}`, diagnostics: [] };
+  }
+  const doc = loadSpecDocument(specDir, spec.mainFile);
+  if (!isObject(doc)) {
+    throw new ValidationError(`'${spec.mainFile}' does not contain a spec document`);
+  }
+  const diagnostics = [];
+  rules.forEach(rule => {
+    rule.check(doc, rule.options, (segments, message) => {
+      diagnostics.push(createDiagnostic({
+        severity: rule.severity,
+        message,
+        code: `lint/${rule.id}`,
+        file: spec.mainFile,
+        segments: segments.map(String)
+      }));
+    });
+  });
+  return {
+    skipped: null,
+    diagnostics: resolveLocations(diagnostics, [specDir])
+      .map(diagnostic => formatDiagnostic({ ...diagnostic, file: `${spec.workspaceDir}/${diagnostic.file}` }))
+  };
+}
+
+// Lint like runLint with the rules of the configuration `layers` (see
+// resolveLintRules), in a worker thread. Rejects with a ValidationError when
+// linting takes longer than `timeoutMs`, e.g. because of a slow pattern.
+function lintSpec(specDir, spec, layers, { timeoutMs = 10000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, { workerData: { specDir, spec, layers } });
+    const finish = (callback) => {
+      clearTimeout(timer);
+      worker.removeAllListeners();
+      worker.terminate();
+      callback();
+    };
+    const timer = setTimeout(() => finish(() => reject(new ValidationError(
+      `Linting did not finish within ${timeoutMs}ms, simplify the custom rules' patterns`, { field: 'lint' }
+    ))), timeoutMs);
+    worker.on('message', ({ result, error }) => finish(() => {
+      if (!error) {
+        resolve(result);
+      } else if (error.validation) {
+        reject(new ValidationError(error.message, error.details));
+      } else {
+        reject(new Error(error.message));
+      }
+    }));
+    worker.on('error', error => finish(() => reject(error)));
+  });
+}
+
+if (!isMainThread && workerData && workerData.layers) {
+  const { specDir, spec, layers } = workerData;
+  try {
+    parentPort.postMessage({ result: runLint(specDir, spec, resolveLintRules(layers)) });
+  } catch (error) {
+    parentPort.postMessage({
+      error: { message: error.message, details: error.details, validation: error instanceof ValidationError }
+    });
+  }
+}
+
+// Built-in rules with their default severity and options, for documentation
+function describeRules() {
+  return Object.entries(RULES).map(([id, rule]) => ({
+    id,
+    severity: rule.severity,
+    description: rule.description,
+    options: rule.options || {}
+  }));
+}
+
+module.exports = {
+  SEVERITIES,
+  TARGETS,
+  RULE_ID,
+  describeRules,
+  validateLintConfig,
+  loadLintConfig,
+  validateLintOptions,
+  resolveLintRules,
+  lintSpec
+};
@@ -0,0 +1,737 @@
+const fs = require('fs-extra');
+const path = require('path');
+const YAML = require('yaml');
+const { ValidationError } = require('./errors');
+const {
+  HTTP_METHODS, REMOTE_REF, isObject, unescapePointer, resolvePointer, documentReader
+} = require('./specDiff');
+
+// Fixes the mechanical problems that make `fern check` reject otherwise good
+// specs: external `$ref`s are bundled into one document, Swagger 2.0 is
+// converted to OpenAPI 3.0, schema names that would collide are renamed and
+// missing or duplicate operationIds are generated from the method and path.
+// Every fix is recorded in a change log with the JSON pointer it applies to.
+
+const NORMALIZABLE_TYPES = ['openapi', 'swagger'];
+const OPENAPI_VERSION = '3.0.3';
+const FORMATS = { yaml: 'yml', json: 'json' };
+// Component names OpenAPI 3.x allows
+const COMPONENT_NAME = /^[A-Za-z0-9._-]+$/;
+
+// Where each kind of component lives in Swagger 2.0 and OpenAPI 3.x
+const COMPONENT_PATHS = {
+  swagger: {
+    schemas: ['definitions'],
+    parameters: ['parameters'],
+    responses: ['responses']
+  },
+  openapi: {
+    schemas: ['components', 'schemas'],
+    parameters: ['components', 'parameters'],
+    responses: ['components', 'responses'],
+    requestBodies: ['components', 'requestBodies'],
+    headers: ['components', 'headers']
+  }
+};
+
+// Keys whose value is a schema, and keys of maps or lists of schemas
+const SCHEMA_KEYS = ['schema', 'items', 'additionalProperties', 'not'];
+const SCHEMA_CONTAINERS = ['properties', 'patternProperties', 'definitions', 'schemas', 'allOf', 'oneOf', 'anyOf'];
+
+// Swagger 2.0 parameter fields that describe its value
+const PARAMETER_SCHEMA_KEYS = [
+  'type', 'format', 'items', 'enum', 'default', 'maximum', 'exclusiveMaximum', 'minimum', 'exclusiveMinimum',
+  'maxLength', 'minLength', 'pattern', 'maxItems', 'minItems', 'uniqueItems', 'multipleOf', 'x-nullable'
+];
+const COLLECTION_FORMATS = {
+  csv: { style: 'form', explode: false },
+  multi: { style: 'form', explode: true },
+  ssv: { style: 'spaceDelimited', explode: false },
+  pipes: { style: 'pipeDelimited', explode: false }
+};
+const FORM_MEDIA_TYPES = ['application/x-www-form-urlencoded', 'multipart/form-data'];
+
+// The key a segment of a local ref names, or null when its escaping is
+// invalid, so that the ref names nothing and is reported as unresolved
+function localRefKey(segment) {
+  try {
+    return unescapePointer(segment);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function toPointer(segments) {
+  return segments.map(segment => `/${escapePointer(segment)}`).join('');
+}
+
+// The node at `segments`, keys as they are rather than an escaped pointer
+function nodeAt(doc, segments) {
+  return segments.reduce((node, key) => (isObject(node) || Array.isArray(node) ? node[key] : undefined), doc);
+}
+
+function pick(object, keys) {
+  return Object.fromEntries(keys.filter(key => object[key] !== undefined).map(key => [key, object[key]]));
+}
+
+function extensions(object, except = []) {
+  return Object.fromEntries(Object.entries(object).filter(([key]) => key.startsWith('x-') && !except.includes(key)));
+}
+
+function mapValues(object, fn) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value, key)]));
+}
+
+// Rebuild `node` bottom-up, letting `fn(object, segments)` replace each object
+function transform(node, fn, segments = []) {
+  if (Array.isArray(node)) {
+    return node.map((item, index) => transform(item, fn, [...segments, index]));
+  }
+  if (!isObject(node)) {
+    return node;
+  }
+  return fn(mapValues(node, (value, key) => transform(value, fn, [...segments, key])), segments);
+}
+
+// Point changes recorded so far at the new location of what they changed,
+// after a component moved from pointer `from` to `to`
+function relocate(changes, from, to) {
+  const move = (pointer) => (pointer === from || pointer.startsWith(`${from}/`) ? to + pointer.slice(from.length) : pointer);
+  changes.forEach(change => {
+    change.pointer = move(change.pointer);
+    if (change.type === 'bundled-ref' && change.to) {
+      change.to = `#${move(change.to.slice(1))}`;
+    }
+  });
+}
+
+// The kind of component a `$ref` at `segments` stands for, judging by where
+// it is used, or null when it is not a component, e.g. a path item
+function refKind(segments, components) {
+  const [parent, last] = segments.slice(-2);
+  let kind = null;
+  if (SCHEMA_KEYS.includes(last) || SCHEMA_CONTAINERS.includes(parent)) {
+    kind = 'schemas';
+  } else if (last === 'requestBody' || parent === 'requestBodies') {
+    kind = 'requestBodies';
+  } else if (['parameters', 'responses', 'headers'].includes(parent)) {
+    kind = parent;
+  }
+  return kind && components[kind] ? kind : null;
+}
+
+// The kind of component a ref names explicitly, e.g. `common.yml#/definitions/Pet`
+function pointerKind(pointer, components) {
+  const segments = pointer.split('/').filter(Boolean).map(unescapePointer);
+  const kind = Object.keys(components).find(candidate => {
+    const at = components[candidate];
+    return segments.length === at.length + 1 && at.every((segment, index) => segments[index] === segment);
+  });
+  return kind || null;
+}
+
+function componentName(refFile, pointer) {
+  const segments = pointer.split('/').filter(Boolean);
+  const base = segments.length > 0
+    ? unescapePointer(segments[segments.length - 1])
+    : path.basename(refFile).replace(/\.(ya?ml|json)$/i, '');
+  return base.replace(/[^A-Za-z0-9._-]+/g, '_') || 'Component';
+}
+
+// Inline the main file's external `$ref`s. Refs to components, or used where
+// a schema, parameter, response, request body or header is expected, become
+// components of the main document, one per target, so shared and recursive
+// types stay shared. Anything else, e.g. a path item, is copied in place.
+function bundle(specDir, mainFile, type, changes, warnings) {
+  const mainPath = path.join(specDir, mainFile);
+  const components = COMPONENT_PATHS[type];
+  const relative = (file) => path.relative(specDir, file).split(path.sep).join('/');
+  const read = documentReader(specDir);
+
+  const main = read(mainPath);
+  if (!isObject(main)) {
+    throw new ValidationError(`'${mainFile}' is not an OpenAPI document`);
+  }
+  // Components added to the main document, by kind, and the local ref of
+  // every external target already bundled
+  const added = mapValues(components, () => ({}));
+  const bundled = new Map();
+  const taken = (kind, name) => added[kind][name] !== undefined || nodeAt(main, [...components[kind], name]) !== undefined;
+  // Components of the main document that are external refs, e.g.
+  // `Pet: { $ref: ./schemas/Pet.yml }`, take the content of their target
+  Object.values(components).forEach(at => {
+    const entries = nodeAt(main, at);
+    Object.entries(isObject(entries) ? entries : {}).forEach(([name, entry]) => {
+      const [refFile, pointer = ''] = isObject(entry) && typeof entry.$ref === 'string' ? entry.$ref.split('#') : [];
+      if (refFile && !REMOTE_REF.test(refFile) && path.resolve(path.dirname(mainPath), refFile) !== mainPath) {
+        bundled.set(`${path.resolve(path.dirname(mainPath), refFile)}#${pointer}`, `#${toPointer([...at, name])}`);
+      }
+    });
+  });
+
+  const hoist = (kind, target, pointer, ref, segments) => {
+    const id = `${target}#${pointer}`;
+    if (bundled.has(id)) {
+      return bundled.get(id);
+    }
+    const base = componentName(target, pointer);
+    let name = base;
+    for (let n = 2; taken(kind, name); n++) {
+      name = `${base}${n}`;
+    }
+    const at = [...components[kind], name];
+    const localRef = `#${toPointer(at)}`;
+    bundled.set(id, localRef);
+    // Claimed before its content is walked, so cycles end at the local ref
+    added[kind][name] = null;
+    const content = resolvePointer(read(target), pointer);
+    if (content === undefined) {
+      throw new ValidationError(`$ref '${ref}' in '${toPointer(segments) || '/'}' does not resolve`);
+    }
+    added[kind][name] = walk(content, target, at, []);
+    changes.push({
+      type: 'bundled-ref',
+      pointer: toPointer(at),
+      message: `Moved '${relative(target)}${pointer ? `#${pointer}` : ''}' into ${localRef}`,
+      from: ref,
+      to: localRef
+    });
+    return localRef;
+  };
+
+  const walk = (node, file, segments, stack) => {
+    if (Array.isArray(node)) {
+      return node.map((item, index) => walk(item, file, [...segments, index], stack));
+    }
+    if (!isObject(node)) {
+      return node;
+    }
+    if (typeof node.$ref === 'string') {
+      const { $ref: ref, ...siblings } = node;
+      const [refFile, pointer = ''] = ref.split('#');
+      if (REMOTE_REF.test(refFile)) {
+        warnings.push({ pointer: toPointer(segments), message: `Remote $ref '${ref}' was not bundled` });
+        return node;
+      }
+      const target = refFile ? path.resolve(path.dirname(file), refFile) : file;
+      if (target === mainPath) {
+        return { ...siblings, $ref: `#${pointer}` };
+      }
+      const id = `${target}#${pointer}`;
+      const kind = pointerKind(pointer, components) || refKind(segments, components);
+      if (kind && bundled.get(id) !== `#${toPointer(segments)}`) {
+        return { ...siblings, $ref: hoist(kind, target, pointer, ref, segments) };
+      }
+      if (stack.includes(id)) {
+        throw new ValidationError(`$ref '${ref}' in '${toPointer(segments) || '/'}' is circular and cannot be bundled`);
+      }
+      const content = resolvePointer(read(target), pointer);
+      if (content === undefined) {
+        throw new ValidationError(`$ref '${ref}' in '${toPointer(segments) || '/'}' does not resolve`);
+      }
+      changes.push({
+        type: 'bundled-ref',
+        pointer: toPointer(segments),
+        message: `Inlined '${relative(target)}${pointer ? `#${pointer}` : ''}'`,
+        from: ref,
+        to: null
+      });
+      return walk(content, target, segments, [...stack, id]);
+    }
+    return mapValues(node, (value, key) => walk(value, file, [...segments, key], stack));
+  };
+
+  const doc = walk(main, mainPath, [], []);
+  Object.entries(added).forEach(([kind, entries]) => {
+    if (Object.keys(entries).length === 0) {
+      return;
+    }
+    const at = components[kind];
+    let parent = doc;
+    at.slice(0, -1).forEach(segment => {
+      parent[segment] = isObject(parent[segment]) ? parent[segment] : {};
+      parent = parent[segment];
+    });
+    const key = at[at.length - 1];
+    parent[key] = { ...(isObject(parent[key]) ? parent[key] : {}), ...entries };
+  });
+  return doc;
+}
+
+// A Swagger 2.0 parameter's value description as an OpenAPI 3.x schema
+function parameterSchema(parameter) {
+  const schema = pick(parameter, PARAMETER_SCHEMA_KEYS);
+  if (schema.type === 'file') {
+    return { ...schema, type: 'string', format: 'binary' };
+  }
+  if (isObject(schema.items)) {
+    schema.items = parameterSchema(schema.items);
+  }
+  return schema;
+}
+
+function convertParameter(parameter) {
+  const converted = {
+    name: parameter.name,
+    in: parameter.in,
+    ...pick(parameter, ['description', 'required', 'deprecated', 'allowEmptyValue']),
+    schema: parameterSchema(parameter),
+    ...extensions(parameter, PARAMETER_SCHEMA_KEYS)
+  };
+  const collectionFormat = parameter.type === 'array' && COLLECTION_FORMATS[parameter.collectionFormat || 'csv'];
+  if (collectionFormat && ['query', 'cookie'].includes(parameter.in)) {
+    Object.assign(converted, collectionFormat);
+  }
+  return converted;
+}
+
+function convertBodyParameter(parameter, consumes) {
+  return {
+    ...pick(parameter, ['description', 'required']),
+    content: Object.fromEntries(consumes.map(mediaType => [mediaType, { schema: parameter.schema || {} }])),
+    ...extensions(parameter)
+  };
+}
+
+// formData parameters become the properties of one form request body
+function convertFormParameters(parameters, consumes) {
+  const hasFile = parameters.some(parameter => parameter.type === 'file');
+  const declared = consumes.filter(mediaType => FORM_MEDIA_TYPES.includes(mediaType));
+  const mediaTypes = declared.length > 0 ? declared : [hasFile ? 'multipart/form-data' : 'application/x-www-form-urlencoded'];
+  const required = parameters.filter(parameter => parameter.required).map(parameter => parameter.name);
+  const schema = {
+    type: 'object',
+    properties: Object.fromEntries(parameters.map(parameter => [
+      parameter.name,
+      { ...parameterSchema(parameter), ...pick(parameter, ['description']) }
+    ])),
+    ...(required.length > 0 ? { required } : {})
+  };
+  return {
+    ...(required.length > 0 ? { required: true } : {}),
+    content: Object.fromEntries(mediaTypes.map(mediaType => [mediaType, { schema }]))
+  };
+}
+
+function convertResponse(response, produces) {
+  if (!isObject(response) || response.$ref !== undefined) {
+    return response;
+  }
+  const { description = '', schema, headers, examples, ...rest } = response;
+  const converted = { description, ...extensions(rest) };
+  if (isObject(headers)) {
+    converted.headers = mapValues(headers, header => ({
+      ...pick(header, ['description']),
+      schema: parameterSchema(header)
+    }));
+  }
+  if (schema !== undefined) {
+    converted.content = Object.fromEntries(produces.map(mediaType => [mediaType, {
+      schema,
+      ...(isObject(examples) && examples[mediaType] !== undefined ? { example: examples[mediaType] } : {})
+    }]));
+  }
+  return converted;
+}
+
+function convertSecurityScheme(scheme) {
+  const description = pick(scheme, ['description']);
+  if (scheme.type === 'basic') {
+    return { type: 'http', scheme: 'basic', ...description };
+  }
+  if (scheme.type !== 'oauth2') {
+    return scheme;
+  }
+  const scopes = scheme.scopes || {};
+  const flows = {
+    implicit: () => ({ implicit: { authorizationUrl: scheme.authorizationUrl, scopes } }),
+    password: () => ({ password: { tokenUrl: scheme.tokenUrl, scopes } }),
+    application: () => ({ clientCredentials: { tokenUrl: scheme.tokenUrl, scopes } }),
+    accessCode: () => ({
+      authorizationCode: { authorizationUrl: scheme.authorizationUrl, tokenUrl: scheme.tokenUrl, scopes }
+    })
+  };
+  return { type: 'oauth2', ...description, flows: flows[scheme.flow] ? flows[scheme.flow]() : {} };
+}
+
+// Convert a bundled Swagger 2.0 document to OpenAPI 3.0. Body and formData
+// parameters become request bodies, `consumes`/`produces` become media types,
+// host, basePath and schemes become servers and definitions, parameters,
+// responses and security definitions move under components.
+function convertSwagger(swagger, changes) {
+  const {
+    swagger: version, host, basePath = '', schemes, consumes: globalConsumes, produces: globalProduces,
+    definitions, parameters: sharedParameters = {}, responses: sharedResponses, securityDefinitions,
+    paths = {}, info, ...rest
+  } = swagger;
+  const defaultConsumes = globalConsumes || ['application/json'];
+  const defaultProduces = globalProduces || ['application/json'];
+  // Shared parameters that are bodies become request bodies; refs to them
+  // are rewritten accordingly
+  const bodyParameters = new Set(Object.keys(sharedParameters).filter(name => {
+    return isObject(sharedParameters[name]) && ['body', 'formData'].includes(sharedParameters[name].in);
+  }));
+  const sharedParameter = (parameter) => {
+    const match = isObject(parameter) && typeof parameter.$ref === 'string' && /^#\/parameters\/(.+)$/.exec(parameter.$ref);
+    if (!match) {
+      return null;
+    }
+    const name = localRefKey(match[1]);
+    return { name, parameter: name !== null ? sharedParameters[name] : undefined };
+  };
+
+  const convertOperation = (operation, inherited) => {
+    const { parameters = [], consumes = defaultConsumes, produces = defaultProduces, responses, ...fields } = operation;
+    // Per-operation schemes have no equivalent; servers apply to the whole API
+    const converted = { ...fields };
+    delete converted.schemes;
+    const convertedParameters = [];
+    const formParameters = [];
+    // Operation parameters override path parameters with the same name and location
+    const own = new Set(parameters.map(parameter => {
+      const resolved = (sharedParameter(parameter) || {}).parameter || parameter;
+      return `${resolved.in}:${resolved.name}`;
+    }));
+    const all = [...inherited.filter(parameter => {
+      const resolved = (sharedParameter(parameter) || {}).parameter || parameter;
+      return !own.has(`${resolved.in}:${resolved.name}`);
+    }), ...parameters];
+
+    all.forEach(parameter => {
+      const shared = sharedParameter(parameter);
+      const resolved = shared ? shared.parameter : parameter;
+      if (!isObject(resolved)) {
+        convertedParameters.push(parameter);
+      } else if (resolved.in === 'body') {
+        converted.requestBody = shared
+          ? { $ref: `#/components/requestBodies/${escapePointer(shared.name)}` }
+          : convertBodyParameter(resolved, consumes);
+      } else if (resolved.in === 'formData') {
+        formParameters.push(resolved);
+      } else {
+        convertedParameters.push(shared ? parameter : convertParameter(resolved));
+      }
+    });
+    if (formParameters.length > 0) {
+      converted.requestBody = convertFormParameters(formParameters, consumes);
+    }
+    if (convertedParameters.length > 0) {
+      converted.parameters = convertedParameters;
+    }
+    if (isObject(responses)) {
+      converted.responses = mapValues(responses, response => convertResponse(response, produces));
+    }
+    return converted;
+  };
+
+  const convertedPaths = mapValues(paths, pathItem => {
+    if (!isObject(pathItem) || pathItem.$ref !== undefined) {
+      return pathItem;
+    }
+    const { parameters: pathParameters = [], ...fields } = pathItem;
+    const isBody = (parameter) => {
+      const resolved = (sharedParameter(parameter) || {}).parameter || parameter;
+      return isObject(resolved) && ['body', 'formData'].includes(resolved.in);
+    };
+    // Body parameters declared on the path apply to each of its operations;
+    // the others stay on the path
+    const inherited = pathParameters.filter(isBody);
+    const kept = pathParameters.filter(parameter => !isBody(parameter))
+      .map(parameter => (sharedParameter(parameter) || !isObject(parameter) ? parameter : convertParameter(parameter)));
+    const converted = kept.length > 0 ? { parameters: kept } : {};
+    Object.entries(fields).forEach(([key, value]) => {
+      converted[key] = HTTP_METHODS.includes(key) && isObject(value) ? convertOperation(value, inherited) : value;
+    });
+    return converted;
+  });
+
+  const components = {};
+  if (isObject(definitions)) {
+    components.schemas = definitions;
+  }
+  const nonBody = Object.keys(sharedParameters).filter(name => !bodyParameters.has(name));
+  if (nonBody.length > 0) {
+    components.parameters = Object.fromEntries(nonBody.map(name => [name, convertParameter(sharedParameters[name])]));
+  }
+  if (bodyParameters.size > 0) {
+    components.requestBodies = Object.fromEntries([...bodyParameters].map(name => {
+      const parameter = sharedParameters[name];
+      return [name, parameter.in === 'body'
+        ? convertBodyParameter(parameter, defaultConsumes)
+        : convertFormParameters([parameter], defaultConsumes)];
+    }));
+  }
+  if (isObject(sharedResponses)) {
+    components.responses = mapValues(sharedResponses, response => convertResponse(response, defaultProduces));
+  }
+  if (isObject(securityDefinitions)) {
+    components.securitySchemes = mapValues(securityDefinitions, convertSecurityScheme);
+  }
+
+  let servers;
+  if (host) {
+    servers = (schemes && schemes.length > 0 ? schemes : ['https']).map(scheme => ({ url: `${scheme}://${host}${basePath}` }));
+  } else if (basePath) {
+    servers = [{ url: basePath }];
+  }
+
+  relocate(changes, '/definitions', '/components/schemas');
+  relocate(changes, '/responses', '/components/responses');
+  Object.keys(sharedParameters).forEach(name => {
+    const kind = bodyParameters.has(name) ? 'requestBodies' : 'parameters';
+    relocate(changes, toPointer(['parameters', name]), toPointer(['components', kind, name]));
+  });
+
+  const openapi = {
+    openapi: OPENAPI_VERSION,
+    info,
+    ...(servers ? { servers } : {}),
+    ...rest,
+    paths: convertedPaths,
+    ...(Object.keys(components).length > 0 ? { components } : {})
+  };
+  changes.push({
+    type: 'converted',
+    pointer: '',
+    message: `Converted Swagger ${version} to OpenAPI ${OPENAPI_VERSION}`,
+    from: String(version),
+    to: OPENAPI_VERSION
+  });
+
+  // Point refs at the new component locations and update schema keywords
+  // that changed between the versions
+  return transform(openapi, (node) => {
+    const converted = { ...node };
+    if (typeof converted.$ref === 'string') {
+      converted.$ref = converted.$ref
+        .replace(/^#\/definitions\//, '#/components/schemas/')
+        .replace(/^#\/responses\//, '#/components/responses/')
+        .replace(/^#\/parameters\/(.+)$/, (match, name) => {
+          return bodyParameters.has(localRefKey(name)) ? `#/components/requestBodies/${name}` : `#/components/parameters/${name}`;
+        });
+    }
+    if (converted['x-nullable'] !== undefined) {
+      converted.nullable = converted['x-nullable'];
+      delete converted['x-nullable'];
+    }
+    if (converted.type === 'file') {
+      converted.type = 'string';
+      converted.format = 'binary';
+    }
+    if (typeof converted.discriminator === 'string') {
+      converted.discriminator = { propertyName: converted.discriminator };
+    }
+    return converted;
+  });
+}
+
+// Component names that Fern would turn into the same type name, e.g. `Pet`,
+// `pet` and `Pet_`, and names OpenAPI 3.x does not allow are renamed; refs
+// and discriminator mappings follow
+function dedupeSchemaNames(doc, changes) {
+  const schemas = isObject(doc.components) && isObject(doc.components.schemas) ? doc.components.schemas : null;
+  if (!schemas) {
+    return doc;
+  }
+  const canonical = (name) => name.replace(/[^A-Za-z0-9]/g, '').toLowerCase();
+  const earlier = [...changes];
+  const used = new Set();
+  const renames = new Map();
+  const names = Object.keys(schemas);
+  names.forEach(name => {
+    const base = COMPONENT_NAME.test(name) ? name : name.replace(/[^A-Za-z0-9._-]+/g, '_') || 'Schema';
+    let candidate = base;
+    for (let n = 2; used.has(canonical(candidate)) || (candidate !== name && names.includes(candidate)); n++) {
+      candidate = `${base}${n}`;
+    }
+    used.add(canonical(candidate));
+    if (candidate !== name) {
+      renames.set(name, candidate);
+      relocate(earlier, toPointer(['components', 'schemas', name]), toPointer(['components', 'schemas', candidate]));
+      changes.push({
+        type: 'schema-renamed',
+        pointer: toPointer(['components', 'schemas', candidate]),
+        message: COMPONENT_NAME.test(name)
+          ? `Renamed schema '${name}' to '${candidate}', it clashes with another schema name`
+          : `Renamed schema '${name}' to '${candidate}', schema names may only contain letters, digits, '.', '-' and '_'`,
+        from: name,
+        to: candidate
+      });
+    }
+  });
+  if (renames.size === 0) {
+    return doc;
+  }
+
+  const refs = new Map([...renames].map(([from, to]) => [
+    `#/components/schemas/${escapePointer(from)}`,
+    `#/components/schemas/${escapePointer(to)}`
+  ]));
+  const renamed = transform(doc, (node, segments) => {
+    const converted = { ...node };
+    if (typeof converted.$ref === 'string' && refs.has(converted.$ref)) {
+      converted.$ref = refs.get(converted.$ref);
+    }
+    if (segments[segments.length - 1] === 'discriminator' && isObject(converted.mapping)) {
+      converted.mapping = mapValues(converted.mapping, value => refs.get(value) || value);
+    }
+    return converted;
+  });
+  renamed.components.schemas = Object.fromEntries(Object.entries(renamed.components.schemas)
+    .map(([name, schema]) => [renames.get(name) || name, schema]));
+  return renamed;
+}
+
+function words(text) {
+  return text.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[^A-Za-z0-9]+/).filter(Boolean);
+}
+
+// `get /pet-owners/{ownerId}/pets` becomes `getPetOwnersByOwnerIdPets`. The id
+// only depends on the method and path, so it stays the same across versions.
+function generateOperationId(method, route) {
+  const parts = route.split('/').filter(Boolean).flatMap(segment => {
+    const parameter = /^\{(.+)\}$/.exec(segment);
+    return parameter ? ['by', ...words(parameter[1])] : words(segment);
+  });
+  return [method, ...parts]
+    .map((part, index) => (index === 0 ? part.toLowerCase() : part[0].toUpperCase() + part.slice(1).toLowerCase()))
+    .join('');
+}
+
+// Give every operation without an operationId, and every one but the first
+// with a duplicated id, an id generated from its method and path
+function assignOperationIds(doc, changes) {
+  const operations = [];
+  Object.entries(isObject(doc.paths) ? doc.paths : {}).forEach(([route, pathItem]) => {
+    HTTP_METHODS.forEach(method => {
+      if (isObject(pathItem) && isObject(pathItem[method])) {
+        operations.push({ route, method, pathItem, operation: pathItem[method] });
+      }
+    });
+  });
+
+  const used = new Set();
+  const replace = operations.filter(({ operation }) => {
+    const id = operation.operationId;
+    if (typeof id !== 'string' || id.trim() === '' || used.has(id)) {
+      return true;
+    }
+    used.add(id);
+    return false;
+  });
+  replace.forEach(({ route, method, pathItem, operation }) => {
+    const base = generateOperationId(method, route);
+    let id = base;
+    for (let n = 2; used.has(id); n++) {
+      id = `${base}${n}`;
+    }
+    used.add(id);
+    const previous = typeof operation.operationId === 'string' && operation.operationId.trim() !== '' ? operation.operationId : null;
+    changes.push({
+      type: previous ? 'operation-id-renamed' : 'operation-id-added',
+      pointer: toPointer(['paths', route, method, 'operationId']),
+      message: previous
+        ? `Renamed duplicate operationId '${previous}' of ${method.toUpperCase()} ${route} to '${id}'`
+        : `Added operationId '${id}' to ${method.toUpperCase()} ${route}`,
+      from: previous,
+      to: id
+    });
+    const { operationId, ...fields } = operation;
+    pathItem[method] = { operationId: id, ...fields };
+  });
+}
+
+// Local refs that point nowhere, malformed ones included; they cannot be
+// fixed automatically
+function findUnresolvedRefs(doc) {
+  const warnings = [];
+  const resolves = (pointer) => {
+    const keys = pointer.split('/').filter(Boolean).map(localRefKey);
+    return !keys.includes(null) && nodeAt(doc, keys) !== undefined;
+  };
+  transform(doc, (node, segments) => {
+    if (typeof node.$ref === 'string' && node.$ref.startsWith('#') && !resolves(node.$ref.slice(1))) {
+      warnings.push({ pointer: toPointer(segments), message: `$ref '${node.$ref}' does not resolve` });
+    }
+    return node;
+  });
+  return warnings;
+}
+
+function detectFormat(text) {
+  return /^\s*[{[]/.test(text) ? 'json' : 'yaml';
+}
+
+// The file name the normalized spec is written to: the main file's name with
+// the extension of `format`
+function normalizedFileName(mainFile, format) {
+  return `${path.posix.basename(mainFile).replace(/\.(ya?ml|json)$/i, '')}.${FORMATS[format]}`;
+}
+
+// Normalize the spec saved in `specDir`, as detected by detectSpec. Returns the
+// OpenAPI 3.x document, the change log and warnings about what could not be
+// fixed, e.g. refs that do not resolve.
+function normalizeSpec(specDir, spec) {
+  if (!NORMALIZABLE_TYPES.includes(spec.type)) {
+    throw new ValidationError(`Normalization supports OpenAPI and Swagger specs, not ${spec.type}`);
+  }
+  const changes = [];
+  const warnings = [];
+
+  const text = fs.readFileSync(path.join(specDir, spec.mainFile), 'utf8');
+  const extension = path.extname(spec.mainFile).toLowerCase() === '.json' ? 'json' : 'yaml';
+  if (detectFormat(text) !== extension) {
+    changes.push({
+      type: 'file-format',
+      pointer: '',
+      message: `'${spec.mainFile}' contains ${detectFormat(text).toUpperCase()} but is named as ${extension.toUpperCase()}`,
+      from: extension,
+      to: detectFormat(text)
+    });
+  }
+
+  let document = bundle(specDir, spec.mainFile, spec.type, changes, warnings);
+  if (spec.type === 'swagger') {
+    document = convertSwagger(document, changes);
+  }
+  document = dedupeSchemaNames(document, changes);
+  assignOperationIds(document, changes);
+  warnings.push(...findUnresolvedRefs(document));
+  return { document, changes, warnings };
+}
+
+function validateNormalizeFormat(format = 'yaml') {
+  if (!FORMATS[format]) {
+    throw new ValidationError(`Unsupported format '${format}', expected one of: ${Object.keys(FORMATS).join(', ')}`, {
+      field: 'format'
+    });
+  }
+  return format;
+}
+
+function serializeSpec(document, format) {
+  return format === 'json'
+    ? `${JSON.stringify(document, null, 2)}\n`
+    : YAML.stringify(document, { aliasDuplicateObjects: false, lineWidth: 0 });
+}
+
+// Counts of changes by type
+function summarizeChanges(changes) {
+  return changes.reduce((summary, change) => ({ ...summary, [change.type]: (summary[change.type] || 0) + 1 }), {});
+}
+
+module.exports = {
+  NORMALIZABLE_TYPES,
+  normalizeSpec,
+  normalizedFileName,
+  validateNormalizeFormat,
+  serializeSpec,
+  summarizeChanges
+};
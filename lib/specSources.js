@@ -0,0 +1,250 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { runProcess } = require('./processRunner');
+const { ValidationError, ProcessError } = require('./errors');
+
+// Remote spec sources: an http(s) URL or a path in a git repository. Both are
+// turned into upload-like files so they go through the same workspace pipeline
+// as multipart uploads.
+
+const MAX_REDIRECTS = 5;
+
+// Hosts match exactly, or by suffix for entries written as `*.example.com`
+function isHostAllowed(hostname, allowedHosts) {
+  return allowedHosts.some(allowed => {
+    if (allowed.startsWith('*.')) {
+      return hostname.endsWith(allowed.slice(1));
+    }
+    return hostname === allowed;
+  });
+}
+
+// Scheme, host and path of a URL or an absolute local path, with `.` and `..`
+// segments resolved. Null for anything else, and for encoded slashes, which
+// servers may decode into path segments.
+function parseLocation(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  if (path.isAbsolute(value)) {
+    return { origin: 'file:', pathname: path.resolve(value) };
+  }
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return null;
+  }
+  if (/%2f|%5c/i.test(url.pathname)) {
+    return null;
+  }
+  return { origin: url.protocol === 'file:' ? 'file:' : `${url.protocol}//${url.host}`, pathname: url.pathname };
+}
+
+// Whether a URL or local path is one of the allowed prefixes or below one.
+// Schemes and hosts must match exactly and paths on a `/` boundary, so
+// https://github.com/org/api allows https://github.com/org/api/sub but not
+// https://github.com/org/api-evil, and https://rubygems.org does not allow
+// https://rubygems.org.attacker.example.
+function isLocationAllowed(value, allowedPrefixes) {
+  const location = parseLocation(value);
+  return Boolean(location) && allowedPrefixes.some(prefix => {
+    const allowed = parseLocation(prefix);
+    if (!allowed || allowed.origin !== location.origin) {
+      return false;
+    }
+    const base = allowed.pathname.endsWith('/') ? allowed.pathname : `${allowed.pathname}/`;
+    return location.pathname === allowed.pathname || location.pathname.startsWith(base);
+  });
+}
+
+function parseSpecUrl(specUrl, allowedHosts) {
+  let url;
+  try {
+    url = new URL(specUrl);
+  } catch (error) {
+    throw new ValidationError(`Invalid specUrl '${specUrl}'`, { field: 'specUrl' });
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new ValidationError('specUrl must use http or https', { field: 'specUrl' });
+  }
+  if (!isHostAllowed(url.hostname, allowedHosts)) {
+    throw new ValidationError(`Host '${url.hostname}' is not allowed for specUrl`, {
+      field: 'specUrl',
+      allowedHosts
+    });
+  }
+  return url;
+}
+
+async function readLimited(response, maxBytes) {
+  const declared = parseInt(response.headers.get('content-length') || '0');
+  if (declared > maxBytes) {
+    throw new ValidationError(`Spec at specUrl is larger than ${maxBytes} bytes`, { field: 'specUrl' });
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new ValidationError(`Spec at specUrl is larger than ${maxBytes} bytes`, { field: 'specUrl' });
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function fileNameFromUrl(url, contentType) {
+  const name = path.posix.basename(url.pathname);
+  if (/\.(ya?ml|json|zip|tgz|tar|tar\.gz)$/i.test(name)) {
+    return name;
+  }
+  return /json/i.test(contentType || '') ? 'openapi.json' : 'openapi.yaml';
+}
+
+// Download a spec (or spec archive). Redirects are followed by hand so every
+// hop is checked against the host allow-list.
+async function fetchSpecFromUrl(specUrl, { allowedHosts, maxBytes, timeoutMs }) {
+  let url = parseSpecUrl(specUrl, allowedHosts);
+  const signal = AbortSignal.timeout(timeoutMs);
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      const response = await fetch(url, { redirect: 'manual', signal });
+      if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+        if (redirects >= MAX_REDIRECTS) {
+          throw new ValidationError('Too many redirects fetching specUrl', { field: 'specUrl' });
+        }
+        url = parseSpecUrl(new URL(response.headers.get('location'), url).toString(), allowedHosts);
+        continue;
+      }
+      if (!response.ok) {
+        throw new ValidationError(`Fetching specUrl failed with HTTP ${response.status}`, { field: 'specUrl' });
+      }
+
+      const contentType = response.headers.get('content-type');
+      const content = await readLimited(response, maxBytes);
+      return {
+        file: {
+          name: fileNameFromUrl(url, contentType),
+          mv: (dest) => fs.writeFile(dest, content)
+        },
+        source: {
+          type: 'url',
+          url: specUrl,
+          resolvedUrl: url.toString(),
+          contentType
+        }
+      };
+    }
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+    const reason = error.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : error.message;
+    throw new ValidationError(`Fetching specUrl failed: ${reason}`, { field: 'specUrl' });
+  }
+}
+
+function directorySize(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).reduce((total, entry) => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return total + directorySize(fullPath);
+    }
+    return total + (entry.isFile() ? fs.statSync(fullPath).size : 0);
+  }, 0);
+}
+
+// The first symbolic link below `dir`, skipping `.git`. Links could point
+// outside the checkout once followed, e.g. by a `$ref` reader.
+function findSymlink(dir) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isSymbolicLink()) {
+      return fullPath;
+    }
+    if (entry.isDirectory() && entry.name !== '.git') {
+      const found = findSymlink(fullPath);
+      if (found) {
+        return found;
+      }
+    }
+  }
+  return null;
+}
+
+// Shallow-fetch a single ref of a git repository into `cloneDir` and copy
+// `specPath` (a file or directory) into `specDir`. When `specPath` is a file its
+// whole folder is copied so relative `$ref`s keep working, and the file name is
+// returned as the entry point.
+async function fetchSpecFromGit({ repo, ref = 'HEAD', specPath = '' }, { cloneDir, specDir, allowedRepos, maxBytes, timeoutMs }) {
+  if (typeof repo !== 'string' || repo.startsWith('-') || !isLocationAllowed(repo, allowedRepos)) {
+    throw new ValidationError(`Repository '${repo}' is not allowed for gitRepo`, {
+      field: 'gitRepo',
+      allowedRepos
+    });
+  }
+  if (typeof ref !== 'string' || ref.startsWith('-') || !/^[\w./-]+$/.test(ref)) {
+    throw new ValidationError(`Invalid git ref '${ref}'`, { field: 'ref' });
+  }
+
+  const git = (args) => runProcess('git', args, {
+    cwd: cloneDir,
+    timeoutMs,
+    // Never wait for credentials on a terminal that does not exist
+    env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+  });
+
+  await fs.ensureDir(cloneDir);
+  let commit;
+  try {
+    await git(['init', '-q']);
+    await git(['fetch', '-q', '--depth', '1', '--', repo, ref]);
+    await git(['checkout', '-q', 'FETCH_HEAD']);
+    commit = (await git(['rev-parse', 'HEAD'])).stdout.trim();
+  } catch (error) {
+    if (!(error instanceof ProcessError)) {
+      throw error;
+    }
+    throw new ValidationError(`Fetching ${ref} from ${repo} failed: ${(error.stderr || error.message).trim()}`, {
+      field: 'gitRepo'
+    });
+  }
+
+  const normalized = String(specPath).replace(/\\/g, '/');
+  const sourcePath = path.resolve(cloneDir, normalized);
+  if (path.isAbsolute(normalized) || (sourcePath !== cloneDir && !sourcePath.startsWith(cloneDir + path.sep)) ||
+      sourcePath.split(path.sep).includes('.git')) {
+    throw new ValidationError(`Invalid path '${specPath}' in repository`, { field: 'path' });
+  }
+  if (!fs.existsSync(sourcePath)) {
+    throw new ValidationError(`Path '${specPath}' does not exist at ${ref}`, { field: 'path' });
+  }
+
+  const isFile = fs.statSync(sourcePath).isFile();
+  const sourceDir = isFile ? path.dirname(sourcePath) : sourcePath;
+  // Neither the path itself nor anything copied from its folder may be a link
+  const realCloneDir = fs.realpathSync(cloneDir);
+  const followsLink = fs.realpathSync(sourcePath) !== path.resolve(realCloneDir, path.relative(cloneDir, sourcePath));
+  const link = followsLink ? sourcePath : findSymlink(sourceDir);
+  if (link) {
+    throw new ValidationError(`Path '${path.relative(cloneDir, link).split(path.sep).join('/')}' in the repository is a symbolic link, which is not supported`, {
+      field: 'path'
+    });
+  }
+  if (directorySize(sourceDir) > maxBytes) {
+    throw new ValidationError(`Spec folder '${specPath}' is larger than ${maxBytes} bytes`, { field: 'path' });
+  }
+  await fs.copy(sourceDir, specDir, {
+    filter: (src) => path.basename(src) !== '.git'
+  });
+
+  return {
+    entryPoint: isFile ? path.basename(sourcePath) : undefined,
+    source: { type: 'git', repo, ref, commit, path: normalized }
+  };
+}
+
+module.exports = { fetchSpecFromUrl, fetchSpecFromGit, isHostAllowed, isLocationAllowed };
@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const AdmZip = require('adm-zip');
+const tar = require('tar');
+const YAML = require('yaml');
+const { ValidationError } = require('./errors');
+
+// Handles uploaded API definitions: single files, several files, or ZIP/tar
+// archives are unpacked into `<workDir>/spec`, the spec type is detected and the
+// files are laid out in the Fern workspace with a matching `api:` section.
+
+const SPEC_DIR = 'spec';
+const OVERRIDES_DIR = 'overrides';
+const SPEC_EXTENSIONS = /\.(ya?ml|json)$/i;
+// ZIP compression methods that can be extracted: stored and deflated
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+const ARCHIVE_TYPES = [
+  { type: 'zip', pattern: /\.zip$/i },
+  { type: 'tar', pattern: /\.(tar\.gz|tgz|tar)$/i }
+];
+
+// Where each spec type lives inside the fern directory and the key Fern
+// expects for it in generators.yml
+const SPEC_LAYOUTS = {
+  openapi: { workspaceDir: 'openapi', specKey: 'openapi' },
+  swagger: { workspaceDir: 'openapi', specKey: 'openapi' },
+  asyncapi: { workspaceDir: 'asyncapi', specKey: 'asyncapi' },
+  fern: { workspaceDir: 'definition', specKey: null }
+};
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+// Resolve an untrusted relative path inside `baseDir`, rejecting anything that
+// is absolute or would escape it
+function resolveInside(baseDir, relativePath) {
+  const normalized = relativePath.replace(/\\/g, '/');
+  if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) {
+    throw new ValidationError(`Invalid path '${relativePath}': absolute paths are not allowed`);
+  }
+  const resolved = path.resolve(baseDir, normalized);
+  if (resolved !== baseDir && !resolved.startsWith(baseDir + path.sep)) {
+    throw new ValidationError(`Invalid path '${relativePath}': escapes the upload directory`);
+  }
+  return resolved;
+}
+
+function uploadedFileName(file) {
+  const name = path.basename(String(file.name || '').replace(/\\/g, '/'));
+  if (!name || name === '.' || name === '..') {
+    throw new ValidationError(`Invalid upload file name '${file.name}'`);
+  }
+  return name;
+}
+
+function archiveType(fileName) {
+  const match = ARCHIVE_TYPES.find(({ pattern }) => pattern.test(fileName));
+  return match ? match.type : null;
+}
+
+// The sizes a ZIP declares cannot be trusted, so entries are inflated as a
+// stream and the bytes actually written count against the limits
+async function extractZip(archivePath, destDir, limits, totals) {
+  const zip = new AdmZip(archivePath);
+  for (const entry of zip.getEntries()) {
+    const target = resolveInside(destDir, entry.entryName);
+    if (entry.isDirectory) {
+      await fs.ensureDir(target);
+      continue;
+    }
+    if (entry.header.encrypted) {
+      throw new ValidationError(`Unsupported archive entry '${entry.entryName}': encrypted`);
+    }
+    if (entry.header.method !== ZIP_STORED && entry.header.method !== ZIP_DEFLATED) {
+      throw new ValidationError(`Unsupported archive entry '${entry.entryName}': compression method ${entry.header.method}`);
+    }
+    totals.entries++;
+    checkExtractionLimits(limits, totals);
+    await fs.ensureDir(path.dirname(target));
+    const counter = new Transform({
+      transform(chunk, encoding, done) {
+        totals.bytes += chunk.length;
+        try {
+          checkExtractionLimits(limits, totals);
+          done(null, chunk);
+        } catch (error) {
+          done(error);
+        }
+      }
+    });
+    await pipeline(
+      Readable.from([entry.getCompressedData()]),
+      ...(entry.header.method === ZIP_DEFLATED ? [zlib.createInflateRaw()] : []),
+      counter,
+      fs.createWriteStream(target)
+    );
+  }
+}
+
+async function extractTar(archivePath, destDir, limits, totals) {
+  let rejected = null;
+  await tar.x({
+    file: archivePath,
+    cwd: destDir,
+    strict: true,
+    filter: (entryPath, entry) => {
+      if (rejected) {
+        return false;
+      }
+      try {
+        resolveInside(destDir, entryPath);
+        // Links could point outside the workspace once followed
+        if (entry.type !== 'File' && entry.type !== 'Directory') {
+          throw new ValidationError(`Unsupported archive entry '${entryPath}' of type ${entry.type}`);
+        }
+        if (entry.type === 'File') {
+          totals.entries++;
+          totals.bytes += entry.size;
+          checkExtractionLimits(limits, totals);
+        }
+        return true;
+      } catch (error) {
+        rejected = error;
+        return false;
+      }
+    }
+  });
+  if (rejected) {
+    throw rejected;
+  }
+}
+
+function checkExtractionLimits(limits, totals) {
+  if (totals.entries > limits.maxEntries) {
+    throw new ValidationError(`Archive contains more than ${limits.maxEntries} files`);
+  }
+  if (totals.bytes > limits.maxBytes) {
+    throw new ValidationError(`Archive expands to more than ${limits.maxBytes} bytes`);
+  }
+}
+
+// Move uploaded spec files (one or many, plain or archives) into the spec
+// directory of the work directory. Upload objects need a `name` and an async
+// `mv(dest)`, as provided by express-fileupload.
+async function saveSpecUploads(uploads, workDir, limits) {
+  if (!uploads) {
+    throw new ValidationError('No spec provided: upload a spec file or set specUrl or gitRepo');
+  }
+
+  const specDir = path.join(workDir, SPEC_DIR);
+  const uploadDir = path.join(workDir, 'uploads');
+  await fs.ensureDir(specDir);
+  await fs.ensureDir(uploadDir);
+
+  const totals = { entries: 0, bytes: 0 };
+  for (const file of Array.isArray(uploads) ? uploads : [uploads]) {
+    const name = uploadedFileName(file);
+    const type = archiveType(name);
+    if (!type) {
+      await file.mv(resolveInside(specDir, name));
+      continue;
+    }
+    const archivePath = path.join(uploadDir, name);
+    await file.mv(archivePath);
+    try {
+      if (type === 'zip') {
+        await extractZip(archivePath, specDir, limits, totals);
+      } else {
+        await extractTar(archivePath, specDir, limits, totals);
+      }
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new ValidationError(`Could not extract archive '${name}': ${error.message}`);
+    }
+  }
+  await fs.remove(uploadDir);
+
+  return specDir;
+}
+
+// Store an uploaded overrides file next to the spec directory
+async function saveOverrides(upload, workDir) {
+  if (Array.isArray(upload)) {
+    throw new ValidationError('Only one overrides file may be provided');
+  }
+  const name = uploadedFileName(upload);
+  if (!SPEC_EXTENSIONS.test(name)) {
+    throw new ValidationError('Overrides file must be YAML or JSON');
+  }
+  const overridesDir = path.join(workDir, OVERRIDES_DIR);
+  await fs.ensureDir(overridesDir);
+  const overridesPath = path.join(overridesDir, name);
+  await upload.mv(overridesPath);
+  return overridesPath;
+}
+
+// The overrides file stored by saveOverrides, if one was uploaded
+function findOverrides(workDir) {
+  const overridesDir = path.join(workDir, OVERRIDES_DIR);
+  if (!fs.existsSync(overridesDir)) {
+    return null;
+  }
+  const [name] = fs.readdirSync(overridesDir);
+  return name ? path.join(overridesDir, name) : null;
+}
+
+function listFiles(dir, base = dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    // Skip hidden files and archive tool metadata such as __MACOSX
+    if (entry.name.startsWith('.') || entry.name === '__MACOSX') {
+      return [];
+    }
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return listFiles(fullPath, base);
+    }
+    return entry.isFile() ? [toPosix(path.relative(base, fullPath))] : [];
+  });
+}
+
+// SHA-256 over every file in the spec directory (paths and contents, in
+// sorted order) so identical definitions hash the same however they arrived
+function hashSpecFiles(specDir) {
+  const hash = crypto.createHash('sha256');
+  listFiles(specDir).sort().forEach(file => {
+    hash.update(file);
+    hash.update('\0');
+    hash.update(fs.readFileSync(path.join(specDir, file)));
+    hash.update('\0');
+  });
+  return hash.digest('hex');
+}
+
+function readDocument(filePath) {
+  try {
+    return YAML.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function classifyDocument(doc, fileName) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    return null;
+  }
+  if (doc.openapi !== undefined && String(doc.openapi).startsWith('3.')) {
+    return 'openapi';
+  }
+  if (doc.swagger !== undefined && String(doc.swagger) === '2.0') {
+    return 'swagger';
+  }
+  if (doc.asyncapi !== undefined) {
+    return 'asyncapi';
+  }
+  // A Fern definition is rooted at its api.yml
+  if (path.posix.basename(fileName) === 'api.yml' && typeof doc.name === 'string') {
+    return 'fern';
+  }
+  return null;
+}
+
+// Work out which uploaded file is the entry point and what kind of definition
+// it is. `specPath` picks the entry point explicitly when there are several.
+function detectSpec(specDir, specPath) {
+  const files = listFiles(specDir).filter(file => SPEC_EXTENSIONS.test(file));
+
+  if (specPath !== undefined) {
+    if (typeof specPath !== 'string') {
+      throw new ValidationError("Invalid option 'specPath': expected string", { field: 'specPath' });
+    }
+    const mainFile = toPosix(path.relative(specDir, resolveInside(specDir, specPath)));
+    if (!files.includes(mainFile)) {
+      throw new ValidationError(`Spec file '${specPath}' was not found in the upload`, {
+        field: 'specPath',
+        files
+      });
+    }
+    const type = classifyDocument(readDocument(path.join(specDir, mainFile)), mainFile);
+    if (!type) {
+      throw new ValidationError(`Could not detect the spec type of '${specPath}'`, { field: 'specPath' });
+    }
+    return { type, mainFile, ...SPEC_LAYOUTS[type] };
+  }
+
+  const candidates = files
+    .map(file => ({ file, type: classifyDocument(readDocument(path.join(specDir, file)), file) }))
+    .filter(candidate => candidate.type !== null);
+  if (candidates.length === 0) {
+    throw new ValidationError('Could not find an OpenAPI, Swagger, AsyncAPI or Fern definition in the upload', {
+      files
+    });
+  }
+
+  // Prefer the shallowest entry point; referenced files usually sit below it
+  const depth = file => file.split('/').length;
+  const minDepth = Math.min(...candidates.map(candidate => depth(candidate.file)));
+  const top = candidates.filter(candidate => depth(candidate.file) === minDepth);
+  if (top.length > 1) {
+    throw new ValidationError("Upload contains several specs, set 'specPath' to choose one", {
+      field: 'specPath',
+      candidates: top.map(candidate => candidate.file)
+    });
+  }
+
+  const { file: mainFile, type } = top[0];
+  return { type, mainFile, ...SPEC_LAYOUTS[type] };
+}
+
+// Copy the detected definition into the fern directory and return the
+// generators.yml `api:` section for it (null for Fern definitions, which are
+// picked up from fern/definition automatically).
+function populateFernWorkspace(specDir, fernDir, spec, overridesPath) {
+  if (spec.type === 'fern') {
+    if (overridesPath) {
+      throw new ValidationError('Overrides are only supported for OpenAPI and AsyncAPI specs');
+    }
+    const definitionRoot = path.join(specDir, path.posix.dirname(spec.mainFile));
+    fs.copySync(definitionRoot, path.join(fernDir, spec.workspaceDir));
+    return null;
+  }
+
+  fs.copySync(specDir, path.join(fernDir, spec.workspaceDir));
+  const entry = { [spec.specKey]: `./${spec.workspaceDir}/${spec.mainFile}` };
+  if (overridesPath) {
+    const overridesName = path.basename(overridesPath);
+    fs.copySync(overridesPath, path.join(fernDir, OVERRIDES_DIR, overridesName));
+    entry.overrides = `./${OVERRIDES_DIR}/${overridesName}`;
+  }
+  return { specs: [entry] };
+}
+
+module.exports = {
+  SPEC_DIR,
+  OVERRIDES_DIR,
+  saveSpecUploads,
+  saveOverrides,
+  findOverrides,
+  hashSpecFiles,
+  detectSpec,
+  populateFernWorkspace
+};
@@ -0,0 +1,163 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { CancelledError } = require('./errors');
+
+// Toolchain checks run on generated SDKs before they are delivered. Each
+// language lists its build steps and, when tests were generated, its test
+// steps. A step runs only when `when(outputDir)` holds, e.g. when the project
+// file it needs exists; `args` may be a function of the output directory.
+// Steps run generated code (install scripts, tests), so they run in the
+// sandbox, on a scratch copy that keeps build products out of the archive.
+
+const exists = (...segments) => (outputDir) => fs.existsSync(path.join(outputDir, ...segments));
+
+function hasScript(outputDir, script) {
+  try {
+    const { scripts = {} } = fs.readJsonSync(path.join(outputDir, 'package.json'));
+    return Boolean(scripts[script]);
+  } catch (error) {
+    return false;
+  }
+}
+
+function rubyFiles(dir, base = dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return entry.name.startsWith('.') || entry.name === 'vendor' ? [] : rubyFiles(fullPath, base);
+    }
+    return entry.name.endsWith('.rb') ? [path.relative(base, fullPath)] : [];
+  });
+}
+
+const gradle = (outputDir) => (fs.existsSync(path.join(outputDir, 'gradlew')) ? './gradlew' : 'gradle');
+
+const VERIFIERS = {
+  typescript: {
+    build: [
+      { name: 'npm install', command: 'npm', args: ['install', '--no-audit', '--no-fund'], when: exists('package.json') },
+      { name: 'tsc', command: 'npx', args: ['--no-install', 'tsc', '--noEmit'], when: exists('tsconfig.json') }
+    ],
+    test: [
+      { name: 'npm test', command: 'npm', args: ['test'], when: (outputDir) => hasScript(outputDir, 'test') }
+    ]
+  },
+  python: {
+    build: [
+      { name: 'compileall', command: 'python3', args: ['-m', 'compileall', '-q', '.'] }
+    ],
+    test: [
+      { name: 'pytest', command: 'python3', args: ['-m', 'pytest', '-q'], when: exists('tests') }
+    ]
+  },
+  go: {
+    build: [
+      { name: 'go build', command: 'go', args: ['build', './...'], when: exists('go.mod') },
+      { name: 'go vet', command: 'go', args: ['vet', './...'], when: exists('go.mod') }
+    ],
+    test: [
+      { name: 'go test', command: 'go', args: ['test', './...'], when: exists('go.mod') }
+    ]
+  },
+  java: {
+    build: [
+      { name: 'mvn compile', command: 'mvn', args: ['-q', '-B', 'compile'], when: exists('pom.xml') },
+      {
+        name: 'gradle compileJava',
+        command: gradle,
+        args: ['--no-daemon', '-q', 'compileJava'],
+        when: (outputDir) => !fs.existsSync(path.join(outputDir, 'pom.xml')) &&
+          ['build.gradle', 'build.gradle.kts'].some(file => fs.existsSync(path.join(outputDir, file)))
+      }
+    ],
+    test: [
+      { name: 'mvn test', command: 'mvn', args: ['-q', '-B', 'test'], when: exists('pom.xml') },
+      {
+        name: 'gradle test',
+        command: gradle,
+        args: ['--no-daemon', '-q', 'test'],
+        when: (outputDir) => !fs.existsSync(path.join(outputDir, 'pom.xml')) &&
+          ['build.gradle', 'build.gradle.kts'].some(file => fs.existsSync(path.join(outputDir, file)))
+      }
+    ]
+  },
+  csharp: {
+    build: [
+      { name: 'dotnet build', command: 'dotnet', args: ['build', '-nologo'] }
+    ],
+    test: [
+      { name: 'dotnet test', command: 'dotnet', args: ['test', '-nologo'] }
+    ]
+  },
+  ruby: {
+    // `ruby -c` checks one file per run
+    build: [
+      { name: 'ruby -c', command: 'ruby', args: (outputDir) => rubyFiles(outputDir).map(file => ['-c', file]), each: true }
+    ],
+    test: [
+      { name: 'rake test', command: 'rake', args: ['test'], when: exists('Rakefile') }
+    ]
+  }
+};
+
+// Keep the end of the output, where toolchains print their errors
+function tail(text, maxLength = 4000) {
+  return text && text.length > maxLength ? text.slice(-maxLength) : text;
+}
+
+async function runStep(step, outputDir, sandbox, runOptions) {
+  const command = typeof step.command === 'function' ? step.command(outputDir) : step.command;
+  const args = typeof step.args === 'function' ? step.args(outputDir) : step.args;
+  const runs = step.each ? args : [args];
+  const startedAt = Date.now();
+
+  try {
+    for (const runArgs of runs) {
+      await sandbox.run(command, runArgs, { ...runOptions, workDir: outputDir });
+    }
+    return { name: step.name, status: 'passed', durationMs: Date.now() - startedAt };
+  } catch (error) {
+    if (error instanceof CancelledError) {
+      throw error;
+    }
+    return {
+      name: step.name,
+      status: 'failed',
+      durationMs: Date.now() - startedAt,
+      error: error.message,
+      exitCode: error.exitCode,
+      stdout: tail(error.stdout),
+      stderr: tail(error.stderr)
+    };
+  }
+}
+
+// Run the build steps, and the test steps when `includeTests` is set, for one
+// language's output. The output is copied to `scratchDir`, which is removed
+// afterwards, and every command runs there through `sandbox`. Stops at the
+// first failing step. `runOptions` are passed to every run (timeout, signal,
+// output limit, onLine).
+async function verifyOutput(language, outputDir, { scratchDir, sandbox, includeTests = false, runOptions = {}, logger }) {
+  const verifier = VERIFIERS[language];
+  await fs.copy(outputDir, scratchDir);
+  try {
+    const steps = [...verifier.build, ...(includeTests ? verifier.test : [])]
+      .filter(step => !step.when || step.when(scratchDir));
+    const results = [];
+
+    logger.info('Verifying SDK', { language, steps: steps.map(step => step.name) });
+    for (const step of steps) {
+      const result = await runStep(step, scratchDir, sandbox, runOptions);
+      results.push(result);
+      if (result.status === 'failed') {
+        logger.warn('SDK verification failed', { language, step: step.name, error: result.error });
+        return { status: 'failed', steps: results };
+      }
+    }
+    return { status: steps.length > 0 ? 'passed' : 'skipped', steps: results };
+  } finally {
+    await fs.remove(scratchDir);
+  }
+}
+
+module.exports = { VERIFIERS, verifyOutput };
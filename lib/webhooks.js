@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { ValidationError } = require('./errors');
+const { isHostAllowed } = require('./specSources');
+
+// Receivers see this much of their response in the delivery log
+const MAX_RESPONSE_BODY = 2048;
+const UNSETTLED_STATUSES = ['pending', 'retrying'];
+
+// `sha256=<hex>` HMAC of the exact request body
+function signPayload(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// Callbacks go to http(s) URLs on allow-listed hosts only, like spec URLs
+function parseCallbackUrl(callbackUrl, allowedHosts) {
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch (error) {
+    throw new ValidationError(`Invalid callbackUrl '${callbackUrl}'`, { field: 'callbackUrl' });
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new ValidationError('callbackUrl must use http or https', { field: 'callbackUrl' });
+  }
+  if (!isHostAllowed(url.hostname, allowedHosts)) {
+    throw new ValidationError(`Host '${url.hostname}' is not allowed for callbackUrl`, {
+      field: 'callbackUrl',
+      allowedHosts
+    });
+  }
+  return url;
+}
+
+async function readResponseBody(response) {
+  const text = await response.text().catch(() => '');
+  return text.length > MAX_RESPONSE_BODY ? `${text.slice(0, MAX_RESPONSE_BODY)}...` : text;
+}
+
+// Delivers signed JSON callbacks and keeps a log of the most recent
+// `maxDeliveries` for debugging. The body is serialized once so every attempt
+// sends the same bytes; it is signed with the current secret of the key that
+// asked for the callback (`getSecret(keyId)`). Failed attempts, i.e. network
+// errors, timeouts and non-2xx responses, are retried after `retryBaseMs`,
+// doubling each time, up to `maxAttempts` attempts in total. Redirects are not
+// followed. `onSettled(delivery)` is called once a delivery succeeded or gave up.
+//
+// With a `stateFile` the log and the deliveries still to be sent are written
+// to it whenever a delivery is queued, retried or settled, and `load()`
+// restores them on start: pending and retrying deliveries are sent at their
+// next attempt time, or right away when it has passed. An attempt in flight
+// when the process died is made again with the same delivery id, so receivers
+// can use `X-Fern-Delivery` to ignore duplicates.
+class WebhookDispatcher {
+  constructor({
+    maxAttempts = 6,
+    retryBaseMs = 10000,
+    timeoutMs = 10000,
+    maxDeliveries = 1000,
+    stateFile = null,
+    getSecret,
+    onSettled = () => {},
+    logger
+  }) {
+    this.maxAttempts = Math.max(1, maxAttempts);
+    this.retryBaseMs = retryBaseMs;
+    this.timeoutMs = timeoutMs;
+    this.maxDeliveries = maxDeliveries;
+    this.stateFile = stateFile;
+    this.getSecret = getSecret;
+    this.onSettled = onSettled;
+    this.logger = logger;
+    this.deliveries = new Map();
+    // Pending and retrying deliveries, including those that left the log
+    this.unsettled = new Map();
+    this.timers = new Set();
+    this.saving = Promise.resolve();
+  }
+
+  // Queue a delivery of `payload` to `url` and return its log entry
+  deliver({ url, event, payload, keyId, jobId = null, redeliveryOf = null }) {
+    const delivery = {
+      id: `dlv_${crypto.randomBytes(8).toString('hex')}`,
+      event,
+      url,
+      keyId,
+      jobId,
+      redeliveryOf,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      deliveredAt: null,
+      nextAttemptAt: new Date().toISOString(),
+      attempts: [],
+      body: JSON.stringify(payload)
+    };
+    this.deliveries.set(delivery.id, delivery);
+    this.unsettled.set(delivery.id, delivery);
+    this.trimLog();
+    this.schedule(delivery, 0);
+    this.save();
+    return delivery;
+  }
+
+  // Drop the oldest entries; a pending one keeps retrying but leaves the log
+  trimLog() {
+    for (const id of this.deliveries.keys()) {
+      if (this.deliveries.size <= this.maxDeliveries) {
+        break;
+      }
+      this.deliveries.delete(id);
+    }
+  }
+
+  // Restore the log and the unsettled deliveries of the state file. Call
+  // before anything queues deliveries, e.g. before restoring jobs, which
+  // would otherwise overwrite the file.
+  load() {
+    if (!this.stateFile || !fs.existsSync(this.stateFile)) {
+      return;
+    }
+    const { deliveries = [] } = fs.readJsonSync(this.stateFile);
+    let rescheduled = 0;
+    deliveries.forEach(delivery => {
+      this.deliveries.set(delivery.id, delivery);
+      if (!UNSETTLED_STATUSES.includes(delivery.status)) {
+        return;
+      }
+      rescheduled++;
+      this.unsettled.set(delivery.id, delivery);
+      this.schedule(delivery, Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now() || 0));
+    });
+    this.trimLog();
+    this.logger.info('Webhook deliveries restored', { file: this.stateFile, logged: this.deliveries.size, rescheduled });
+  }
+
+  // Writes are chained so concurrent updates cannot interleave
+  save() {
+    if (!this.stateFile) {
+      return this.saving;
+    }
+    const deliveries = [
+      ...[...this.unsettled.values()].filter(delivery => !this.deliveries.has(delivery.id)),
+      ...this.deliveries.values()
+    ];
+    const json = JSON.stringify({ deliveries });
+    this.saving = this.saving
+      .then(async () => {
+        await fs.ensureDir(path.dirname(this.stateFile));
+        const tempPath = `${this.stateFile}.tmp`;
+        await fs.writeFile(tempPath, json);
+        await fs.move(tempPath, this.stateFile, { overwrite: true });
+      })
+      .catch(error => this.logger.error('Failed to save webhook deliveries', { file: this.stateFile, error: error.message }));
+    return this.saving;
+  }
+
+  // Send a logged delivery again, as a new delivery with the same payload
+  redeliver(id) {
+    const original = this.deliveries.get(id);
+    if (!original) {
+      return null;
+    }
+    return this.deliver({
+      url: original.url,
+      event: original.event,
+      payload: JSON.parse(original.body),
+      keyId: original.keyId,
+      jobId: original.jobId,
+      redeliveryOf: original.id
+    });
+  }
+
+  get(id) {
+    return this.deliveries.get(id) || null;
+  }
+
+  // Newest first, optionally only those of one key, job or status
+  list({ keyId, jobId, status } = {}) {
+    return [...this.deliveries.values()]
+      .filter(delivery => (!keyId || delivery.keyId === keyId) &&
+        (!jobId || delivery.jobId === jobId) &&
+        (!status || delivery.status === status))
+      .reverse();
+  }
+
+  // The log entry as returned by the API; `includePayload` adds the body sent
+  describe(delivery, { includePayload = false } = {}) {
+    const { body, ...entry } = delivery;
+    return includePayload ? { ...entry, payload: JSON.parse(body) } : entry;
+  }
+
+  schedule(delivery, delayMs) {
+    delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      this.attempt(delivery).catch(error => {
+        this.logger.error('Error delivering webhook', { deliveryId: delivery.id, error: error.message });
+      });
+    }, delayMs);
+    timer.unref();
+    this.timers.add(timer);
+  }
+
+  async attempt(delivery) {
+    const number = delivery.attempts.length + 1;
+    const startedAt = Date.now();
+    const record = {
+      attempt: number,
+      at: new Date(startedAt).toISOString(),
+      durationMs: null,
+      statusCode: null,
+      error: null,
+      response: null
+    };
+    delivery.attempts.push(record);
+
+    const secret = this.getSecret(delivery.keyId);
+    if (!secret) {
+      // Nothing to sign with: the key was revoked or lost its webhook secret
+      record.error = 'API key has no webhook secret';
+      return this.settle(delivery, 'failed');
+    }
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'fern-express-webhooks',
+          'X-Fern-Event': delivery.event,
+          'X-Fern-Delivery': delivery.id,
+          'X-Fern-Signature': signPayload(delivery.body, secret)
+        },
+        body: delivery.body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      record.statusCode = response.status;
+      record.response = await readResponseBody(response);
+      if (!response.ok) {
+        record.error = `Receiver responded with ${response.status}`;
+      }
+    } catch (error) {
+      record.error = error.name === 'TimeoutError' ? `No response within ${this.timeoutMs}ms` : error.message;
+    }
+    record.durationMs = Date.now() - startedAt;
+
+    if (!record.error) {
+      delivery.deliveredAt = new Date().toISOString();
+      return this.settle(delivery, 'delivered');
+    }
+    if (number >= this.maxAttempts) {
+      return this.settle(delivery, 'failed');
+    }
+    const delayMs = this.retryBaseMs * 2 ** (number - 1);
+    delivery.status = 'retrying';
+    this.logger.warn('Webhook delivery failed, retrying', {
+      deliveryId: delivery.id,
+      jobId: delivery.jobId,
+      attempt: number,
+      error: record.error,
+      retryInMs: delayMs
+    });
+    this.schedule(delivery, delayMs);
+    this.save();
+  }
+
+  settle(delivery, status) {
+    delivery.status = status;
+    delivery.nextAttemptAt = null;
+    this.unsettled.delete(delivery.id);
+    this.save();
+    const meta = { deliveryId: delivery.id, jobId: delivery.jobId, attempts: delivery.attempts.length };
+    if (status === 'delivered') {
+      this.logger.info('Webhook delivered', meta);
+    } else {
+      this.logger.warn('Webhook delivery failed', { ...meta, error: delivery.attempts[delivery.attempts.length - 1].error });
+    }
+    this.onSettled(delivery);
+  }
+
+  // Cancel the pending retries and save what is left to send. Without a
+  // state file those deliveries are lost, and each is logged.
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    if (this.stateFile) {
+      if (this.unsettled.size > 0) {
+        this.logger.info('Unsettled webhook deliveries saved for the next start', {
+          file: this.stateFile,
+          deliveries: this.unsettled.size
+        });
+      }
+      return this.save();
+    }
+    this.unsettled.forEach(delivery => {
+      this.logger.warn('Webhook delivery dropped at shutdown', {
+        deliveryId: delivery.id,
+        jobId: delivery.jobId,
+        event: delivery.event,
+        attempts: delivery.attempts.length
+      });
+    });
+    return this.saving;
+  }
+}
+
+module.exports = { WebhookDispatcher, parseCallbackUrl, signPayload };
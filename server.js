@@ -1,17 +1,71 @@
+const crypto = require('crypto');
 const express = require('express');
 const fileUpload = require('express-fileupload');
 const cors = require('cors');
 const fs = require('fs-extra');
 const path = require('path');
-const { execSync } = require('child_process');
-const archiver = require('archiver');
+const { pipeline } = require('stream');
 const dotenv = require('dotenv');
+const { JobQueue } = require('./lib/jobQueue');
+const { FernCliManager } = require('./lib/fernCli');
+const { ArtifactCache } = require('./lib/artifactCache');
+const { ApiKeyStore } = require('./lib/apiKeys');
+const { Sandbox } = require('./lib/sandbox');
+const {
+  ValidationError,
+  GenerationError,
+  ProcessError,
+  ProcessTimeoutError,
+  CancelledError,
+  ResourceLimitError
+} = require('./lib/errors');
+const { GENERATORS, validateGenerationOptions, buildGeneratorsConfig } = require('./lib/generators');
+const { fetchSpecFromUrl, fetchSpecFromGit } = require('./lib/specSources');
+const { loadSpecDocument, diffSpecs } = require('./lib/specDiff');
+const { validatePublishTargets, publishOutput } = require('./lib/publishers');
+const { verifyOutput } = require('./lib/verifiers');
+const { OUTPUT_FORMATS, packageOutput } = require('./lib/packaging');
+const { createMetrics } = require('./lib/metrics');
+const { Janitor } = require('./lib/janitor');
+const { createStorage } = require('./lib/objectStorage');
+const { GenerationHistory, parseHistoryQuery } = require('./lib/generationHistory');
+const { LEVELS, Logger } = require('./lib/logger');
+const { WebhookDispatcher, parseCallbackUrl } = require('./lib/webhooks');
+const { buildApiDescription } = require('./lib/apiDescription');
+const { createRequestValidator } = require('./lib/requestValidator');
+const { describeRules, loadLintConfig, validateLintConfig, resolveLintRules, lintSpec } = require('./lib/specLint');
+const {
+  normalizeSpec,
+  normalizedFileName,
+  validateNormalizeFormat,
+  serializeSpec,
+  summarizeChanges
+} = require('./lib/specNormalize');
+const {
+  SPEC_DIR,
+  OVERRIDES_DIR,
+  saveSpecUploads,
+  saveOverrides,
+  findOverrides,
+  hashSpecFiles,
+  detectSpec,
+  populateFernWorkspace
+} = require('./lib/specWorkspace');
+const {
+  parseFernCheckOutput,
+  resolveLocations,
+  formatDiagnostic,
+  summarizeDiagnostics,
+  toSarif
+} = require('./lib/diagnostics');
 
 dotenv.config();
 
 // Environment variables with defaults
 const port = process.env.PORT || 3000;
-const API_KEY = process.env.API_KEY || 'development-key'; // Default key for development
+const IS_DEVELOPMENT = process.env.NODE_ENV === 'development';
+const DEFAULT_API_KEY = 'development-key';
+const API_KEY = process.env.API_KEY || (IS_DEVELOPMENT ? DEFAULT_API_KEY : null); // Default key for development only
 const DEBUG = process.env.DEBUG === 'true';
 
 // Validate required environment variables
@@ -19,7 +73,7 @@ if (!process.env.PORT) {
   console.warn('Warning: PORT not set, using default port 3000');
 }
 
-if (!process.env.API_KEY) {
+if (!process.env.API_KEY && IS_DEVELOPMENT) {
   console.warn('Warning: API_KEY not set, using development key');
 }
 
@@ -27,7 +81,74 @@ const config = {
   orgName: process.env.ORG_NAME || 'craftman',
   fernCliVersion: process.env.FERN_CLI_VERSION || '0.61.19',
   maxFileSize: parseInt(process.env.MAX_FILE_SIZE || '52428800'), // 50MB in bytes
+  maxExtractedSize: parseInt(process.env.MAX_EXTRACTED_SIZE || '209715200'), // 200MB unpacked from archives
+  maxArchiveEntries: parseInt(process.env.MAX_ARCHIVE_ENTRIES || '10000'),
+  // Remote spec sources are disabled unless hosts/repositories are allow-listed
+  specUrlAllowedHosts: (process.env.SPEC_URL_ALLOWED_HOSTS || '').split(',').map(h => h.trim()).filter(Boolean),
+  specGitAllowedRepos: (process.env.SPEC_GIT_ALLOWED_REPOS || '').split(',').map(r => r.trim()).filter(Boolean),
+  specFetchTimeoutMs: parseInt(process.env.SPEC_FETCH_TIMEOUT_MS || '60000'),
+  // Callbacks are disabled unless their hosts are allow-listed
+  webhookAllowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(h => h.trim()).filter(Boolean),
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6'),
+  webhookRetryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '10000'), // doubles after every failed attempt
+  webhookTimeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000'),
+  webhookLogSize: parseInt(process.env.WEBHOOK_LOG_SIZE || '1000'),
+  // Base of the artifact links sent in callbacks, e.g. https://fern.example.com;
+  // taken from the request when unset
+  publicUrl: (process.env.PUBLIC_URL || '').replace(/\/+$/, ''),
   tempDir: path.resolve(process.cwd(), process.env.TEMP_DIR || '/tmp'),
+  maxConcurrentJobs: parseInt(process.env.MAX_CONCURRENT_JOBS || '2'),
+  jobRetentionMs: parseInt(process.env.JOB_RETENTION_MS || '3600000'), // 1 hour
+  // Queued and finished jobs are kept here across restarts
+  jobsFile: path.resolve(process.cwd(), process.env.JOBS_FILE || '.jobs.json'),
+  // The webhook delivery log and the callbacks still to be sent, likewise
+  webhooksFile: path.resolve(process.cwd(), process.env.WEBHOOKS_FILE || '.webhooks.json'),
+  // How long running jobs and requests may take to finish on SIGTERM
+  shutdownTimeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '60000'), // 1 minute
+  commandTimeoutMs: parseInt(process.env.FERN_COMMAND_TIMEOUT_MS || '900000'), // 15 minutes
+  maxProcessOutputBytes: parseInt(process.env.MAX_PROCESS_OUTPUT_BYTES || '1048576'), // 1MB per stream
+  minFreeDiskBytes: parseInt(process.env.MIN_FREE_DISK_BYTES || '1073741824'), // 1GB, new work is refused below this
+  maxTempDirBytes: parseInt(process.env.MAX_TEMP_DIR_BYTES || '10737418240'), // 10GB, 0 disables the limit
+  workspaceTtlMs: parseInt(process.env.WORKSPACE_TTL_MS || '21600000'), // 6 hours
+  janitorIntervalMs: parseInt(process.env.JANITOR_INTERVAL_MS || '600000'), // 10 minutes
+  fernCliCacheDir: path.resolve(process.cwd(), process.env.FERN_CLI_CACHE_DIR || '.fern-cli'),
+  // Versions a request may pin with `fernCliVersion`, in addition to the default
+  fernCliVersions: (process.env.FERN_CLI_VERSIONS || '').split(',').map(v => v.trim()).filter(Boolean),
+  apiKeysFile: path.resolve(process.cwd(), process.env.API_KEYS_FILE || '.api-keys.json'),
+  // Registry and repository URL prefixes SDKs may be published to
+  publishAllowedRegistries: (process.env.PUBLISH_ALLOWED_REGISTRIES ||
+    'https://registry.npmjs.org/,https://upload.pypi.org/legacy/,https://api.nuget.org/v3/index.json,https://rubygems.org')
+    .split(',').map(r => r.trim()).filter(Boolean),
+  cacheDir: path.resolve(process.cwd(), process.env.CACHE_DIR || '.artifact-cache'),
+  cacheMaxBytes: parseInt(process.env.CACHE_MAX_BYTES || '1073741824'), // 1GB, 0 disables caching
+  // Where generation records and archives are kept: 'filesystem', 's3' or 'off'
+  historyStore: process.env.HISTORY_STORE || 'filesystem',
+  historyDir: path.resolve(process.cwd(), process.env.HISTORY_DIR || '.generations'),
+  historyRetentionMs: parseInt(process.env.HISTORY_RETENTION_MS || '0'), // 0 keeps generations forever
+  historyS3: {
+    endpoint: process.env.HISTORY_S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO; AWS when unset
+    bucket: process.env.HISTORY_S3_BUCKET,
+    region: process.env.HISTORY_S3_REGION || 'us-east-1',
+    prefix: process.env.HISTORY_S3_PREFIX || '',
+    accessKeyId: process.env.HISTORY_S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.HISTORY_S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY
+  },
+  // Organization-wide lint rules applied to every request
+  lintRulesFile: process.env.LINT_RULES_FILE ? path.resolve(process.cwd(), process.env.LINT_RULES_FILE) : null,
+  lintTimeoutMs: parseInt(process.env.LINT_TIMEOUT_MS || '10000'), // 10 seconds
+  logLevel: process.env.LOG_LEVEL || (DEBUG ? 'debug' : 'info'),
+  // Isolation of Fern CLI runs; the wall-clock limit is FERN_COMMAND_TIMEOUT_MS
+  sandboxRunner: process.env.SANDBOX_RUNNER || 'auto',
+  sandboxCpuSeconds: parseInt(process.env.SANDBOX_CPU_SECONDS || '1800'), // 0 disables the limit
+  sandboxMemoryBytes: parseInt(process.env.SANDBOX_MEMORY_BYTES || '0'), // needs a systemd user manager, 0 disables the limit
+  sandboxNetwork: process.env.SANDBOX_NETWORK !== 'false',
+  // Further environment variables passed to the Fern CLI, e.g. FERN_TOKEN
+  sandboxEnv: (process.env.SANDBOX_ENV || '').split(',').map(name => name.trim()).filter(Boolean),
+  // Further paths visible read-only inside a bubblewrap sandbox
+  sandboxPaths: (process.env.SANDBOX_PATHS || '').split(',').map(p => p.trim()).filter(Boolean),
+  // Docker socket bound into the sandbox for `fern generate --local`; access to
+  // it amounts to root on the host, so it is only bound when set
+  sandboxDockerSocket: process.env.SANDBOX_DOCKER_SOCKET || null,
   // ... other config options
 };
 
@@ -40,42 +161,310 @@ try {
   process.exit(1);
 }
 
+if (!LEVELS[config.logLevel]) {
+  console.error(`Invalid LOG_LEVEL "${config.logLevel}", expected one of: ${Object.keys(LEVELS).join(', ')}`);
+  process.exit(1);
+}
+
 const app = express();
-const logger = {
-  info: (message, meta = {}) => {
-    console.log(JSON.stringify({ level: 'info', message, ...meta }));
-  },
-  error: (message, meta = {}) => {
-    console.error(JSON.stringify({ level: 'error', message, ...meta }));
-  },
-  warn: (message, meta = {}) => {
-    console.warn(JSON.stringify({ level: 'warn', message, ...meta }));
+const logger = new Logger({ level: config.logLevel });
+// Never log the configured secrets, wherever they end up in a message
+logger.addSecret(API_KEY);
+logger.addSecret(process.env.WEBHOOK_SECRET);
+logger.addSecret(config.historyS3.secretAccessKey);
+Object.keys(process.env)
+  .filter(name => name.startsWith('PUBLISH_CREDENTIALS_'))
+  .forEach(name => logger.addSecret(process.env[name]));
+
+const fernCli = new FernCliManager({
+  cacheDir: config.fernCliCacheDir,
+  defaultVersion: config.fernCliVersion,
+  allowedVersions: config.fernCliVersions,
+  installTimeoutMs: config.commandTimeoutMs,
+  logger
+});
+
+let sandbox;
+let publishSandbox;
+try {
+  const sandboxOptions = {
+    runner: config.sandboxRunner,
+    cpuSeconds: config.sandboxCpuSeconds,
+    memoryBytes: config.sandboxMemoryBytes,
+    // Only the Fern CLI installs, the bundled fern-api package and Node itself,
+    // never the server directory with its keys, artifacts and state
+    readOnlyPaths: [
+      config.fernCliCacheDir,
+      fernCli.bundledPackageDir(),
+      path.dirname(process.execPath),
+      ...config.sandboxPaths
+    ].filter(Boolean),
+    logger
+  };
+  sandbox = new Sandbox({
+    ...sandboxOptions,
+    network: config.sandboxNetwork,
+    allowedEnv: config.sandboxEnv,
+    dockerSocket: config.sandboxDockerSocket
+  });
+  // Publish builds run the generated code's scripts and need registries, so
+  // they get the network but neither SANDBOX_ENV nor the Docker socket
+  publishSandbox = new Sandbox({ ...sandboxOptions, network: true });
+} catch (error) {
+  logger.error('Invalid sandbox configuration', { error: error.message });
+  process.exit(1);
+}
+if (!sandbox.describe().filesystemIsolation) {
+  logger.warn('Sandbox runner has no filesystem isolation, Fern CLI runs can read the server\'s files', {
+    runner: sandbox.runner
+  });
+}
+
+const apiKeys = new ApiKeyStore({ file: config.apiKeysFile, logger });
+try {
+  apiKeys.load();
+} catch (error) {
+  logger.error('Failed to load API keys', { file: config.apiKeysFile, error: error.message });
+  process.exit(1);
+}
+if (API_KEY) {
+  if (API_KEY === DEFAULT_API_KEY && !IS_DEVELOPMENT) {
+    logger.error('Refusing to start with the default API key outside development, set API_KEY');
+    process.exit(1);
   }
-};
+  // The key from the environment has full access and bootstraps the key store
+  apiKeys.addStaticKey('env', API_KEY, {
+    name: 'API_KEY',
+    scopes: ['admin'],
+    allowedLanguages: null,
+    rateLimitPerMinute: null,
+    dailyQuota: null,
+    publishCredentials: null,
+    webhookSecret: process.env.WEBHOOK_SECRET || null
+  });
+}
+if (apiKeys.size === 0) {
+  logger.error('No API keys configured, set API_KEY or add keys to the key store', { file: config.apiKeysFile });
+  process.exit(1);
+}
+
+let orgLintConfig = null;
+if (config.lintRulesFile) {
+  try {
+    orgLintConfig = loadLintConfig(fs.readFileSync(config.lintRulesFile, 'utf8'), 'LINT_RULES_FILE');
+    // Unknown rule ids only show up once the layers are merged
+    resolveLintRules([orgLintConfig]);
+  } catch (error) {
+    logger.error('Invalid lint rules file', { file: config.lintRulesFile, error: error.message, details: error.details });
+    process.exit(1);
+  }
+}
+
+const artifactCache = new ArtifactCache({
+  dir: config.cacheDir,
+  maxBytes: config.cacheMaxBytes,
+  logger
+});
+
+// Every generation with its archive, unless HISTORY_STORE is 'off'
+let history = null;
+if (config.historyStore !== 'off') {
+  try {
+    history = new GenerationHistory({
+      storage: createStorage(config.historyStore, config.historyStore === 's3' ? config.historyS3 : { dir: config.historyDir }),
+      retentionMs: config.historyRetentionMs,
+      logger
+    });
+  } catch (error) {
+    logger.error('Invalid generation history configuration', { store: config.historyStore, error: error.message });
+    process.exit(1);
+  }
+}
+
+// Creates work directories and removes the ones left behind
+const janitor = new Janitor({
+  dir: config.tempDir,
+  ttlMs: config.workspaceTtlMs,
+  maxBytes: config.maxTempDirBytes,
+  minFreeBytes: config.minFreeDiskBytes,
+  logger
+});
+fs.ensureDirSync(janitor.uploadsDir);
+
+const metrics = createMetrics({
+  getQueueStats: () => jobQueue.stats(),
+  getDiskUsage: () => janitor.usage()
+});
+
+// Signed job completion callbacks, and the log of recent deliveries
+const webhooks = new WebhookDispatcher({
+  maxAttempts: config.webhookMaxAttempts,
+  retryBaseMs: config.webhookRetryBaseMs,
+  timeoutMs: config.webhookTimeoutMs,
+  maxDeliveries: config.webhookLogSize,
+  stateFile: config.webhooksFile,
+  getSecret: (keyId) => {
+    const key = apiKeys.get(keyId);
+    return key && !key.revokedAt ? key.webhookSecret : null;
+  },
+  onSettled: (delivery) => metrics.webhookDeliveries.inc({ outcome: delivery.status }),
+  logger
+});
+
+// Request ids are kept from the client or proxy when well formed and
+// generated otherwise. Every request gets a child logger that carries its id.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
 
 // Middleware
+app.use((req, res, next) => {
+  const requestId = req.get('X-Request-Id');
+  req.id = requestId && REQUEST_ID_PATTERN.test(requestId) ? requestId : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  req.log = logger.child({ requestId: req.id });
+  next();
+});
+app.use(metrics.middleware);
 app.use(cors());
 app.use(express.json());
-app.use(fileUpload({
-  limits: { fileSize: config.maxFileSize },
-  useTempFiles: true,
-  tempFileDir: config.tempDir
-}));
+// Uploads that were not moved into a work directory are removed with the request;
+// they are only parsed on the routes that take them, see parseUploads
+app.use((req, res, next) => {
+  res.on('close', () => {
+    janitor.removeUploads(req.files).catch(error => {
+      req.log.warn('Failed to remove upload temp files', { error: error.message });
+    });
+  });
+  next();
+});
 
 // API Key middleware
+// Authenticate `x-api-key` against the key store and apply the key's rate limit
 const checkApiKey = (req, res, next) => {
-  if (!API_KEY) {
-    return res.status(500).json({ error: 'Server configuration error: API_KEY not set' });
-  }
-  
-  const providedKey = req.headers['x-api-key'];
-  if (!providedKey || providedKey !== API_KEY) {
+  const key = apiKeys.authenticate(req.headers['x-api-key']);
+  if (!key) {
     return res.status(401).json({ error: 'Unauthorized - Invalid API Key' });
   }
-  
+
+  const retryAfter = apiKeys.takeRequest(key);
+  if (retryAfter > 0) {
+    res.setHeader('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      error: 'Rate limit exceeded',
+      details: { rateLimitPerMinute: key.rateLimitPerMinute, retryAfter }
+    });
+  }
+
+  req.apiKey = key;
+  req.log = req.log.child({ keyId: key.id });
+  next();
+};
+
+// The server's own OpenAPI description; requests to the routes it describes
+// are validated against it once authenticated
+const apiDescription = buildApiDescription({ version: require('./package.json').version });
+const validateRequest = createRequestValidator(apiDescription);
+
+// Must follow checkApiKey; admin keys hold every scope
+const requireScope = (scope) => (req, res, next) => {
+  if (!ApiKeyStore.hasScope(req.apiKey, scope)) {
+    return res.status(403).json({ error: `API key lacks the '${scope}' scope` });
+  }
   next();
 };
 
+// Express 4 does not catch rejected promises: pass them to the error handler
+// so a failing request answers 500 instead of becoming an unhandled rejection
+const asyncRoute = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+// Set once shutdown() begins
+let shuttingDown = false;
+
+// Refuse new work with 503 while shutting down, and with 507 while the temp
+// dir is over its size limit or the disk is low on space
+const requireCapacity = async (req, res, next) => {
+  if (shuttingDown) {
+    return res.status(503).json({ error: 'Server is shutting down' });
+  }
+  try {
+    const shortage = await janitor.checkCapacity();
+    if (shortage) {
+      req.log.warn('Refusing work, insufficient storage', shortage);
+      const { reason, ...details } = shortage;
+      return res.status(507).json({ error: `Insufficient storage: ${reason}`, details });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Multipart bodies are written to temp files, so they are parsed only once the
+// key is authenticated and requireCapacity admitted the request
+const parseUploads = fileUpload({
+  limits: { fileSize: config.maxFileSize },
+  useTempFiles: true,
+  tempFileDir: janitor.uploadsDir
+});
+
+function isPublishing(options) {
+  return Object.keys(options.publish || {}).length > 0;
+}
+
+// Enforce the key's scopes, credentials and allowed languages once the
+// request options are known. Sends the error response and returns false when
+// the generation may not run. The daily quota is taken separately, see
+// takeGenerationQuota.
+function authorizeGeneration(req, res, options) {
+  if (isPublishing(options) && !ApiKeyStore.hasScope(req.apiKey, 'publish')) {
+    res.status(403).json({ error: "API key lacks the 'publish' scope" });
+    return false;
+  }
+  const credentials = Object.values(options.publish || {}).map(target => target.credentials).filter(Boolean);
+  const unbound = credentials.find(name => !ApiKeyStore.allowsCredentials(req.apiKey, name));
+  if (unbound) {
+    res.status(403).json({
+      error: `API key may not use credentials '${unbound}'`,
+      details: { publishCredentials: req.apiKey.publishCredentials || [] }
+    });
+    return false;
+  }
+
+  const forbidden = options.languages.filter(language => !ApiKeyStore.allowsLanguage(req.apiKey, language));
+  if (forbidden.length > 0) {
+    res.status(403).json({
+      error: `API key may not generate ${forbidden.join(', ')}`,
+      details: { allowedLanguages: req.apiKey.allowedLanguages }
+    });
+    return false;
+  }
+  return true;
+}
+
+// Count a generation against the key's daily quota. Only runs of the
+// generators count: rejected specs, 304s and cache hits are free. Sends 429
+// and returns false when the quota is used up.
+function takeGenerationQuota(req, res) {
+  const retryAfter = apiKeys.takeGeneration(req.apiKey);
+  if (retryAfter > 0) {
+    res.setHeader('Retry-After', String(retryAfter));
+    res.status(429).json({
+      error: 'Daily generation quota exceeded',
+      details: { dailyQuota: req.apiKey.dailyQuota, retryAfter }
+    });
+    return false;
+  }
+  return true;
+}
+
+// The cached archive for a generation, or null when it has to run. Publishing
+// is a side effect, so it always runs the generators.
+function getCachedArtifact(cacheKey, options) {
+  const cached = artifactCache.enabled && !isPublishing(options) ? artifactCache.get(cacheKey) : null;
+  return cached && fs.existsSync(cached.path) ? cached : null;
+}
+
 // Helper function to list directory structure recursively
 function listDirectoryRecursive(dir, indent = '') {
   const stats = fs.statSync(dir);
@@ -99,437 +488,1214 @@ function listDirectoryRecursive(dir, indent = '') {
   return structure.join('\n');
 }
 
-// Common setup function for both /check and /generate endpoints
-const setupFernProject = async (req, workDir, options = {}) => {
+// The spec fields of a request, as read by saveSpecFile
+function getSpecInput(req) {
+  const files = req.files || {};
+  return {
+    upload: files.spec,
+    overrides: files.overrides,
+    specUrl: req.body.specUrl,
+    gitRepo: req.body.gitRepo,
+    ref: req.body.ref,
+    path: req.body.path
+  };
+}
+
+// Materialize a spec into the work directory and detect its type. The spec is
+// either uploaded (files or an archive), downloaded from `specUrl` or fetched
+// from `gitRepo` at `ref`/`path`. The returned spec records where it came from
+// and a content hash. Kept separate from setupFernProject so queued jobs can
+// persist the spec, and reject bad requests, before responding.
+const saveSpecFile = async (input, workDir, options = {}, { log = logger } = {}) => {
+  const { upload, overrides, specUrl, gitRepo } = input;
+  const limits = { maxEntries: config.maxArchiveEntries, maxBytes: config.maxExtractedSize };
+
   try {
-   
-    // Validate request
-    if (!req.files || !req.files.spec) {
-      logger.error('No OpenAPI spec file provided');
-      throw new Error('No OpenAPI spec file provided');
-    }
-    
-    // Save spec file
-    const specFile = req.files.spec;
-    const specFilePath = path.join(workDir, 'openapi.yaml');
-    try {
-      await specFile.mv(specFilePath);
-      logger.info(`Spec file saved to ${specFilePath}`);
-    } catch (error) {
-      logger.error('Error moving spec file:', error.message);
-      throw new Error('Failed to move spec file to temp directory');
-    }
-    //Verify the spec file is moved to the temp directory
-    if (!fs.existsSync(specFilePath)) {
-      throw new Error('Spec file was not moved to the temp directory');
-    }
-    
-    // Check for npm installation
-    logger.info('Verifying npm availability...');
-    try {
-      execSync('npm --version', { stdio: DEBUG ? 'inherit' : 'pipe' });
-      logger.info('npm is available');
-    } catch (npmError) {
-      logger.error('Error checking npm:', npmError.message);
-      throw new Error('npm is not available on the server');
+    if ([upload, specUrl, gitRepo].filter(Boolean).length > 1) {
+      throw new ValidationError('Provide only one of a spec upload, specUrl or gitRepo');
     }
-    
-    // Explicitly install Fern CLI globally before using it
-    logger.info('Installing Fern CLI globally...');
-    try {
-      execSync(`npm install --omit=dev -g fern-api@${config.fernCliVersion || '0.61.18'}`, { 
-        stdio: DEBUG ? 'inherit' : 'pipe',
-        encoding: 'utf8' 
+
+    let source;
+    const specDir = path.join(workDir, SPEC_DIR);
+    if (specUrl) {
+      log.info('Fetching spec from URL', { specUrl });
+      const fetched = await fetchSpecFromUrl(specUrl, {
+        allowedHosts: config.specUrlAllowedHosts,
+        maxBytes: config.maxFileSize,
+        timeoutMs: config.specFetchTimeoutMs
       });
-      logger.info('Fern CLI installed successfully');
-    } catch (installError) {
-      logger.error('Error installing Fern CLI:', installError.message);
-      logger.error('Stderr:', installError.stderr);
-      logger.error('Stdout:', installError.stdout);
-      throw new Error(`Failed to install Fern CLI: ${installError.message}`);
+      await saveSpecUploads(fetched.file, workDir, limits);
+      source = fetched.source;
+    } else if (gitRepo) {
+      log.info('Fetching spec from git', { gitRepo, ref: input.ref, path: input.path });
+      const cloneDir = path.join(workDir, 'git');
+      const fetched = await fetchSpecFromGit({ repo: gitRepo, ref: input.ref, specPath: input.path }, {
+        cloneDir,
+        specDir,
+        allowedRepos: config.specGitAllowedRepos,
+        maxBytes: config.maxExtractedSize,
+        timeoutMs: config.specFetchTimeoutMs
+      });
+      await fs.remove(cloneDir);
+      // A path to a single file names the entry point unless one was chosen
+      if (options.specPath === undefined && fetched.entryPoint) {
+        options.specPath = fetched.entryPoint;
+      }
+      source = fetched.source;
+    } else {
+      const uploads = Array.isArray(upload) ? upload : [upload];
+      await saveSpecUploads(upload, workDir, limits);
+      source = { type: 'upload', files: uploads.filter(Boolean).map(file => file.name) };
+    }
+
+    const overridesPath = overrides ? await saveOverrides(overrides, workDir) : null;
+    const spec = detectSpec(specDir, options.specPath);
+    spec.source = { ...source, sha256: hashSpecFiles(specDir) };
+    log.info('Spec files saved', { specDir, type: spec.type, mainFile: spec.mainFile, overridesPath, source: spec.source });
+    return options.normalize ? await normalizeSavedSpec(specDir, spec, { log }) : spec;
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      log.error('Rejected spec', { error: error.message });
+      throw error;
     }
+    log.error('Error saving spec files', { error: error.message, stack: error.stack });
+    throw new Error('Failed to move spec file to temp directory');
+  }
+};
+
+// Replace the saved spec with its normalized form, a single OpenAPI 3.x file.
+// The source keeps the hash of the spec as provided; the `normalize` option is
+// part of the cache key.
+async function normalizeSavedSpec(specDir, spec, { log = logger } = {}) {
+  const { document, changes, warnings } = normalizeSpec(specDir, spec);
+  const fileName = normalizedFileName(spec.mainFile, 'yaml');
+  await fs.emptyDir(specDir);
+  await fs.writeFile(path.join(specDir, fileName), serializeSpec(document, 'yaml'));
+  const summary = summarizeChanges(changes);
+  log.info('Spec normalized', { mainFile: fileName, changes: summary, warnings: warnings.length });
+  return { ...detectSpec(specDir, fileName), source: spec.source, normalization: { summary, changes, warnings } };
+}
 
-    // Initialize Fern project with the OpenAPI spec
-    logger.info('Initializing Fern project...');
+// Common setup function for both /check and /generate endpoints.
+// `onEvent(type, data)` receives progress events for streaming.
+const setupFernProject = async (workDir, options = {}, { onEvent = () => {}, log = logger } = {}) => {
+  try {
+    onEvent('phase', { phase: 'setup' });
+
+    // Resolve the requested Fern CLI version, installing it into the cache on first use
+    const fernBin = await fernCli.ensureInstalled(options.fernCliVersion);
+    log.info('Using Fern CLI', { version: options.fernCliVersion, fernBin });
+
+    // Initialize Fern project with the uploaded API definition
+    log.info('Initializing Fern project...');
     try {
-      // Log directory structure before setup
-      logger.info('Directory structure BEFORE setup:\n' + listDirectoryRecursive(workDir));
+      if (log.isLevelEnabled('debug')) {
+        log.debug('Directory structure before setup', { tree: listDirectoryRecursive(workDir) });
+      }
 
       // Create fern directory structure manually
       const fernDir = path.join(workDir, 'fern');
       fs.ensureDirSync(fernDir);
-      logger.info('Created fern directory', { fernDir });
+      log.info('Created fern directory', { fernDir });
 
-      // Create api directory and move spec file
-      const apiDir = path.join(fernDir, 'openapi');
-      fs.ensureDirSync(apiDir);
-      const apiSpecPath = path.join(apiDir, 'openapi.yml');
-      fs.copyFileSync(specFilePath, apiSpecPath);
-      logger.info('Created api directory and copied spec file', { apiSpecPath });
+      // Lay out the uploaded definition in the fern directory
+      const specDir = path.join(workDir, SPEC_DIR);
+      const spec = detectSpec(specDir, options.specPath);
+      const api = populateFernWorkspace(specDir, fernDir, spec, findOverrides(workDir));
+      log.info('Copied API definition into the fern directory', { type: spec.type, mainFile: spec.mainFile, api });
 
       // Create fern.json configuration
       const fernConfig = {
         organization: config.orgName,
-        version: config.fernCliVersion
+        version: options.fernCliVersion
       };
       const fernConfigPath = path.join(fernDir, 'fern.config.json');
       fs.writeFileSync(fernConfigPath, JSON.stringify(fernConfig, null, 2));
-      logger.info('Created fern.config.json configuration', { fernConfigPath, fernConfig });
+      log.info('Created fern.config.json configuration', { fernConfigPath, fernConfig });
 
       // Create generators.yml file with appropriate content
-      logger.info('Creating generators configuration...');
-      let generatorsContent = generateFernGeneratorsConfig(options);
-      logger.info('Generators configuration created', { generatorsContent });
+      log.info('Creating generators configuration...');
+      const generatorsContent = buildGeneratorsConfig(options, api);
+      log.debug('Generators configuration created', { generatorsContent });
 
       // Write generators.yml to the fern directory
       const fernGeneratorsPath = path.join(fernDir, 'generators.yml');
       fs.writeFileSync(fernGeneratorsPath, generatorsContent);
-      logger.info('Created generators.yml', { path: fernGeneratorsPath });
+      log.info('Created generators.yml', { path: fernGeneratorsPath });
       
       // Create output directory for generated files
       const outputDir = path.join(fernDir, 'generated');
       fs.ensureDirSync(outputDir);
-      logger.info('Created output directory', { outputDir });
+      log.info('Created output directory', { outputDir });
       
-      // Log final directory structure
-      logger.info('Final directory structure:\n' + listDirectoryRecursive(workDir));
+      if (log.isLevelEnabled('debug')) {
+        log.debug('Directory structure after setup', { tree: listDirectoryRecursive(workDir) });
+      }
       
       return fernDir;
     } catch (initError) {
-      logger.error('Error setting up Fern project:', {
-        error: initError.message,
-        stack: initError.stack,
-        directoryStructure: listDirectoryRecursive(workDir)
-      });
+      if (initError instanceof ValidationError) {
+        throw initError;
+      }
+      log.error('Error setting up Fern project', { error: initError.message, stack: initError.stack });
+      if (log.isLevelEnabled('debug')) {
+        log.debug('Directory structure after failed setup', { tree: listDirectoryRecursive(workDir) });
+      }
       throw new Error(`Failed to set up Fern project: ${initError.message}`);
     }
   } catch (error) {
-    logger.error('Error in setupFernProject:', error);
+    log.error('Error in setupFernProject', { error: error.message });
     throw error;
   }
 };
 
-// Helper function to generate Fern generators config
-function generateFernGeneratorsConfig(options) {
-  //let generators = `api:
-  //path: ./openapi/openapi.yml
-//`;
-  let generators = '';
-  
-  switch (options.language) {
-    case 'typescript':
-      generators += `groups:
-  typescript:
-    generators:
-      - name: fernapi/fern-typescript-node-sdk
-        version: 0.51.7
-        output:
-          location: local-file-system
-          path: ./generated
-        config:
-          namespaceExport: ${options.packageName}`;
-      break;
-    case 'python':
-      generators += `groups:
-  python:
-    generators:
-      - name: fernapi/fern-python-sdk
-        version: 4.20.2
-        output:
-          location: local-file-system
-          path: ./generated/python
-        config:
-          outputSourceFiles: true
-          include_examples: ${options.includeExamples || true}
-          include_tests: ${options.includeTests || false}`;
-      break;
-    case 'java':
-      generators += `groups:
-  java:
-    generators:
-      - name: fernapi/fern-java-sdk
-        version: 2.36.2
-        output:
-          location: local-file-system
-          path: ./generated/java
-        config:
-          outputSourceFiles: true
-          includes:
-            examples: ${options.includeExamples || true}
-            tests: ${options.includeTests || false}`;
-      break;
-    case 'go':
-      generators += `groups:
-  go:
-    generators:
-      - name: fernapi/fern-go-sdk
-        version: 0.38.0
-        output:
-          location: local-file-system
-          path: ./generated/go
-        config:
-          outputSourceFiles: true
-          module-path: github.com/${options.packageName}/sdk
-          include-examples: ${options.includeExamples || true}
-          include-tests: ${options.includeTests || false}`;
-      break;
-    case 'ruby':
-      generators += `groups:
-  ruby:
-    generators:
-      - name: fernapi/fern-ruby-sdk
-        version: 0.9.0-rc2
-        output:
-          location: local-file-system
-          path: ./generated/ruby
-        config:
-          outputSourceFiles: true
-          include-examples: ${options.includeExamples || true}
-          include-tests: ${options.includeTests || false}`;
-      break;
-    case 'csharp':
-      generators += `groups:
-  csharp:
-    generators:
-      - name: fernapi/fern-csharp-sdk
-        version: 1.17.4
-        output:
-          location: local-file-system
-          path: ./generated/csharp
-        config:
-          outputSourceFiles: true
-          include-examples: ${options.includeExamples || true}
-          include-tests: ${options.includeTests || false}`;
-      break;
-    default:
-      generators += `groups:
-  typescript:
-    generators:
-      - name: fernapi/fern-typescript-node-sdk
-        version: 1.0.0
-        output:
-          location: local-file-system
-          path: ./generated/typescript
-        config:
-          outputSourceFiles: true
-          includeExamples: ${options.includeExamples || true}
-          includeTests: ${options.includeTests || false}`;
+// Installed and allowed Fern CLI versions
+app.get('/fern/versions', checkApiKey, validateRequest, (req, res) => {
+  res.json({
+    defaultVersion: fernCli.defaultVersion,
+    versions: fernCli.listVersions()
+  });
+});
+
+// The built-in lint rules and the organization's and this key's settings,
+// which requests are linted with unless they override them
+app.get('/lint/rules', checkApiKey, validateRequest, (req, res) => {
+  res.json({
+    rules: describeRules(),
+    organization: orgLintConfig,
+    key: req.apiKey.lint || null
+  });
+});
+
+// Public so client generators can fetch it
+app.get('/openapi.json', (req, res) => {
+  res.json({
+    ...apiDescription,
+    servers: [{ url: config.publicUrl || `${req.protocol}://${req.get('host')}` }]
+  });
+});
+
+// Health check endpoint
+// Checks that the server can do work: the default Fern CLI was verified and is
+// still executable, the temp dir is writable and within its size and free
+// space limits, and Docker answers from inside the sandbox. Also reports
+// whether the sandbox isolates the filesystem
+async function runReadinessChecks() {
+  const checks = {};
+  checks.fernCli = await fernCli.checkReady();
+  // Reported, not failed: the 'process' runner is an explicit choice
+  checks.sandbox = {
+    ok: true,
+    ...sandbox.describe(),
+    warning: sandbox.describe().filesystemIsolation ? undefined : 'Fern CLI runs share the server\'s filesystem'
+  };
+  // Generation needs Docker, reached the way a Fern CLI run would reach it
+  let dockerDir = null;
+  try {
+    dockerDir = await janitor.createWorkDir('ready');
+    checks.docker = await sandbox.checkDocker(dockerDir);
+  } catch (error) {
+    checks.docker = { ok: false, error: error.message };
+  } finally {
+    if (dockerDir) {
+      await cleanupWorkDir(dockerDir);
+    }
   }
-  
-  return generators;
+
+  const probe = path.join(config.tempDir, `.ready-${process.pid}`);
+  try {
+    await fs.writeFile(probe, '');
+    await fs.remove(probe);
+    checks.tempDir = { ok: true, path: config.tempDir };
+  } catch (error) {
+    checks.tempDir = { ok: false, path: config.tempDir, error: error.message };
+  }
+
+  try {
+    const { usedBytes, freeBytes } = await janitor.usage();
+    const shortage = await janitor.checkCapacity();
+    checks.diskSpace = {
+      ok: !shortage,
+      usedBytes,
+      maxUsedBytes: config.maxTempDirBytes || null,
+      freeBytes,
+      minFreeBytes: config.minFreeDiskBytes,
+      error: shortage ? shortage.reason : undefined
+    };
+  } catch (error) {
+    checks.diskSpace = { ok: false, error: error.message };
+  }
+
+  return { ready: Object.values(checks).every(check => check.ok), checks };
 }
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'OK', message: 'Fern SDK Generator Server is running' });
-});
+// Liveness: always 200 while the process serves requests, with the readiness
+// checks for information
+app.get('/health', asyncRoute(async (req, res) => {
+  const { ready, checks } = await runReadinessChecks();
+  res.json({
+    status: ready ? 'OK' : 'DEGRADED',
+    message: 'Fern SDK Generator Server is running',
+    uptimeSeconds: Math.round(process.uptime()),
+    jobs: jobQueue.stats(),
+    checks
+  });
+}));
+
+// Readiness: 503 until the server can take generation requests
+app.get('/ready', asyncRoute(async (req, res) => {
+  const { ready, checks } = await runReadinessChecks();
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
+}));
+
+app.get('/metrics', asyncRoute(async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.registry.contentType);
+    res.end(await metrics.registry.metrics());
+  } catch (error) {
+    req.log.error('Failed to collect metrics', { error: error.message });
+    res.status(500).end();
+  }
+}));
+
+// Abort in-flight CLI runs when the client goes away before the response is sent
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
+// Parse and validate the JSON `options` field shared by /check, /generate and /jobs
+function getRequestOptions(req) {
+  let options = req.body.options || { language: 'typescript', packageName: 'api-client' };
+  // Multipart requests send options as a JSON string, JSON requests as an object
+  if (typeof options === 'string') {
+    try {
+      options = JSON.parse(options);
+    } catch (error) {
+      throw new ValidationError(`Invalid field 'options': not valid JSON (${error.message})`, { field: 'options' });
+    }
+  }
+  const validated = validateGenerationOptions(options);
+  validated.fernCliVersion = fernCli.resolveVersion(options.fernCliVersion);
+  validated.publish = validatePublishTargets(options.publish, validated.languages, {
+    allowedRegistries: config.publishAllowedRegistries
+  });
+  return validated;
+}
+
+// The callback URL of a request, or null when it has none. Callbacks are
+// signed, so the key must have a webhook secret.
+function getCallbackUrl(req) {
+  const { callbackUrl } = req.body;
+  if (!callbackUrl) {
+    return null;
+  }
+  parseCallbackUrl(callbackUrl, config.webhookAllowedHosts);
+  if (!req.apiKey.webhookSecret) {
+    throw new ValidationError('API key has no webhook secret to sign callbacks with', { field: 'callbackUrl' });
+  }
+  return callbackUrl;
+}
+
+// Lint the saved spec with the built-in rules and the settings of the
+// organization (LINT_RULES_FILE), the key, an uploaded `lintRules` file and
+// the request's `lint` option, later ones winning. Resolves with the findings,
+// or null when the request turned linting off.
+async function lintRequest(req, workDir, spec, options, { log = logger } = {}) {
+  if (!options.lint.enabled) {
+    return null;
+  }
+  const upload = req.files && req.files.lintRules;
+  if (Array.isArray(upload)) {
+    throw new ValidationError('Upload a single lintRules file', { field: 'lintRules' });
+  }
+  const uploaded = upload ? loadLintConfig(await fs.readFile(upload.tempFilePath, 'utf8'), 'lintRules') : null;
+  const layers = [orgLintConfig, req.apiKey.lint, uploaded, options.lint];
+  const rules = resolveLintRules(layers);
+  const { skipped, diagnostics } = await lintSpec(path.join(workDir, SPEC_DIR), spec, layers, {
+    timeoutMs: config.lintTimeoutMs
+  });
+  const summary = summarizeDiagnostics(diagnostics);
+  log.info('Spec linted', { rules: rules.length, skipped, ...summary });
+  return {
+    blocking: options.lint.blocking,
+    blocked: options.lint.blocking && summary.errors > 0,
+    skipped,
+    rules: rules.map(rule => rule.id),
+    summary,
+    diagnostics
+  };
+}
+
+// The lint result for responses. Where the findings are merged into the Fern
+// diagnostics they are left out here.
+function lintReport(lint, { withDiagnostics = true } = {}) {
+  if (!lint || withDiagnostics) {
+    return lint;
+  }
+  const { diagnostics, ...report } = lint;
+  return report;
+}
+
+// Lint errors stop a generation unless the request set `lint.blocking: false`
+function rejectLintErrors(res, lint) {
+  res.status(400).json({
+    error: 'OpenAPI specification violates lint rules',
+    details: { summary: lint.summary, diagnostics: lint.diagnostics, lint: lintReport(lint, { withDiagnostics: false }) }
+  });
+}
+
+// The fern_checks_total outcome of a check that ended without a result
+function checkErrorOutcome(error) {
+  if (error instanceof ValidationError) {
+    return 'rejected';
+  }
+  if (error instanceof CancelledError) {
+    return 'cancelled';
+  }
+  if (error instanceof ResourceLimitError) {
+    return `${error.limit}_limit`;
+  }
+  return error instanceof ProcessTimeoutError ? 'timeout' : 'error';
+}
+
+// Run `fern check` in a prepared workspace and collect its diagnostics.
+// Resolves whether or not the spec is valid; timeouts, cancellation, sandbox
+// limits and failures to run the CLI reject. Callers count the outcome once
+// lint findings are merged in.
+async function runFernCheck(workDir, fernDir, options, { signal, log = logger } = {}) {
+  const fernBin = await fernCli.ensureInstalled(options.fernCliVersion);
+
+  // Run Fern check command, including warnings so they can be reported
+  log.info('Running Fern check command...');
+  let checkOutput;
+  let checkFailed = false;
+  let rawOutput;
+  const endCheckTimer = metrics.cliDuration.startTimer({ command: 'check', language: '' });
+  try {
+    const result = await sandbox.run(fernBin, ['check', '--warnings'], {
+      workDir,
+      timeoutMs: config.commandTimeoutMs,
+      maxOutputBytes: config.maxProcessOutputBytes,
+      signal
+    });
+    checkOutput = [result.stdout, result.stderr].filter(Boolean).join('\n');
+    rawOutput = { stderr: result.stderr, stdout: result.stdout };
+  } catch (checkError) {
+    // Timeouts, cancellations and sandbox limits are not validation results
+    if (!(checkError instanceof ProcessError) || checkError instanceof ProcessTimeoutError ||
+        checkError instanceof CancelledError || checkError instanceof ResourceLimitError) {
+      throw checkError;
+    }
+    log.info('Validation errors found', {
+      error: checkError.message,
+      exitCode: checkError.exitCode,
+      stderr: checkError.stderr,
+      stdout: checkError.stdout
+    });
+    checkFailed = true;
+    checkOutput = [checkError.stderr, checkError.stdout].filter(Boolean).join('\n');
+    rawOutput = { stderr: checkError.stderr, stdout: checkError.stdout, exitCode: checkError.exitCode };
+  } finally {
+    endCheckTimer();
+  }
+
+  const diagnostics = resolveLocations(parseFernCheckOutput(checkOutput), [fernDir, workDir])
+    .map(formatDiagnostic);
+  return { valid: !checkFailed, diagnostics, summary: summarizeDiagnostics(diagnostics), rawOutput };
+}
 
-class ValidationError extends Error {
-  constructor(message, details) {
-    super(message);
-    this.name = 'ValidationError';
-    this.details = details;
+// Fern's diagnostics followed by the lint findings. Blocking lint errors make
+// the spec invalid.
+function withLintFindings(check, lint) {
+  if (!lint) {
+    return check;
   }
+  const diagnostics = [...check.diagnostics, ...lint.diagnostics];
+  return {
+    ...check,
+    valid: check.valid && !lint.blocked,
+    diagnostics,
+    summary: summarizeDiagnostics(diagnostics)
+  };
 }
 
 // New endpoint: Validate OpenAPI spec using Fern check command
-app.post('/check', checkApiKey, async (req, res) => {
-  logger.info('Received OpenAPI validation request');
+app.post('/check', checkApiKey, requireScope('check'), requireCapacity, parseUploads, validateRequest, asyncRoute(async (req, res) => {
+  req.log.info('Received OpenAPI validation request');
 
-  const options = req.body.options ? JSON.parse(req.body.options) : { language: 'typescript', packageName: 'api-client' };
+  let options;
+  let callbackUrl;
+  try {
+    options = getRequestOptions(req);
+    callbackUrl = getCallbackUrl(req);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    throw error;
+  }
   // Use isCheckOnly flag
   options.isCheckOnly = true;
 
+  // Diagnostics are returned as JSON unless SARIF output is requested
+  const format = req.query.format || req.body.format || 'json';
+  if (!['json', 'sarif'].includes(format)) {
+    return res.status(400).json({ error: `Unsupported format '${format}', expected 'json' or 'sarif'` });
+  }
+
+  // With a callback the check runs as a job and the diagnostics are posted
+  // to the callback as JSON
+  if (callbackUrl) {
+    if (format === 'sarif') {
+      return res.status(400).json({ error: 'SARIF output is not available with a callbackUrl' });
+    }
+    return enqueueJob(req, res, options, { kind: 'check', callbackUrl });
+  }
+
   // Create a unique working directory
-  const workDir = path.join(config.tempDir, `fern-check-${Date.now()}`);
-  fs.ensureDirSync(workDir);
+  const workDir = await janitor.createWorkDir('check');
+  const log = req.log.child({ workDir });
   
   try {
 
-    const fernDir = await setupFernProject(req, workDir, options);
-    
-    // Run Fern check command
-    logger.info('Running Fern check command...');
-    try {
-      execSync('fern check', { 
-        cwd: workDir, 
-        stdio: 'pipe',
-        encoding: 'utf8' 
-      });
-      
-      logger.info('Validation passed, no errors found');
-      res.json({ 
-        valid: true,
-        message: 'OpenAPI specification is valid',
-        fernDir: fernDir
+    const spec = await saveSpecFile(getSpecInput(req), workDir, options, { log });
+    const lint = await lintRequest(req, workDir, spec, options, { log });
+    const fernDir = await setupFernProject(workDir, options, { log });
+    const check = await runFernCheck(workDir, fernDir, options, {
+      signal: abortOnDisconnect(res),
+      log
+    });
+    const { valid, diagnostics, summary } = withLintFindings(check, lint);
+    const rawOutput = check.rawOutput;
+    metrics.checks.inc({ outcome: valid ? 'valid' : 'invalid' });
+
+    if (format === 'sarif') {
+      const workspacePrefix = `${spec.workspaceDir}/`;
+      const sarif = toSarif(diagnostics, {
+        toolVersion: options.fernCliVersion,
+        properties: { source: spec.source },
+        // Report locations against the uploaded files rather than the workspace copy
+        fileUri: file => (file.startsWith(workspacePrefix) ? file.slice(workspacePrefix.length) : file)
       });
-    } catch (checkError) {
-      logger.error('Validation errors found:', checkError.message);
-      logger.error('Stderr:', checkError.stderr);
-      logger.error('Stdout:', checkError.stdout);
-      
-      // Parse validation errors and return them
-      let validationErrors = [];
-      
-      // Extract meaningful error information from stderr or stdout
-      const errorOutput = checkError.stderr || checkError.stdout;
-      if (errorOutput) {
-        // Basic error extraction - could be enhanced with more sophisticated parsing
-        validationErrors = errorOutput
-          .split('\n')
-          .filter(line => line.trim().length > 0)
-          .map(line => line.trim());
-      }
-      
+      return res
+        .status(valid ? 200 : 400)
+        .type('application/sarif+json')
+        .send(JSON.stringify(sarif, null, 2));
+    }
+
+    if (!valid) {
       throw new ValidationError('OpenAPI specification has validation errors', {
-        errors: validationErrors,
-        details: {
-          stderr: checkError.stderr,
-          stdout: checkError.stdout
-        }
+        source: spec.source,
+        summary,
+        diagnostics,
+        lint: lintReport(lint, { withDiagnostics: false }),
+        normalization: spec.normalization,
+        details: rawOutput
       });
     }
+
+    log.info('Validation passed, no errors found', summary);
+    res.json({ 
+      valid: true,
+      message: 'OpenAPI specification is valid',
+      fernDir: fernDir,
+      source: spec.source,
+      summary,
+      diagnostics,
+      lint: lintReport(lint, { withDiagnostics: false }),
+      normalization: spec.normalization
+    });
   } catch (error) {
+    // Failed checks were counted above; anything else ended without a result
+    if (!(error instanceof ValidationError && error.details && error.details.diagnostics)) {
+      metrics.checks.inc({ outcome: checkErrorOutcome(error) });
+    }
     if (error instanceof ValidationError) {
       return res.status(400).json({
         error: error.message,
         details: error.details
       });
     }
-    logger.error('Error validating OpenAPI spec:', error);
+    if (error instanceof CancelledError) {
+      log.warn('Client disconnected, fern check cancelled');
+      return;
+    }
+    if (error instanceof ResourceLimitError) {
+      return res.status(422).json({
+        error: error.message,
+        details: { limit: error.limit, value: error.value, stdout: error.stdout, stderr: error.stderr }
+      });
+    }
+    if (error instanceof ProcessTimeoutError) {
+      log.error('Fern check timed out', { timeoutMs: config.commandTimeoutMs });
+      return res.status(504).json({
+        error: error.message,
+        details: { stdout: error.stdout, stderr: error.stderr, signal: error.signal }
+      });
+    }
+    log.error('Error validating OpenAPI spec', { error: error.message, stack: error.stack });
     res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    await cleanupWorkDir(workDir, log);
   }
-});
+}));
 
-// SDK Generation endpoint
-app.post('/generate', checkApiKey, async (req, res) => {
-  logger.info('Received SDK generation request');
+// The spec fields for one side of a diff: a `base`/`revision` upload, a
+// `baseUrl`/`revisionUrl`, or a git repository at `baseRef`/`revisionRef`.
+// `gitRepo` and `path` apply to both sides unless set per side.
+function getDiffInput(req, side) {
+  const files = req.files || {};
+  const field = (name) => req.body[`${side}${name}`];
+  const upload = files[side];
+  const specUrl = field('Url');
+  return {
+    upload,
+    specUrl,
+    gitRepo: field('GitRepo') || (!upload && !specUrl ? req.body.gitRepo : undefined),
+    ref: field('Ref'),
+    path: field('Path') || req.body.path
+  };
+}
+
+app.post('/diff', checkApiKey, requireScope('check'), requireCapacity, parseUploads, validateRequest, asyncRoute(async (req, res) => {
+  req.log.info('Received spec diff request');
+
+  const workDir = await janitor.createWorkDir('diff');
+  const log = req.log.child({ workDir });
 
-  const options = req.body.options ? JSON.parse(req.body.options) : { language: 'typescript', packageName: 'api-client' };
-  // Use isCheckOnly flag
-  options.isCheckOnly = false;
-  
   try {
-    
-    // Create a unique working directory
-    const workDir = path.join(config.tempDir, `fern-${Date.now()}`);
-    logger.info('Creating work directory', { workDir });
-    fs.ensureDirSync(workDir);
-    
-    try {
-      
-      // Use common setup function with generation options
-      logger.info('Setting up Fern project (version: '+config.fernCliVersion+')');
-      const fernDir = await setupFernProject(req, workDir, options);
-      
-      // Generate SDK with better error handling
-      logger.info(`Generating ${options.language} SDK...`);
-      try {
-        // Log the working directory structure before generation
-        logger.info('Working directory structure before generation:', {
-          workDir,
-          contents: fs.readdirSync(workDir)
+    const sides = {};
+    for (const side of ['base', 'revision']) {
+      const input = getDiffInput(req, side);
+      if (!input.upload && !input.specUrl && !input.gitRepo) {
+        throw new ValidationError(`No ${side} spec provided: upload '${side}' or set '${side}Url' or '${side}GitRepo'`, {
+          field: side
         });
-
-        // Use --local flag for local generation in Docker
-        logger.info('Running Fern generate command...');
-        const genOutput = execSync('fern generate --local --group ' + options.language, { 
-          cwd: workDir, 
-          stdio: 'pipe',
-          encoding: 'utf8'
-        });
-        
-        // Log the full Fern output
-        logger.info('Fern generate command output:', {
-          output: genOutput,
-          workDir
+      }
+      const sideDir = path.join(workDir, side);
+      const spec = await saveSpecFile(input, sideDir, { specPath: req.body[`${side}SpecPath`] }, { log });
+      if (spec.specKey !== 'openapi') {
+        throw new ValidationError(`The ${side} spec is ${spec.type}, diff supports OpenAPI and Swagger specs`, {
+          field: side
         });
+      }
+      sides[side] = {
+        spec: { type: spec.type, mainFile: spec.mainFile, source: spec.source },
+        document: loadSpecDocument(path.join(sideDir, SPEC_DIR), spec.mainFile)
+      };
+    }
 
-        // Log directory structure after generation
-        logger.info('Directory structure AFTER generation:\n' + listDirectoryRecursive(workDir));
+    const diff = diffSpecs(sides.base.document, sides.revision.document);
+    log.info('Spec diff complete', { summary: diff.summary, suggestedBump: diff.suggestedBump });
+    res.json({
+      base: sides.base.spec,
+      revision: sides.revision.spec,
+      ...diff
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    log.error('Error in diff endpoint', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Internal server error',
+      details: DEBUG ? { message: error.message, stack: error.stack } : undefined
+    });
+  } finally {
+    await cleanupWorkDir(workDir, log);
+  }
+}));
 
-        // Verify the generated directory exists and log its contents
-        const generatedDir = path.join(workDir, 'generated');
-        if (!fs.existsSync(generatedDir)) {
-          logger.error('Generated directory not found after Fern generation', {
-            workDir,
-            contents: fs.readdirSync(workDir)
-          });
-          throw new Error('Generated directory was not created by Fern');
-        }
+// Bundle, convert and fix a spec without generating anything. Responds with
+// the normalized spec and the change log, or with the spec file itself when
+// `download` is set.
+app.post('/normalize', checkApiKey, requireScope('check'), requireCapacity, parseUploads, validateRequest, asyncRoute(async (req, res) => {
+  req.log.info('Received spec normalization request');
 
-        // Log the contents of the generated directory
-        const generatedContents = fs.readdirSync(generatedDir);
-        logger.info('Generated directory contents:', {
-          generatedDir,
-          contents: generatedContents,
-          fileCount: generatedContents.length
-        });
+  const workDir = await janitor.createWorkDir('normalize');
+  const log = req.log.child({ workDir });
 
-        logger.info('Generated directory verified', { generatedDir });
-      } catch (genError) {
-        logger.error('Error generating SDK:', {
-          error: genError.message,
-          stderr: genError.stderr,
-          stdout: genError.stdout,
-          code: genError.code,
-          signal: genError.signal,
-          workDir,
-          workDirContents: fs.existsSync(workDir) ? fs.readdirSync(workDir) : 'Directory not found'
-        });
-        return res.status(500).json({ 
-          error: `SDK generation failed: ${genError.message}`,
-          details: {
-            stderr: genError.stderr,
-            stdout: genError.stdout,
-            code: genError.code
-          }
-        });
+  try {
+    const format = validateNormalizeFormat(req.query.format || req.body.format);
+    const spec = await saveSpecFile(getSpecInput(req), workDir, { specPath: req.body.specPath }, { log });
+    const { document, changes, warnings } = normalizeSpec(path.join(workDir, SPEC_DIR), spec);
+    const summary = summarizeChanges(changes);
+    const fileName = normalizedFileName(spec.mainFile, format);
+    const content = serializeSpec(document, format);
+    log.info('Spec normalized', { changes: summary, warnings: warnings.length });
+
+    if (String(req.query.download || req.body.download) === 'true') {
+      return res
+        .type(format === 'json' ? 'application/json' : 'application/yaml')
+        .set('Content-Disposition', `attachment; filename=${fileName.replace(/[^\w.-]+/g, '_')}`)
+        .set('X-Normalization-Summary', JSON.stringify(summary))
+        .send(content);
+    }
+    res.json({
+      source: spec.source,
+      fileName,
+      format,
+      openapi: document.openapi,
+      summary,
+      changes,
+      warnings,
+      spec: content
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    log.error('Error in normalize endpoint', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Internal server error',
+      details: DEBUG ? { message: error.message, stack: error.stack } : undefined
+    });
+  } finally {
+    await cleanupWorkDir(workDir, log);
+  }
+}));
+
+// Run a single language group against the shared Fern project. Failures are
+// captured in the returned result so other languages can still be delivered;
+// only cancellation aborts the whole run. CLI output is forwarded line by line
+// to `onEvent` as it is produced.
+async function runLanguageGenerator(workDir, language, fernBin, { signal, onEvent = () => {}, log = logger } = {}) {
+  const startedAt = Date.now();
+  const outputDir = path.join(workDir, 'fern', GENERATORS[language].outputPath);
+  log.info(`Generating ${language} SDK...`);
+  onEvent('phase', { phase: 'generate', language });
+
+  try {
+    // Use --local flag for local generation in Docker
+    const { stdout, stderr, truncated } = await sandbox.run(fernBin, ['generate', '--local', '--group', language], {
+      workDir,
+      timeoutMs: config.commandTimeoutMs,
+      maxOutputBytes: config.maxProcessOutputBytes,
+      signal,
+      onLine: (stream, line) => onEvent('log', { language, stream, line })
+    });
+
+    log.debug('Fern generate command output', { language, output: stdout });
+
+    if (!fs.existsSync(outputDir) || fs.readdirSync(outputDir).length === 0) {
+      throw new Error(`No files were generated for ${language}`);
+    }
+
+    const contents = fs.readdirSync(outputDir);
+    log.info('Generated directory contents', {
+      outputDir,
+      contents,
+      fileCount: contents.length
+    });
+
+    return {
+      language,
+      status: 'succeeded',
+      durationMs: Date.now() - startedAt,
+      fileCount: contents.length,
+      stdout,
+      stderr,
+      truncated
+    };
+  } catch (genError) {
+    if (genError instanceof CancelledError) {
+      throw genError;
+    }
+    log.error('Error generating SDK', {
+      language,
+      error: genError.message,
+      stderr: genError.stderr,
+      stdout: genError.stdout,
+      exitCode: genError.exitCode,
+      signal: genError.signal
+    });
+    return {
+      language,
+      status: 'failed',
+      durationMs: Date.now() - startedAt,
+      error: genError.message,
+      timedOut: genError instanceof ProcessTimeoutError,
+      limitExceeded: genError instanceof ResourceLimitError ? genError.limit : undefined,
+      exitCode: genError.exitCode,
+      signal: genError.signal,
+      stdout: genError.stdout,
+      stderr: genError.stderr,
+      truncated: genError.truncated
+    };
+  }
+}
+
+function generationOutcome(result) {
+  if (result.timedOut) {
+    return 'timeout';
+  }
+  return result.limitExceeded ? `${result.limitExceeded}_limit` : result.status;
+}
+
+// Run the Fern generator for every requested language in a prepared workspace,
+// verify and publish the output when requested, and package it. Shared by the synchronous /generate endpoint and the
+// job queue. Succeeds when at least one language was generated. Aborting
+// `signal` kills the running generator and rejects with CancelledError.
+// Progress is reported through `onEvent(type, data)`; `source` describes where
+// the spec came from and is recorded in the archive summary.
+async function generateSdk(workDir, options, { signal, onEvent = () => {}, source, log = logger } = {}) {
+  const { languages } = options;
+
+  log.debug('Working directory before generation', { contents: fs.readdirSync(workDir) });
+
+  const fernBin = await fernCli.ensureInstalled(options.fernCliVersion);
+  const results = [];
+  for (const language of languages) {
+    const result = await runLanguageGenerator(workDir, language, fernBin, { signal, onEvent, log });
+    metrics.cliDuration.observe({ command: 'generate', language }, result.durationMs / 1000);
+    metrics.generations.inc({ language, outcome: generationOutcome(result) });
+    onEvent('result', { language, status: result.status, error: result.error });
+    results.push(result);
+  }
+
+  if (log.isLevelEnabled('debug')) {
+    log.debug('Directory structure after generation', { tree: listDirectoryRecursive(workDir) });
+  }
+
+  if (!results.some(result => result.status === 'succeeded')) {
+    throw new GenerationError('SDK generation failed for all requested languages', { results });
+  }
+  
+  log.info('SDK generation completed', {
+    results: results.map(({ language, status }) => ({ language, status }))
+  });
+
+  // Build (and test) the output before anything is published or delivered
+  if (options.verify) {
+    for (const result of results.filter(item => item.status === 'succeeded')) {
+      onEvent('phase', { phase: 'verify', language: result.language });
+      result.verification = await verifyOutput(
+        result.language,
+        path.join(workDir, 'fern', GENERATORS[result.language].outputPath),
+        {
+          scratchDir: path.join(workDir, 'verify', result.language),
+          sandbox,
+          includeTests: options.includeTests,
+          runOptions: {
+            timeoutMs: config.commandTimeoutMs,
+            maxOutputBytes: config.maxProcessOutputBytes,
+            signal,
+            onLine: (stream, line) => onEvent('log', { language: result.language, stream, line })
+          },
+          logger: log
+        }
+      );
+      onEvent('verification', { language: result.language, status: result.verification.status });
+    }
+    const unverified = results.filter(result => result.verification && result.verification.status === 'failed');
+    if (unverified.length > 0) {
+      throw new GenerationError(
+        `SDK verification failed for ${unverified.map(result => result.language).join(', ')}`,
+        { results }
+      );
+    }
+  }
+
+  // Publish languages that generated successfully and have a publish target
+  for (const result of results) {
+    const target = options.publish && options.publish[result.language];
+    if (result.status !== 'succeeded' || !target) {
+      continue;
+    }
+    onEvent('phase', { phase: 'publish', language: result.language });
+    result.publish = await publishOutput(
+      result.language,
+      path.join(workDir, 'fern', GENERATORS[result.language].outputPath),
+      target,
+      {
+        scratchDir: path.join(workDir, 'publish', result.language),
+        sandbox: publishSandbox,
+        runOptions: { timeoutMs: config.commandTimeoutMs, maxOutputBytes: config.maxProcessOutputBytes, signal },
+        logger: log
       }
+    );
+    onEvent('publish', { language: result.language, ...result.publish });
+  }
+  
+  // Package the output with a folder per language, the manifest and the run summary
+  const artifactPath = path.join(workDir, `sdk.${OUTPUT_FORMATS[options.output.format].extension}`);
+  const summary = results.map(({
+    language, status, durationMs, fileCount, error, exitCode, timedOut, limitExceeded, verification, publish
+  }) => ({
+    language, status, durationMs, fileCount, error, exitCode, timedOut, limitExceeded, verification, publish
+  }));
+  log.info('Packaging SDK', { artifactPath, output: options.output });
+  onEvent('phase', { phase: 'archive' });
+  try {
+    const { bytes, fileCount } = await packageOutput(path.join(workDir, 'fern'), artifactPath, {
+      output: options.output,
+      languages,
+      manifest: buildManifest(options, source),
+      extraFiles: { 'summary.json': JSON.stringify({ source, results: summary }, null, 2) }
+    });
+    log.info('Packaged SDK', { artifactPath, bytes, fileCount });
+    metrics.archiveSize.observe(bytes);
+  } catch (archiveError) {
+    log.error('Error packaging SDK', {
+      error: archiveError.message,
+      stack: archiveError.stack
+    });
+    throw new GenerationError(`Failed to package SDK: ${archiveError.message}`, DEBUG ? {
+      stack: archiveError.stack
+    } : undefined);
+  }
+
+  return { artifactPath, results };
+}
+
+// What an archive was generated from; packageOutput adds the file checksums
+function buildManifest(options, source) {
+  return {
+    createdAt: new Date().toISOString(),
+    spec: source,
+    fernCliVersion: options.fernCliVersion,
+    generators: options.languages.map(language => ({
+      language,
+      name: GENERATORS[language].name,
+      version: GENERATORS[language].version
+    })),
+    options: {
+      packageName: options.packageName,
+      includeExamples: options.includeExamples,
+      includeTests: options.includeTests,
+      verify: options.verify,
+      normalize: options.normalize,
+      config: options.config,
+      specPath: options.specPath,
+      output: options.output
+    }
+  };
+}
+
+// File name for a downloaded SDK archive, safe to use in a header
+function getArchiveFileName(options) {
+  const packageName = options.packageName.replace(/[^\w.-]+/g, '_');
+  return `${packageName}-${options.languages.join('-')}-sdk.${OUTPUT_FORMATS[options.output.format].extension}`;
+}
+
+// SDK Generation endpoint
+// Cache key for a saved spec: its content, the overrides and the options
+function getCacheKey(workDir, spec, options) {
+  const overridesDir = path.join(workDir, OVERRIDES_DIR);
+  return ArtifactCache.computeKey({
+    spec: spec.source.sha256,
+    overrides: fs.existsSync(overridesDir) ? hashSpecFiles(overridesDir) : null
+  }, options);
+}
+
+// Whether the client already holds the archive for `etag`. The ETag is derived
+// from the inputs, so this holds even if the entry was evicted since.
+function isNotModified(req, etag) {
+  const header = req.headers['if-none-match'];
+  if (!header) {
+    return false;
+  }
+  return header.trim() === '*' || header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+// Per-language outcome kept with cached archives and in the generation
+// history, without the Fern output
+function summarizeResults(results) {
+  return results.map(({ language, status, durationMs, fileCount, error, verification, publish }) => ({
+    language, status, durationMs, fileCount, error, verification, publish
+  }));
+}
+
+// Overall outcome of a generation that produced an archive
+function generationStatus(results) {
+  if (results.every(result => result.status === 'succeeded')) {
+    return 'succeeded';
+  }
+  return results.some(result => result.status === 'succeeded') ? 'partial' : 'failed';
+}
+
+// Generation records being written, which shutdown waits for
+const pendingRecords = new Set();
+
+// Store a finished generation, and its archive when there is one, in the
+// history. Storage failures are logged rather than failing the generation.
+// Callers need not wait: the record is tracked until it is written.
+function recordGeneration(id, fields, log = logger) {
+  const recording = storeGenerationRecord(id, fields, log);
+  pendingRecords.add(recording);
+  recording.finally(() => pendingRecords.delete(recording));
+  return recording;
+}
+
+async function storeGenerationRecord(id, {
+  keyId, requestId, jobId = null, options, source, createdAt, startedAt = createdAt, status,
+  cached = false, results = null, error = null, artifactPath = null
+}, log = logger) {
+  if (!history) {
+    return null;
+  }
+  const finishedAt = new Date().toISOString();
+  const { spec, fernCliVersion, generators, options: recordedOptions } = buildManifest(options, source);
+  try {
+    const record = await history.add({
+      id,
+      keyId,
+      requestId,
+      jobId,
+      status,
+      cached,
+      createdAt,
+      finishedAt,
+      durationMs: startedAt ? Date.parse(finishedAt) - Date.parse(startedAt) : null,
+      spec,
+      fernCliVersion,
+      generators,
+      options: { languages: options.languages, ...recordedOptions },
+      results: results && summarizeResults(results),
+      error: error && error.message,
+      fileName: getArchiveFileName(options)
+    }, {
+      artifactPath,
+      extension: OUTPUT_FORMATS[options.output.format].extension,
+      contentType: OUTPUT_FORMATS[options.output.format].contentType
+    });
+    log.info('Generation recorded', { generationId: id, status, artifact: Boolean(record.artifact) });
+    return record;
+  } catch (recordError) {
+    log.error('Failed to record generation', { generationId: id, error: recordError.message });
+    return null;
+  }
+}
+
+// A read stream of an already opened file, so removing the file afterwards,
+// e.g. by cache eviction, does not affect it. Null when the file is gone.
+function openFileStream(filePath) {
+  try {
+    return fs.createReadStream(filePath, { fd: fs.openSync(filePath, 'r') });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Send an archive as the response body. A read error or a disconnected client
+// ends the response and is logged, rather than becoming an uncaught error.
+function streamArchive(res, stream, log, done = () => {}) {
+  pipeline(stream, res, (error) => {
+    if (error) {
+      log.warn('Archive not fully sent', { error: error.message });
+    }
+    done();
+  });
+}
+
+// Store an archive in which every language succeeded; partial results are
+// not cached so a failing generator is retried on the next request. Published
+// archives carry the published version and are not cached either.
+async function cacheArtifact(cacheKey, artifactPath, results, log = logger) {
+  if (!results.every(result => result.status === 'succeeded' && !result.publish)) {
+    return false;
+  }
+  try {
+    return (await artifactCache.put(cacheKey, artifactPath, {
+      results: summarizeResults(results),
+      createdAt: new Date().toISOString()
+    })) !== null;
+  } catch (error) {
+    log.warn('Failed to cache artifact', { cacheKey, error: error.message });
+    return false;
+  }
+}
+
+function setArchiveHeaders(res, options, results, source) {
+  res.setHeader('Content-Type', OUTPUT_FORMATS[options.output.format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=${getArchiveFileName(options)}`);
+  res.setHeader('X-Generation-Summary', JSON.stringify(
+    results.map(({ language, status, verification }) => ({
+      language,
+      status,
+      verification: verification ? verification.status : undefined
+    }))
+  ));
+  const published = results.filter(result => result.publish);
+  if (published.length > 0) {
+    res.setHeader('X-Publish-Results', JSON.stringify(published.map(({ language, publish }) => ({
+      language,
+      target: publish.target,
+      status: publish.status,
+      registryUrl: publish.registryUrl,
+      version: publish.version,
+      error: publish.error
+    }))));
+  }
+  res.setHeader('X-Spec-Source', JSON.stringify(source));
+}
+
+app.post('/generate', checkApiKey, requireScope('generate'), requireCapacity, parseUploads, validateRequest, asyncRoute(async (req, res) => {
+  req.log.info('Received SDK generation request');
+
+  let options;
+  let callbackUrl;
+  try {
+    options = getRequestOptions(req);
+    callbackUrl = getCallbackUrl(req);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    throw error;
+  }
+  if (!authorizeGeneration(req, res, options)) {
+    return;
+  }
+  // Use isCheckOnly flag
+  options.isCheckOnly = false;
+
+  // With a callback the generation runs as a job; the callback links the artifact
+  if (callbackUrl) {
+    return enqueueJob(req, res, options, { kind: 'generate', callbackUrl });
+  }
+
+  // Runs that get past spec validation are recorded in the generation history
+  const generationId = GenerationHistory.createId();
+  const createdAt = new Date().toISOString();
+  const record = (outcome, log) => recordGeneration(generationId, {
+    keyId: req.apiKey.id,
+    requestId: req.id,
+    options,
+    createdAt,
+    ...outcome
+  }, log);
+  
+  try {
+    
+    // Create a unique working directory
+    const workDir = await janitor.createWorkDir('generate');
+    const log = req.log.child({ workDir });
+    log.info('Created work directory');
+    let spec;
+    
+    try {
       
-      logger.info('SDK generation completed');
-      
-      // Create ZIP archive
-      const zipPath = path.join(workDir, 'sdk.zip');
-      logger.info('Creating ZIP archive', { zipPath });
-      try {
-        await createZipArchive(workDir, zipPath);
-        logger.info(`Created ZIP archive at ${zipPath}`);
-      } catch (zipError) {
-        logger.error('Error creating ZIP archive:', {
-          error: zipError.message,
-          stack: zipError.stack
-        });
-        return res.status(500).json({ 
-          error: `Failed to create ZIP archive: ${zipError.message}`,
-          details: DEBUG ? {
-            stack: zipError.stack
-          } : undefined
-        });
+      // Use common setup function with generation options
+      log.info('Setting up Fern project', { version: options.fernCliVersion });
+      spec = await saveSpecFile(getSpecInput(req), workDir, options, { log });
+      const lint = await lintRequest(req, workDir, spec, options, { log });
+      if (lint && lint.blocked) {
+        log.info('Generation blocked by lint errors', lint.summary);
+        await cleanupWorkDir(workDir, log);
+        return rejectLintErrors(res, lint);
       }
+      if (lint) {
+        res.setHeader('X-Lint-Summary', JSON.stringify(lint.summary));
+      }
+      if (spec.normalization) {
+        res.setHeader('X-Normalization-Summary', JSON.stringify(spec.normalization.summary));
+      }
+
+      const cacheKey = getCacheKey(workDir, spec, options);
+      const etag = `"${cacheKey}"`;
+      if (!isPublishing(options) && isNotModified(req, etag)) {
+        log.info('Client has the current artifact', { cacheKey });
+        await cleanupWorkDir(workDir, log);
+        return res.status(304).set('ETag', etag).end();
+      }
+      const cached = getCachedArtifact(cacheKey, options);
+      // Opened right away, so eviction while the request goes on cannot take it
+      const cachedStream = cached && openFileStream(cached.path);
+      if (cachedStream) {
+        log.info('Serving cached artifact', { cacheKey });
+        options.languages.forEach(language => metrics.generations.inc({ language, outcome: 'cached' }));
+        await cleanupWorkDir(workDir, log);
+        // The cached file is only read, so the response need not wait
+        record({
+          source: spec.source,
+          status: 'succeeded',
+          cached: true,
+          results: cached.metadata.results,
+          artifactPath: cached.path
+        }, log);
+        if (history) {
+          res.setHeader('X-Generation-Id', generationId);
+        }
+        setArchiveHeaders(res, options, cached.metadata.results, spec.source);
+        res.setHeader('ETag', etag);
+        res.setHeader('X-Cache', 'HIT');
+        return streamArchive(res, cachedStream, log);
+      }
+
+      if (!takeGenerationQuota(req, res)) {
+        await cleanupWorkDir(workDir, log);
+        return;
+      }
+      await setupFernProject(workDir, options, { log });
       
-      // Send the ZIP file as a response
-      res.setHeader('Content-Type', 'application/zip');
-      res.setHeader('Content-Disposition', `attachment; filename=${options.packageName}-${options.language}-sdk.zip`);
-      
+      let artifactPath;
+      let results;
       try {
-        fs.createReadStream(zipPath).pipe(res);
-      } catch (streamError) {
-        logger.error('Error streaming ZIP file:', {
-          error: streamError.message,
-          stack: streamError.stack
-        });
+        ({ artifactPath, results } = await generateSdk(workDir, options, {
+          signal: abortOnDisconnect(res),
+          source: spec.source,
+          log
+        }));
+      } catch (genError) {
+        if (genError instanceof CancelledError) {
+          log.warn('Client disconnected, SDK generation cancelled');
+          await record({ source: spec.source, status: 'cancelled', error: genError }, log);
+          await cleanupWorkDir(workDir, log);
+          return;
+        }
+        if (!(genError instanceof GenerationError)) {
+          throw genError;
+        }
+        await record({
+          source: spec.source,
+          status: 'failed',
+          results: genError.details && genError.details.results,
+          error: genError
+        }, log);
+        await cleanupWorkDir(workDir, log);
+        if (history) {
+          res.setHeader('X-Generation-Id', generationId);
+        }
         return res.status(500).json({ 
-          error: `Failed to stream ZIP file: ${streamError.message}`
+          error: genError.message,
+          details: genError.details
         });
       }
       
-      // Schedule cleanup after response is sent
-      res.on('finish', async () => {
+      // Send the archive as a response. The archive is recorded while it
+      // streams; the work directory is removed once both are done.
+      const recorded = record({
+        source: spec.source,
+        status: generationStatus(results),
+        results,
+        artifactPath
+      }, log);
+      if (history) {
+        res.setHeader('X-Generation-Id', generationId);
+      }
+      setArchiveHeaders(res, options, results, spec.source);
+      if (await cacheArtifact(cacheKey, artifactPath, results, log)) {
+        res.setHeader('ETag', etag);
+      }
+      res.setHeader('X-Cache', 'MISS');
+
+      // Clean up once the response is sent or has failed
+      streamArchive(res, fs.createReadStream(artifactPath), log, async () => {
         try {
-          await cleanupWorkDir(workDir);
+          await recorded;
+          await cleanupWorkDir(workDir, log);
         } catch (cleanupErr) {
-          logger.error('Error during cleanup:', {
+          log.error('Error during cleanup', {
             error: cleanupErr.message,
             stack: cleanupErr.stack
           });
@@ -537,16 +1703,23 @@ app.post('/generate', checkApiKey, async (req, res) => {
       });
     } catch (error) {
       // Clean up on error
-      logger.error('Error in generate endpoint:', {
+      log.error('Error in generate endpoint', {
         error: error.message,
-        stack: error.stack,
-        workDir
+        stack: error.stack
       });
-      await cleanupWorkDir(workDir);
+      // Rejected specs never ran; anything else failed the run
+      if (spec && !(error instanceof ValidationError)) {
+        await record({ source: spec.source, status: 'failed', error }, log);
+      }
+      await cleanupWorkDir(workDir, log);
       throw error;
     }
   } catch (error) {
-    logger.error('Unhandled error in generate endpoint:', {
+    // Rejected specs and lint configuration
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    req.log.error('Unhandled error in generate endpoint', {
       error: error.message,
       stack: error.stack
     });
@@ -558,89 +1731,737 @@ app.post('/generate', checkApiKey, async (req, res) => {
       } : undefined
     });
   }
+}));
+
+// Job queue for asynchronous generation. Finished jobs keep their work
+// directory (and archive) until the retention period expires, also across
+// restarts: the janitor leaves the directories of restored jobs alone.
+const jobQueue = new JobQueue({
+  concurrency: config.maxConcurrentJobs,
+  retentionMs: config.jobRetentionMs,
+  stateFile: config.jobsFile,
+  logger,
+  handler: async (job, signal, emit) => {
+    const { kind, workDir, options, source, cacheKey, requestId } = job.payload;
+    const log = logger.child({ requestId, jobId: job.id, workDir });
+    // A job queued before a restart needs the spec saved in its workspace
+    if (!(await fs.pathExists(workDir))) {
+      throw new Error('Work directory no longer exists');
+    }
+    if (kind === 'check') {
+      return runCheckJob(job, signal, emit, log);
+    }
+    const cached = getCachedArtifact(cacheKey, options);
+    if (cached) {
+      // Copied so that eviction cannot remove the artifact of a finished job
+      const artifactPath = path.join(workDir, `sdk.${OUTPUT_FORMATS[options.output.format].extension}`);
+      await fs.copy(cached.path, artifactPath);
+      emit('phase', { phase: 'cached' });
+      options.languages.forEach(language => metrics.generations.inc({ language, outcome: 'cached' }));
+      return { artifactPath, results: cached.metadata.results, cached: true };
+    }
+    await setupFernProject(workDir, options, { onEvent: emit, log });
+    const { artifactPath, results } = await generateSdk(workDir, options, { signal, onEvent: emit, source, log });
+    await cacheArtifact(cacheKey, artifactPath, results, log);
+    return { artifactPath, results };
+  },
+  onExpire: (job) => cleanupWorkDir(job.payload.workDir),
+  onRestore: (job) => janitor.retain(job.payload.workDir)
 });
 
-// Function to create a ZIP archive of the generated SDK
-async function createZipArchive(sourceDir, outputPath) {
-  return new Promise((resolve, reject) => {
-    const output = fs.createWriteStream(outputPath);
-    const archive = archiver('zip', {
-      zlib: { level: 9 } // Maximum compression
-    });
-    
-    output.on('close', () => {
-      const size = archive.pointer();
-      if (size === 0) {
-        reject(new Error('No files were generated to archive'));
-        return;
-      }
-      logger.info(`Archive created: ${size} bytes`);
-      resolve();
-    });
-    
-    archive.on('error', (err) => {
-      reject(err);
-    });
-    
-    archive.pipe(output);
-    
-    // Add the generated directory to the archive
-    const generatedDir = path.join(sourceDir, 'generated');
-    if (fs.existsSync(generatedDir)) {
-      // Check if the directory is empty
-      const files = fs.readdirSync(generatedDir);
-      if (files.length === 0) {
-        reject(new Error('Generated directory is empty'));
-        return;
+// A check job's report is the JSON /check would respond with. The workspace
+// is only needed while the check runs.
+async function runCheckJob(job, signal, emit, log) {
+  const { workDir, options, lint } = job.payload;
+  try {
+    const fernDir = await setupFernProject(workDir, options, { onEvent: emit, log });
+    emit('phase', { phase: 'check' });
+    const check = await runFernCheck(workDir, fernDir, options, { signal, log });
+    const { valid, diagnostics, summary } = withLintFindings(check, lint);
+    metrics.checks.inc({ outcome: valid ? 'valid' : 'invalid' });
+    return { report: { valid, summary, diagnostics } };
+  } catch (error) {
+    metrics.checks.inc({ outcome: checkErrorOutcome(error) });
+    throw error;
+  } finally {
+    await cleanupWorkDir(workDir, log);
+  }
+}
+
+// Record finished generation jobs in the history. The job keeps its archive
+// until it expires, long after the record is written.
+jobQueue.on('event', (job, event) => {
+  if (event.type !== 'done' || !job.payload.generationId) {
+    return;
+  }
+  const { generationId, keyId, requestId, options, source } = job.payload;
+  recordGeneration(generationId, {
+    keyId,
+    requestId,
+    jobId: job.id,
+    options,
+    source,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    status: job.status === 'succeeded' ? generationStatus(job.results) : job.status,
+    cached: job.cached,
+    results: job.results,
+    error: job.error,
+    artifactPath: job.status === 'succeeded' ? job.artifactPath : null
+  }, logger.child({ requestId, jobId: job.id }));
+});
+
+// POST the outcome of a finished job to its callback URL
+jobQueue.on('event', (job, event) => {
+  if (event.type !== 'done' || !job.payload.callbackUrl) {
+    return;
+  }
+  const kind = job.payload.kind;
+  const delivery = webhooks.deliver({
+    url: job.payload.callbackUrl,
+    event: kind === 'check' ? 'check.completed' : 'generation.completed',
+    payload: buildCallbackPayload(job),
+    keyId: job.payload.keyId,
+    jobId: job.id
+  });
+  logger.info('Webhook queued', { requestId: job.payload.requestId, jobId: job.id, deliveryId: delivery.id });
+});
+
+// Callback body: the job outcome, its diagnostics (the check report or the
+// per-language results and error), an absolute artifact link and timings
+function buildCallbackPayload(job) {
+  const { kind, options, source, requestId, baseUrl } = job.payload;
+  const serialized = serializeJob(job);
+  const durationMs = (from, to) => (from && to ? Date.parse(to) - Date.parse(from) : null);
+  const payload = {
+    event: kind === 'check' ? 'check.completed' : 'generation.completed',
+    jobId: job.id,
+    requestId,
+    status: job.status,
+    source,
+    fernCliVersion: options.fernCliVersion,
+    timings: {
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      queuedMs: durationMs(job.createdAt, job.startedAt),
+      durationMs: durationMs(job.startedAt, job.finishedAt)
+    },
+    error: job.error,
+    lint: serialized.lint
+  };
+  if (kind === 'check') {
+    return { ...payload, report: job.report };
+  }
+  return {
+    ...payload,
+    languages: options.languages,
+    results: job.results,
+    artifactUrl: serialized.artifactUrl ? `${config.publicUrl || baseUrl}${serialized.artifactUrl}` : null
+  };
+}
+
+// Public view of a job; internal paths are never exposed
+// Jobs are only visible to the key that created them, and to admins. Creating
+// a job took the scope it needs, so the job routes check ownership only.
+function getOwnJob(req) {
+  const job = jobQueue.get(req.params.id);
+  if (!job || (job.payload.keyId !== req.apiKey.id && !ApiKeyStore.hasScope(req.apiKey, 'admin'))) {
+    return null;
+  }
+  return job;
+}
+
+function serializeJob(job) {
+  return {
+    id: job.id,
+    kind: job.payload.kind,
+    status: job.status,
+    languages: job.payload.options.languages,
+    packageName: job.payload.options.packageName,
+    source: job.payload.source,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    output: job.output,
+    results: job.results,
+    report: job.report,
+    // Check reports include the lint findings with the Fern diagnostics
+    lint: lintReport(job.payload.lint, { withDiagnostics: job.payload.kind !== 'check' }),
+    normalization: job.payload.normalization || null,
+    cached: job.cached,
+    generationId: job.payload.generationId || null,
+    error: job.error,
+    callbackUrl: job.payload.callbackUrl || null,
+    artifactUrl: job.status === 'succeeded' && job.artifactPath ? `/jobs/${job.id}/artifact` : null
+  };
+}
+
+// Save and lint the request's spec and queue a 'generate' or 'check' job on
+// it. Responds 202 with the job, or with the error when the spec is rejected.
+// Lint errors reject a generation right away; a check job reports them.
+async function enqueueJob(req, res, options, { kind, callbackUrl = null }) {
+  const workDir = await janitor.createWorkDir('job');
+  const log = req.log.child({ workDir });
+
+  let spec;
+  let lint;
+  try {
+    spec = await saveSpecFile(getSpecInput(req), workDir, options, { log });
+    lint = await lintRequest(req, workDir, spec, options, { log });
+  } catch (error) {
+    await cleanupWorkDir(workDir, log);
+    if (error instanceof ValidationError) {
+      if (kind === 'check') {
+        metrics.checks.inc({ outcome: 'rejected' });
       }
-      logger.info('Adding files to archive', { 
-        directory: generatedDir,
-        fileCount: files.length
-      });
-      archive.directory(generatedDir, 'generated');
-    } else {
-      reject(new Error('Generated directory not found'));
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    log.error('Error saving spec for job', { error: error.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+  if (kind === 'generate' && lint && lint.blocked) {
+    await cleanupWorkDir(workDir, log);
+    return rejectLintErrors(res, lint);
+  }
+  // Jobs take the quota when queued, so the client learns about it right away,
+  // unless the archive is already cached
+  const cacheKey = getCacheKey(workDir, spec, options);
+  if (kind === 'generate' && !getCachedArtifact(cacheKey, options) && !takeGenerationQuota(req, res)) {
+    await cleanupWorkDir(workDir, log);
+    return;
+  }
+
+  const job = jobQueue.enqueue({
+    kind,
+    workDir,
+    options,
+    source: spec.source,
+    lint,
+    normalization: spec.normalization,
+    generationId: kind === 'generate' && history ? GenerationHistory.createId() : null,
+    cacheKey,
+    keyId: req.apiKey.id,
+    requestId: req.id,
+    callbackUrl,
+    // Where callbacks link the artifact when PUBLIC_URL is not set
+    baseUrl: `${req.protocol}://${req.get('host')}`
+  });
+  res.status(202).location(`/jobs/${job.id}`).json(serializeJob(job));
+}
+
+// Queue an SDK generation job and return its id immediately
+app.post('/jobs', checkApiKey, requireScope('generate'), requireCapacity, parseUploads, validateRequest, asyncRoute(async (req, res) => {
+  req.log.info('Received SDK generation job request');
+
+  let options;
+  let callbackUrl;
+  try {
+    options = getRequestOptions(req);
+    callbackUrl = getCallbackUrl(req);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    throw error;
+  }
+  if (!authorizeGeneration(req, res, options)) {
+    return;
+  }
+  options.isCheckOnly = false;
+
+  await enqueueJob(req, res, options, { kind: 'generate', callbackUrl });
+}));
+
+// Job status, timestamps and captured Fern output
+app.get('/jobs/:id', checkApiKey, validateRequest, (req, res) => {
+  const job = getOwnJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(serializeJob(job));
+});
+
+// Cancel a queued or running job; a running Fern process is killed
+app.delete('/jobs/:id', checkApiKey, validateRequest, (req, res) => {
+  const job = getOwnJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.finishedAt) {
+    return res.status(409).json({ error: `Job already ${job.status}` });
+  }
+  jobQueue.cancel(job.id);
+  res.status(202).json(serializeJob(job));
+});
+
+// Stream job progress as Server-Sent Events: `status` and `phase` transitions,
+// raw Fern CLI output as `log` lines, per-language `result`s and a final `done`
+// event carrying the artifact URL or the error. Past events are replayed first,
+// starting after `Last-Event-ID` when the client reconnects.
+app.get(['/generate/:id/events', '/jobs/:id/events'], checkApiKey, validateRequest, (req, res) => {
+  const job = getOwnJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event) => {
+    const data = event.type === 'done' ? serializeJob(job) : event.data;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...data, at: event.at })}\n\n`);
+  };
+
+  const lastEventId = parseInt(req.headers['last-event-id'] || '0') || 0;
+  job.events.filter(event => event.id > lastEventId).forEach(send);
+  if (job.finishedAt) {
+    return res.end();
+  }
+
+  // Comment lines keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const onEvent = (eventJob, event) => {
+    if (eventJob !== job) {
       return;
     }
-    
-    archive.finalize();
+    send(event);
+    if (event.type === 'done') {
+      res.end();
+    }
+  };
+  jobQueue.on('event', onEvent);
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    jobQueue.off('event', onEvent);
   });
+});
+
+// Download the archive produced by a succeeded job
+app.get('/jobs/:id/artifact', checkApiKey, requireScope('generate'), validateRequest, (req, res) => {
+  const job = getOwnJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status !== 'succeeded') {
+    return res.status(409).json({ error: `Artifact not available, job is ${job.status}` });
+  }
+  if (!fs.existsSync(job.artifactPath)) {
+    return res.status(410).json({ error: 'Artifact no longer available' });
+  }
+
+  // Only fully successful jobs are cached and so carry a stable ETag
+  const etag = job.results.every(result => result.status === 'succeeded') ? `"${job.payload.cacheKey}"` : null;
+  if (etag && isNotModified(req, etag)) {
+    return res.status(304).set('ETag', etag).end();
+  }
+  res.setHeader('Content-Type', OUTPUT_FORMATS[job.payload.options.output.format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=${getArchiveFileName(job.payload.options)}`);
+  if (etag) {
+    res.setHeader('ETag', etag);
+  }
+  streamArchive(res, fs.createReadStream(job.artifactPath), req.log);
+});
+
+// Generation records are only visible to the key that ran them, and to admins
+function getOwnGeneration(req) {
+  const record = history.get(req.params.id);
+  if (!record || (record.keyId !== req.apiKey.id && !ApiKeyStore.hasScope(req.apiKey, 'admin'))) {
+    return null;
+  }
+  return record;
+}
+
+function serializeGeneration(record) {
+  const { artifact, ...entry } = record;
+  return {
+    ...entry,
+    artifact: artifact && { sha256: artifact.sha256, bytes: artifact.bytes, contentType: artifact.contentType },
+    artifactUrl: artifact ? `/generations/${record.id}/artifact` : null
+  };
 }
 
-async function cleanupWorkDir(workDir) {
+function requireHistory(req, res, next) {
+  if (!history) {
+    return res.status(404).json({ error: 'Generation history is not enabled' });
+  }
+  next();
+}
+
+// Past generations, newest first; filter with `status`, `language`,
+// `specSha256`, `packageName`, `since` and `until`, and page with `limit` and
+// `cursor`. Admins see every key's generations and may filter by `keyId`.
+app.get('/generations', checkApiKey, validateRequest, requireHistory, (req, res) => {
+  let filters;
   try {
-    await fs.remove(workDir);
-    logger.info(`Cleaned up directory: ${workDir}`);
+    filters = parseHistoryQuery(req.query);
   } catch (error) {
-    logger.error(`Failed to cleanup directory: ${workDir}`, { error: error.message });
+    return res.status(400).json({ error: error.message, details: error.details });
+  }
+  if (!ApiKeyStore.hasScope(req.apiKey, 'admin')) {
+    filters.keyId = req.apiKey.id;
+  }
+  try {
+    const { generations, nextCursor } = history.list(filters);
+    res.json({ generations: generations.map(serializeGeneration), nextCursor });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    throw error;
+  }
+});
+
+app.get('/generations/:id', checkApiKey, validateRequest, requireHistory, (req, res) => {
+  const record = getOwnGeneration(req);
+  if (!record) {
+    return res.status(404).json({ error: 'Generation not found' });
+  }
+  res.json(serializeGeneration(record));
+});
+
+// The stored archive; it is addressed by content, so its hash is the ETag
+app.get('/generations/:id/artifact', checkApiKey, validateRequest, requireHistory, asyncRoute(async (req, res) => {
+  const record = getOwnGeneration(req);
+  if (!record) {
+    return res.status(404).json({ error: 'Generation not found' });
+  }
+  if (!record.artifact) {
+    return res.status(404).json({ error: `Generation ${record.status} without an artifact` });
+  }
+
+  const etag = `"${record.artifact.sha256}"`;
+  if (isNotModified(req, etag)) {
+    return res.status(304).set('ETag', etag).end();
+  }
+  let artifact;
+  try {
+    artifact = await history.openArtifact(record);
+  } catch (error) {
+    req.log.error('Failed to read generation artifact', { generationId: record.id, error: error.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+  res.setHeader('Content-Type', record.artifact.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=${record.fileName}`);
+  res.setHeader('Content-Length', artifact.size === null ? record.artifact.bytes : artifact.size);
+  res.setHeader('ETag', etag);
+  artifact.stream.on('error', (error) => {
+    req.log.error('Failed to stream generation artifact', { generationId: record.id, error: error.message });
+    res.destroy(error);
+  });
+  artifact.stream.pipe(res);
+}));
+
+// Deliveries are only visible to the key whose job they report, and to admins
+function getOwnDelivery(req) {
+  const delivery = webhooks.get(req.params.id);
+  if (!delivery || (delivery.keyId !== req.apiKey.id && !ApiKeyStore.hasScope(req.apiKey, 'admin'))) {
+    return null;
+  }
+  return delivery;
+}
+
+// Recent callback deliveries, newest first, with every attempt's status code,
+// error and response; filter with `status` and `jobId`
+app.get('/webhooks/deliveries', checkApiKey, validateRequest, (req, res) => {
+  const deliveries = webhooks.list({
+    keyId: ApiKeyStore.hasScope(req.apiKey, 'admin') ? undefined : req.apiKey.id,
+    jobId: req.query.jobId,
+    status: req.query.status
+  });
+  res.json({ deliveries: deliveries.map(delivery => webhooks.describe(delivery)) });
+});
+
+// One delivery including the payload that was sent
+app.get('/webhooks/deliveries/:id', checkApiKey, validateRequest, (req, res) => {
+  const delivery = getOwnDelivery(req);
+  if (!delivery) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  res.json(webhooks.describe(delivery, { includePayload: true }));
+});
+
+// Send a delivery's payload again, e.g. once a failing receiver is fixed
+app.post('/webhooks/deliveries/:id/redeliver', checkApiKey, validateRequest, (req, res) => {
+  const delivery = getOwnDelivery(req);
+  if (!delivery) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  const redelivery = webhooks.redeliver(delivery.id);
+  req.log.info('Webhook redelivery queued', { deliveryId: redelivery.id, redeliveryOf: delivery.id });
+  res.status(202).json(webhooks.describe(redelivery));
+});
+
+app.get('/cache', checkApiKey, requireScope('admin'), validateRequest, (req, res) => {
+  res.json(artifactCache.stats());
+});
+
+// Admin: drop every cached artifact
+app.delete('/cache', checkApiKey, requireScope('admin'), validateRequest, asyncRoute(async (req, res) => {
+  const removed = await artifactCache.clear();
+  req.log.info('Artifact cache cleared', removed);
+  res.json({ removed });
+}));
+
+app.get('/admin/keys', checkApiKey, requireScope('admin'), validateRequest, (req, res) => {
+  res.json({ keys: apiKeys.list() });
+});
+
+// The secret is only ever returned by create and rotate, the webhook secret
+// by create and webhook-secret
+app.post('/admin/keys', checkApiKey, requireScope('admin'), validateRequest, asyncRoute(async (req, res) => {
+  try {
+    if (req.body && req.body.lint) {
+      validateKeyLint(req.body.lint);
+    }
+    const { key, secret } = await apiKeys.create(req.body);
+    req.log.info('API key created', { id: key.id, name: key.name, by: req.apiKey.id });
+    res.status(201).json({ ...apiKeys.describe(key), secret, webhookSecret: key.webhookSecret });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    req.log.error('Error creating API key', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}));
+
+app.post('/admin/keys/:id/rotate', checkApiKey, requireScope('admin'), validateRequest, asyncRoute(async (req, res) => {
+  try {
+    const rotated = await apiKeys.rotate(req.params.id);
+    if (!rotated) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    req.log.info('API key rotated', { id: rotated.key.id, by: req.apiKey.id });
+    res.json({ ...apiKeys.describe(rotated.key), secret: rotated.secret });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    req.log.error('Error rotating API key', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}));
+
+// Issue a new webhook secret; callbacks are signed with it from now on,
+// retries of earlier deliveries included
+app.post('/admin/keys/:id/webhook-secret', checkApiKey, requireScope('admin'), validateRequest, asyncRoute(async (req, res) => {
+  try {
+    const key = await apiKeys.rotateWebhookSecret(req.params.id);
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    req.log.info('Webhook secret rotated', { id: key.id, by: req.apiKey.id });
+    res.json({ ...apiKeys.describe(key), webhookSecret: key.webhookSecret });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    req.log.error('Error rotating webhook secret', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}));
+
+// Settings may refer to the organization's custom rules, so they are checked
+// against them as well
+function validateKeyLint(lint) {
+  const validated = validateLintConfig(lint);
+  resolveLintRules([orgLintConfig, validated]);
+  return validated;
+}
+
+// Replace the lint settings of a key from a JSON body with `rules` and
+// `customRules`; an empty object removes them
+app.put('/admin/keys/:id/lint', checkApiKey, requireScope('admin'), validateRequest, asyncRoute(async (req, res) => {
+  try {
+    const lint = Object.keys(req.body || {}).length === 0 ? null : validateKeyLint(req.body);
+    const key = await apiKeys.setLint(req.params.id, lint);
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    req.log.info('API key lint rules updated', { id: key.id, by: req.apiKey.id });
+    res.json(apiKeys.describe(key));
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    req.log.error('Error updating lint rules', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}));
+
+// Replace the publishing credentials a key may name from a JSON body with
+// `publishCredentials`
+app.put('/admin/keys/:id/publish-credentials', checkApiKey, requireScope('admin'), validateRequest, asyncRoute(async (req, res) => {
+  try {
+    const key = await apiKeys.setPublishCredentials(req.params.id, req.body.publishCredentials);
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    req.log.info('API key publishing credentials updated', { id: key.id, by: req.apiKey.id });
+    res.json(apiKeys.describe(key));
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    req.log.error('Error updating publishing credentials', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}));
+
+app.delete('/admin/keys/:id', checkApiKey, requireScope('admin'), validateRequest, asyncRoute(async (req, res) => {
+  try {
+    const key = await apiKeys.revoke(req.params.id);
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    req.log.info('API key revoked', { id: key.id, by: req.apiKey.id });
+    res.json(apiKeys.describe(key));
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    req.log.error('Error revoking API key', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}));
+
+async function cleanupWorkDir(workDir, log = logger) {
+  try {
+    await janitor.removeWorkDir(workDir);
+    log.info('Cleaned up directory', { workDir });
+  } catch (error) {
+    log.error('Failed to clean up directory', { workDir, error: error.message });
   }
 }
 
 // Add error handling middleware
 app.use((err, req, res, next) => {
-  logger.error('Unhandled error:', err);
+  // Malformed JSON bodies are the client's fault
+  if (err.type === 'entity.parse.failed') {
+    const message = `Invalid request body: not valid JSON (${err.message})`;
+    return res.status(400).json({
+      error: message,
+      details: { in: 'body', field: null, errors: [{ in: 'body', field: null, message }] }
+    });
+  }
+  (req.log || logger).error('Unhandled error', { error: err.message, stack: err.stack });
+  // Too late for an error response, let Express end the connection
+  if (res.headersSent) {
+    return next(err);
+  }
   res.status(500).json({
     error: 'Internal server error',
     message: DEBUG ? err.message : 'An unexpected error occurred'
   });
 });
 
+// Fern processes get this long to exit once interrupted, see KILL_GRACE_MS
+// of the process runner
+const SHUTDOWN_GRACE_MS = 10000;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Stop accepting connections and work, give running jobs and requests
+// SHUTDOWN_TIMEOUT_MS to finish, then interrupt what is left and clean up.
+// Queued jobs stay in the jobs file and run after the restart.
+async function shutdown(reason, exitCode = 0) {
+  shuttingDown = true;
+  logger.info('Shutting down', { reason, timeoutMs: config.shutdownTimeoutMs, jobs: jobQueue.stats() });
+  jobQueue.pause();
+  jobQueue.stop();
+  janitor.stop();
+
+  const closed = new Promise(resolve => server.close(resolve));
+  const finished = Promise.all([jobQueue.drain(), closed]).then(() => true);
+  if (!(await Promise.race([finished, delay(config.shutdownTimeoutMs).then(() => false)]))) {
+    logger.warn('Shutdown timeout reached, interrupting running work', jobQueue.stats());
+    jobQueue.interrupt('Interrupted by server shutdown');
+    // Aborts the Fern processes of synchronous requests, see abortOnDisconnect
+    server.closeAllConnections();
+    await Promise.race([finished, delay(SHUTDOWN_GRACE_MS)]);
+  }
+
+  // Workspaces of requests that did not finish; those of jobs are kept
+  const jobWorkDirs = new Set([...jobQueue.jobs.values()].map(job => job.payload.workDir));
+  await Promise.all(janitor.activeWorkDirs()
+    .filter(workDir => !jobWorkDirs.has(workDir))
+    .map(workDir => cleanupWorkDir(workDir)));
+  await Promise.all(pendingRecords);
+  await jobQueue.save();
+  await webhooks.stop();
+  logger.info('Shutdown complete', { exitCode });
+  process.exit(exitCode);
+}
+
+['SIGTERM', 'SIGINT'].forEach(signal => process.on(signal, () => {
+  if (shuttingDown) {
+    logger.warn('Exiting without waiting for running work', { signal });
+    process.exit(1);
+  }
+  shutdown(signal);
+}));
+
+// Running jobs are marked failed after a crash (see JobQueue.load), but a
+// failing request should not take the others down with it: shut down
+// gracefully unless already doing so
+function onFatalError(message, meta) {
+  logger.error(message, meta);
+  if (shuttingDown) {
+    // Give time for logging before exit
+    setTimeout(() => process.exit(1), 1000);
+    return;
+  }
+  shutdown(message, 1);
+}
+
 // Add process error handlers
 process.on('uncaughtException', (err) => {
-  logger.error('Uncaught Exception:', err);
-  // Give time for logging before exit
-  setTimeout(() => process.exit(1), 1000);
+  onFatalError('Uncaught exception', { error: err.message, stack: err.stack });
 });
 
+// Route handlers pass their errors on (see asyncRoute), so a rejection that is
+// still unhandled belongs to a single request or task: log it and keep serving
 process.on('unhandledRejection', (reason, promise) => {
-  logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  // Give time for logging before exit
-  setTimeout(() => process.exit(1), 1000);
+  logger.error('Unhandled rejection', {
+    error: reason instanceof Error ? reason.message : String(reason),
+    stack: reason instanceof Error ? reason.stack : undefined
+  });
 });
 
 // Start the server
-app.listen(port, () => {
-  logger.info(`Fern SDK Generator Server listening on port ${port}`);
-  logger.info('API Key protection:', API_KEY ? 'Enabled' : 'Disabled');
-  logger.info('Debug mode:', DEBUG ? 'Enabled' : 'Disabled');
+const server = app.listen(port, () => {
+  // Deliveries first: restored jobs can queue callbacks, which save the file
+  try {
+    webhooks.load();
+  } catch (error) {
+    logger.error('Failed to load webhook deliveries', { file: config.webhooksFile, error: error.message });
+  }
+  // Before the janitor's first sweep, which would remove the workspaces of
+  // jobs that are not restored yet
+  try {
+    jobQueue.load();
+  } catch (error) {
+    logger.error('Failed to load jobs', { file: config.jobsFile, error: error.message });
+  }
+  jobQueue.start();
+  janitor.start(config.janitorIntervalMs);
+  artifactCache.load()
+    .catch(error => logger.error('Failed to load artifact cache', { dir: config.cacheDir, error: error.message }));
+  if (history) {
+    history.load()
+      .catch(error => logger.error('Failed to load generation history', { store: config.historyStore, error: error.message }));
+  }
+  // Resolve and verify the default Fern CLI once instead of on every request
+  fernCli.ensureInstalled()
+    .then(fernBin => logger.info('Fern CLI ready', { version: config.fernCliVersion, fernBin }))
+    .catch(error => logger.error('Fern CLI is not available', { version: config.fernCliVersion, error: error.message }));
+  logger.info('Fern SDK Generator Server listening', { port });
+  logger.info('API key protection enabled', { keys: apiKeys.size, environmentKey: Boolean(API_KEY) });
+  logger.info('Sandbox configured', sandbox.describe());
+  logger.info('Logging configured', { logLevel: config.logLevel, debug: DEBUG });
 });